@@ -1,37 +1,163 @@
 // claude_service.js - Claude AI integration for conversational interface
-const Anthropic = require('@anthropic-ai/sdk');
-
-// Claude model used for coaching conversations. Centralised here so a model
-// upgrade only requires a single-line change rather than a search through
-// business logic. Matches the pattern used by gemma-mcp for its model constant.
-//
-// Using the undated alias ('claude-sonnet-4-6') rather than a dated snapshot
-// ('claude-sonnet-4-5-20250929') so Anthropic's API always resolves to the
-// latest stable Sonnet.  Dated snapshots eventually get deprecated and require
-// a code change to avoid 404s; the undated alias sidesteps that entirely.
-const CLAUDE_MODEL = 'claude-sonnet-4-6';
-
-// Maximum number of full turns (user + assistant pairs) to retain in memory.
-// Beyond this, the oldest turns are pruned so the total message count never
-// grows to a size that would exceed the model's context window.  The system
-// prompt is sent separately on every call, so the substantive coaching context
-// is always present regardless of how long the conversation has been running.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { createLlmProvider } = require('./llm_providers');
+const { ProjectContext } = require('./project_context');
+
+// Maximum number of full turns (user + assistant pairs) to retain verbatim.
+// Beyond this, the oldest turns are folded into a rolling summary so the
+// message count never grows to a size that would exceed the model's context
+// window, without the coach forgetting which agents exist or what the user
+// asked for an hour ago.  Compaction brings the history down to
+// COMPACT_TO_TURNS, so the extra summarising call happens once every ten
+// turns rather than on every one.
 const MAX_HISTORY_TURNS = 20;
+const COMPACT_TO_TURNS = 10;
+
+// The rolling summary is the first message of the history — a user message
+// starting with this header, answered by SUMMARY_ACK so the roles still
+// alternate — and is saved to .graphbus/coach_summary.json so it outlives the
+// app.  Long sessions summarise their summary, so it is capped at
+// SUMMARY_MAX_TOKENS and told to drop whatever no longer matters.
+const SUMMARY_HEADER = '[Summary of the conversation so far]';
+const SUMMARY_ACK = 'Understood — I will keep this context in mind.';
+const SUMMARY_MAX_TOKENS = 1024;
+const SUMMARY_PROMPT = `You maintain the running summary of a conversation between a user and the GraphBus Coach, an assistant for a Python agent orchestration framework.  You are given the current summary (possibly empty) and the oldest part of the conversation, which is about to be removed from the coach's memory.  Write the new summary, folding the removed part into the old one.
+
+Keep, as short bullet points under these headings:
+- Project facts: directory layout, build and runtime state, configuration, errors that are still unresolved
+- Agents: every agent discovered, with its methods, subscriptions and topics
+- Decisions and preferences: what the user chose, asked for or ruled out
+- Pending tasks: any request still in progress (especially multi-step ones) and what is left to do
+
+Drop small talk, explanations already given and anything superseded.  Stay under 400 words.  Reply with the summary only.`;
+
+// How much of each tool input and result goes into the text the summary is
+// written from
+const SUMMARY_SNIPPET_CHARS = 1500;
+
+// The history itself — summary, tool calls, tool results and system feedback
+// as the model saw them — is saved to .graphbus/coach_history.json after
+// every reply, so reopening a project picks the conversation up where it left
+// off instead of the coach starting with amnesia next to a restored chat log.
+// It lives next to the chat log (conversation_history.json), which only has
+// what the UI showed.
+const HISTORY_FILE = 'coach_history.json';
+const SUMMARY_FILE = 'coach_summary.json';
+
+// Tool results are echoed back to the model verbatim.  A negotiation log can
+// run to hundreds of KB, so anything longer keeps its head and tail only.
+const MAX_TOOL_RESULT_CHARS = 20_000;
+
+// Tools the coach can call.  They are executed in the renderer (which owns the
+// chat UI, the graph and the command streams) and their output comes back via
+// submitToolResults(), so the names here must match executeClaudeAction().
+const COACH_TOOLS = [
+    {
+        name: 'run_command',
+        description: 'Run a shell command (usually a graphbus CLI command) in the working directory and return its stdout/stderr.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                command: { type: 'string', description: 'The full command line, e.g. "graphbus build agents/ --enable-agents"' }
+            },
+            required: ['command']
+        }
+    },
+    {
+        name: 'send_to_terminal',
+        description: 'Type a command into the embedded terminal (a real pseudo-terminal the user can see and type into). Use this for interactive commands such as "graphbus tui" or "graphbus run --debug" that prompt for input. The terminal\'s output is NOT returned; the user watches and interacts with it directly.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                command: { type: 'string', description: 'The command line to type, e.g. "graphbus tui"' }
+            },
+            required: ['command']
+        }
+    },
+    {
+        name: 'list_agents',
+        description: 'List the agents loaded in the running runtime, with each method\'s parameters, type hints and docstring.',
+        input_schema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'call_method',
+        description: 'Invoke a method on a running agent and return its result.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                agent: { type: 'string', description: 'Agent name' },
+                method: { type: 'string', description: 'Method name' },
+                args: { type: 'object', description: 'Keyword arguments, keyed by parameter name' }
+            },
+            required: ['agent', 'method']
+        }
+    },
+    {
+        name: 'publish_event',
+        description: 'Publish an event on the runtime message bus.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                topic: { type: 'string', description: 'Topic name, e.g. "/orders/created"' },
+                payload: { type: 'object', description: 'Event payload' }
+            },
+            required: ['topic', 'payload']
+        }
+    },
+    {
+        name: 'start_runtime',
+        description: 'Start the in-app GraphBus runtime from the built artifacts.',
+        input_schema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'stop_runtime',
+        description: 'Stop the in-app GraphBus runtime.',
+        input_schema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'change_directory',
+        description: 'Ask the user to pick a different working directory. Only use when the user explicitly asks.',
+        input_schema: { type: 'object', properties: {} }
+    }
+];
 
 class ClaudeService {
     constructor() {
-        this.apiKey = null;
-        this.client = null;
+        // The model backend (llm_providers.js) — Anthropic unless the
+        // project's model settings say otherwise
+        this.provider = null;
         this.conversationHistory = [];
         this.systemPrompt = null;
         // Buffer for system-feedback messages (see addSystemMessage / chat).
         this._pendingSystemMessages = [];
+        // tool_use ids from the last reply that still await a tool_result
+        this._pendingToolUseIds = [];
+        // AbortController of the request in flight, so abort() can cancel it
+        this._activeRequest = null;
+        this.workingDirectory = null;
+        // Agents, topics, last build and negotiation from .graphbus, added to
+        // the system prompt on every request (see _systemPromptWithContext)
+        this.projectContext = null;
+        // Summarising the oldest turns runs after a reply is returned; the
+        // next turn waits for it (see _compactHistory)
+        this._compaction = null;
+        this._compactionRequest = null;
+        // Tokens spent on summaries, reported with the next turn's usage
+        this._compactionUsage = null;
+        // Saves of the history, one after another so an older one never
+        // lands last
+        this._historySave = Promise.resolve();
     }
 
-    initialize(apiKey, workingDirectory) {
-        this.apiKey = apiKey;
-        this.client = new Anthropic({ apiKey: this.apiKey });
-        this.conversationHistory = [];
+    // llm: { provider, model, baseUrl } from the model settings; without it
+    // the coach talks to Anthropic's default model.
+    initialize(apiKey, workingDirectory, llm = {}) {
+        this.provider = createLlmProvider({ ...llm, apiKey });
+        this.workingDirectory = workingDirectory;
+        this.projectContext = new ProjectContext(workingDirectory);
+        this._restoreHistory();
 
         // System prompt that teaches Claude about GraphBus
         this.systemPrompt = `You are a GraphBus Coach - an AI assistant that helps users understand and use the GraphBus agent orchestration framework.
@@ -91,8 +217,8 @@ You are here to TEACH and GUIDE users through GraphBus. Your main goals:
    - First mention: "message bus" → explain it's pub/sub for agent communication
 
 3. **Never Assume Knowledge**
-   - Don't reference specific agent names (like "HelloService") unless you've seen them
-   - Always discover agents with list_agents() before suggesting specific calls
+   - The CURRENT PROJECT section at the end lists the agents, methods and topics from the last build — use those names, and don't reference others (like "HelloService") unless you've seen them
+   - No need to list files or call list_agents() just to find out what agents exist; use list_agents() for exact method signatures before calling methods on the running runtime
    - Ask clarifying questions: "Which agent would you like to use?"
 
 4. **Guide Step-by-Step**
@@ -100,21 +226,35 @@ You are here to TEACH and GUIDE users through GraphBus. Your main goals:
    - Check understanding: "Does that make sense?" or "Want me to explain more?"
    - Offer next steps: "Now that runtime is started, would you like to see your agents?"
 
-**AVAILABLE ACTIONS:**
-You have only ONE primary action for all GraphBus operations:
+**AVAILABLE TOOLS:**
+Your primary tool for all GraphBus operations is:
 
 1. **run_command(command)** - Execute GraphBus CLI commands
 
-That's it! Everything goes through GraphBus CLI commands. Examples:
+Almost everything goes through GraphBus CLI commands. Examples:
 - Build: run_command "graphbus build agents/"
 - Run: run_command "graphbus run .graphbus"
 - Generate: run_command "graphbus generate agent AgentName"
 - Inspect: run_command "graphbus inspect .graphbus"
 - List templates: run_command "graphbus list-templates"
 
-Other actions (for non-GraphBus operations):
+Runtime tools (only while the runtime is running):
+- **list_agents()** - List loaded agents with their method signatures
+- **call_method(agent, method, args)** - Invoke an agent method; check its signature with list_agents first
+- **publish_event(topic, payload)** - Publish an event on the message bus
+- **start_runtime()** / **stop_runtime()** - Start or stop the in-app runtime
+
+Interactive commands:
+- **send_to_terminal(command)** - Type a command into the embedded terminal. Use it for anything that prompts or takes over the screen (graphbus tui, graphbus run --debug); run_command can't answer prompts. Its output is not returned to you — tell the user to look at the Terminal tab.
+
+Other tools (for non-GraphBus operations):
 - **change_directory()** - Change working directory (use only when user explicitly asks)
 
+Every tool returns its output to you as a tool result in the same turn.
+
+**COMMAND APPROVAL:**
+run_command and send_to_terminal go through an approval policy. graphbus build, validate, inspect, inspect-negotiation, list-templates, generate and negotiate run immediately; any other command (including chained commands) is shown to the user for confirmation first. rm -rf, sudo, piping downloads into a shell and writes outside the project are always blocked. If a command is declined or blocked, explain and suggest an alternative — do not retry variations of it.
+
 **RUN COMMAND (USE THIS FIRST):**
 This is your primary tool for GraphBus operations. Execute CLI commands directly.
 
@@ -154,7 +294,7 @@ IMPORTANT: Always extract and use the --intent flag when user provides goals lik
 IMPORTANT: Always build with --enable-agents flag!
 Example: graphbus build agents/ --enable-agents
 
-The API key from ANTHROPIC_API_KEY environment variable will be used automatically.
+The model provider, model and API key configured for this project are passed to graphbus commands automatically, but only to a command that is a single graphbus invocation. Don't chain, pipe or wrap it (e.g. "cd agents && graphbus build ." or "graphbus build . | tee log" get no key) — run one graphbus command per step instead.
 
 Development Tools:
   • graphbus generate agent [name] - Generate agent boilerplate code
@@ -174,22 +314,22 @@ Deployment:
   • graphbus k8s [subcommand] - Kubernetes deployment tools
   • graphbus ci [subcommand] - CI/CD pipeline generators
 
-**EXAMPLES:**
-- {"action": "run_command", "params": {"command": "graphbus build agents/ --enable-agents"}}
-- {"action": "run_command", "params": {"command": "graphbus negotiate .graphbus --intent \"optimize performance\" --rounds 5"}}
-- {"action": "run_command", "params": {"command": "graphbus negotiate .graphbus --intent \"improve error handling\" --rounds 3"}}
-- {"action": "run_command", "params": {"command": "graphbus negotiate .graphbus --intent \"enhance schema design\""}}
-- {"action": "run_command", "params": {"command": "graphbus inspect-negotiation .graphbus"}}
-- {"action": "run_command", "params": {"command": "graphbus inspect-negotiation .graphbus --format timeline"}}
-- {"action": "run_command", "params": {"command": "graphbus run .graphbus"}}
-- {"action": "run_command", "params": {"command": "graphbus init my-project"}}
-- {"action": "run_command", "params": {"command": "graphbus generate agent DataProcessor"}}
-- {"action": "run_command", "params": {"command": "graphbus inspect .graphbus"}}
-- {"action": "run_command", "params": {"command": "graphbus dashboard .graphbus"}}
+**EXAMPLES (run_command inputs):**
+- graphbus build agents/ --enable-agents
+- graphbus negotiate .graphbus --intent "optimize performance" --rounds 5
+- graphbus negotiate .graphbus --intent "improve error handling" --rounds 3
+- graphbus negotiate .graphbus --intent "enhance schema design"
+- graphbus inspect-negotiation .graphbus
+- graphbus inspect-negotiation .graphbus --format timeline
+- graphbus run .graphbus
+- graphbus init my-project
+- graphbus generate agent DataProcessor
+- graphbus inspect .graphbus
+- graphbus dashboard .graphbus
 
 REMEMBER: Always use --enable-agents when building!
 
-PREFER run_command over the predefined actions when possible!
+PREFER run_command over the other tools when possible!
 
 **PROJECT INITIALIZATION:**
 IMPORTANT: Always check the current directory FIRST before creating new projects!
@@ -197,7 +337,8 @@ IMPORTANT: Always check the current directory FIRST before creating new projects
 When user wants to create or work with agents:
 
 **Step 1: Check existing agents in CURRENT directory**
-- Check if agents/ directory exists in working directory: run_command "ls -la agents/"
+- If CURRENT PROJECT lists agents, the project exists — work with them
+- Otherwise check if agents/ directory exists in working directory: run_command "ls -la agents/"
 - DO NOT look in subdirectories - only check the current working directory
 - If agents/ exists and has .py files:
   - Work with existing agents directly
@@ -238,15 +379,7 @@ This creates everything directly in the working directory, no nesting!
 - ALWAYS build after creating a project to generate the graph
 
 **RESPONSE FORMAT:**
-CRITICAL: You must respond with ONLY valid JSON. No markdown, no extra text, JUST the JSON object.
-
-{
-  "message": "Your coaching response - explain what you're doing and why",
-  "action": "action_name|null",
-  "params": {"agent": "...", "method": "...", "args": {...}}
-}
-
-Do NOT include markdown formatting or any text outside the JSON object.
+Reply in plain conversational text. To act, call a tool — never describe an action as JSON in your text.
 
 **COACHING TONE:**
 - Friendly and encouraging, not intimidating
@@ -272,24 +405,25 @@ ALWAYS mention the workflow stage (Create → Build → [Negotiate] → Start 
 Note: Negotiation is OPTIONAL but powerful - it lets agents enhance their own code through LLM-powered collaboration!
 
 **PROACTIVE EXECUTION:**
-- When user asks you to do something, JUST DO IT - include the action immediately
+- When user asks you to do something, JUST DO IT - call the tool immediately
 - Don't ask for permission or confirmation - execute the command
-- Example: User says "build the agents" → respond with message + run_command action
-- Example: User says "create a UserManager agent" → respond with message + run_command action
-- Always include an action when the user's intent is clear
-- Brief explanation (1-2 sentences) + immediate action execution
+- Example: User says "build the agents" → brief explanation + run_command
+- Example: User says "create a UserManager agent" → brief explanation + run_command
+- Always call a tool when the user's intent is clear
+- Brief explanation (1-2 sentences) + immediate tool call
 
 **COMPOUND REQUESTS - CRITICAL:**
 When user requests multiple sequential actions ("build and then negotiate", "create agents then build them"):
-1. Execute the FIRST action immediately with run_command
-2. In your message, EXPLICITLY state you will do the next action after this completes
-3. After seeing the first action's output in the next message, IMMEDIATELY execute the next action
-4. Chain actions sequentially until all parts of the compound request are complete
+1. Call the tool for the FIRST action
+2. Read its tool result — if it failed, explain the failure and stop
+3. Otherwise call the tool for the next action straight away
+4. Once every part is done, reply with a short summary and no tool call
 
 Example:
 User: "build the agents and then negotiate a schema"
-Your first response: {"message": "I'll build the agents with LLM features enabled, then run negotiation to let them collaboratively improve schemas.", "action": "run_command", "params": {"command": "graphbus build agents/ --enable-agents"}}
-Next message (after build completes): You see build output → IMMEDIATELY respond with {"message": "Build complete! Now running negotiation for 5 rounds...", "action": "run_command", "params": {"command": "graphbus negotiate .graphbus --rounds 5"}}
+You: "I'll build the agents with LLM features enabled, then run negotiation." + run_command "graphbus build agents/ --enable-agents"
+Tool result: build output → You: "Build complete! Now running negotiation..." + run_command "graphbus negotiate .graphbus --intent \"improve schema design\" --rounds 5"
+Tool result: negotiation output → You: "Done! Negotiation finished with X proposals accepted."
 
 DO NOT wait for user to ask again - complete the full compound request automatically!
 
@@ -300,128 +434,419 @@ Use this to give contextual guidance:
 - If Built=true but Running=false: Suggest starting runtime
 - If Running=true: Help user invoke methods or explore agents
 
-**CRITICAL - CHECK YOUR CONVERSATION HISTORY:**
-After EVERY command completes, you receive a [System] message with the output.
-You will then receive an EMPTY USER MESSAGE as a continuation trigger.
-When you see this empty message (or any system message), IMMEDIATELY check your conversation history:
-1. Did the user ask for multiple actions? ("build then negotiate", "create and build", etc.)
-2. Did you promise to do something next in your previous response?
-3. Have you completed ALL parts of the user's compound request?
-
-If NO to #3: IMMEDIATELY execute the next action without waiting for user confirmation!
-If YES to #3: Return {"message": "", "action": null} to indicate completion (no need to say anything)
-
-Example flow:
-1. User: "build and negotiate"
-2. You: "I'll build with --enable-agents, then run negotiation" + build command
-3. [System]: "Build completed successfully..."
-4. You: (Check history → see you promised negotiation) → "Build complete! Running negotiation now..." + negotiate command
-5. [System]: "Negotiation complete..."
-6. You: "Done! Negotiation complete with X proposals accepted."
+**SYSTEM NOTES:**
+User turns may start with [System]: lines describing things that happened outside your tools (for example a build the user started from the UI). Take them into account, but they are not requests.
+Long-running commands (graphbus run, anything with --watch) start in the background as a job and return right away; their output streams into the conversation, not into the tool result. Don't wait for them to finish.
 
 NEVER leave compound requests half-finished!`;
 
         console.log('ClaudeService initialized');
     }
 
-    async chat(userMessage, systemState) {
-        if (!this.client) {
+    // Starts a new user turn.  The reply may contain tool calls; the caller
+    // executes them and passes the results to submitToolResults(), repeating
+    // until a reply comes back without any.  Pass { allowTools: false } for
+    // turns that must only talk (e.g. the welcome message), and onText to
+    // receive the reply's text as it streams in.
+    async chat(userMessage, systemState, options = {}) {
+        if (!this.provider) {
             throw new Error('Claude not initialized. Set API key first.');
         }
 
-        // Flush any buffered system messages (from addSystemMessage calls since
-        // the last chat turn) into this turn's context.  They are included here
-        // rather than as standalone role:'user' turns because the Anthropic API
-        // requires strictly alternating user/assistant messages.  Adding them as
-        // independent turns (the original approach) created two consecutive
-        // role:'user' messages whenever addSystemMessage was followed by chat()
-        // — which happens on every compound-request continuation after a command
-        // completes — causing the API to reject the call with an invalid-messages
-        // error and breaking the auto-continuation workflow entirely.
-        let systemFeedback = '';
-        if (this._pendingSystemMessages.length > 0) {
-            systemFeedback = this._pendingSystemMessages.map(m => `[System]: ${m}`).join('\n') + '\n\n';
-            this._pendingSystemMessages = [];
+        const content = [];
+
+        // A tool_use must be answered by a tool_result in the very next user
+        // message.  If the user speaks while tools are still outstanding (a
+        // long negotiation, a failed renderer), close them out here so the
+        // history stays valid.
+        this._pendingToolUseIds.forEach(id => content.push({
+            type: 'tool_result',
+            tool_use_id: id,
+            content: 'Cancelled: the user sent a new message before this finished.',
+            is_error: true
+        }));
+
+        content.push({
+            type: 'text',
+            text: `${this._stateHeader(systemState)}${this._flushSystemMessages()}User: ${userMessage}`
+        });
+
+        return this._runTurn({ role: 'user', content }, options);
+    }
+
+    // results: [{ toolUseId, content, isError }] — one per tool call in the
+    // previous reply.
+    async submitToolResults(results, systemState, options = {}) {
+        if (!this.provider) {
+            throw new Error('Claude not initialized. Set API key first.');
         }
 
-        const contextMessage = `[System State: Built=${systemState.hasBuilt}, Running=${systemState.isRunning}, Phase=${systemState.phase}]\n\n${systemFeedback}User: ${userMessage}`;
+        const content = results.map(result => ({
+            type: 'tool_result',
+            tool_use_id: result.toolUseId,
+            content: this._truncateToolResult(result.content),
+            is_error: Boolean(result.isError)
+        }));
+
+        // Tool calls the renderer didn't report back still need an answer
+        const answered = new Set(results.map(result => result.toolUseId));
+        this._pendingToolUseIds
+            .filter(id => !answered.has(id))
+            .forEach(id => content.push({
+                type: 'tool_result',
+                tool_use_id: id,
+                content: 'No result was reported for this tool call.',
+                is_error: true
+            }));
+
+        // State may have changed while the tools ran (e.g. a build finished)
+        content.push({
+            type: 'text',
+            text: `${this._stateHeader(systemState)}${this._flushSystemMessages()}`.trim()
+        });
 
-        // Add user message to history BEFORE the call so it's part of the
-        // conversation, but track the index so we can roll it back on failure.
+        return this._runTurn({ role: 'user', content }, { onText: options.onText });
+    }
+
+    async _runTurn(userTurn, options) {
+        // Add the user turn to history BEFORE the call so it's part of the
+        // conversation, but roll it back on failure.
         // If the API call throws (rate limit, context too long, network error),
         // leaving an unanswered user message in history causes every subsequent
         // call to fail with Anthropic's alternating-roles validation error,
         // turning a transient error into a permanently broken session.
-        this.conversationHistory.push({
-            role: 'user',
-            content: contextMessage
-        });
+        //
+        // The request is registered before waiting on the previous turn's
+        // compaction (which must finish before the history grows), so Stop
+        // works while the summary is still being written.
+        const controller = new AbortController();
+        this._activeRequest = controller;
+        let system;
+        try {
+            if (this._compaction) {
+                await this._compaction;
+            }
+            system = await this._systemPromptWithContext();
+        } catch (error) {
+            this._activeRequest = null;
+            throw error;
+        }
+        if (controller.signal.aborted) {
+            this._activeRequest = null;
+            throw stoppedError();
+        }
+
+        const pendingBefore = this._pendingToolUseIds;
+        this.conversationHistory.push(userTurn);
 
         try {
-            const response = await this.client.messages.create({
-                model: CLAUDE_MODEL,
-                max_tokens: 4096,
-                system: this.systemPrompt,
-                messages: this.conversationHistory
+            const { content, usage } = await this.provider.complete({
+                system,
+                messages: this.conversationHistory,
+                tools: COACH_TOOLS,
+                allowTools: options.allowTools !== false,
+                maxTokens: 4096,
+                onText: options.onText,
+                signal: controller.signal
             });
 
-            let assistantMessage = response.content[0].text;
-
-            // Strip the outermost markdown code fence if Claude wrapped the JSON response.
-            // Use anchored start/end patterns — a global replace would corrupt embedded
-            // code examples inside the message field (e.g., a Python snippet in a coaching tip).
-            assistantMessage = assistantMessage.trim();
-            if (assistantMessage.startsWith('```')) {
-                assistantMessage = assistantMessage
-                    .replace(/^```(?:json)?\n?/, '')  // strip opening fence + optional newline
-                    .replace(/\n?```$/, '')            // strip closing fence + optional newline
-                    .trim();
+            this.conversationHistory.push({ role: 'assistant', content });
+
+            const toolCalls = content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, input: block.input || {} }));
+            this._pendingToolUseIds = toolCalls.map(call => call.id);
+
+            const compactionUsage = this._compactionUsage;
+            this._compactionUsage = null;
+            this._saveHistory();
+            this._compactHistory();
+
+            return {
+                message: content.filter(block => block.type === 'text').map(block => block.text).join('\n\n').trim(),
+                toolCalls,
+                // { inputTokens, outputTokens }, or null if the server didn't
+                // say — including what the last summary cost
+                usage: addUsage(usage, compactionUsage)
+            };
+        } catch (error) {
+            // Roll back the user turn — leaving it without an assistant reply
+            // corrupts the alternating-role invariant and breaks all future calls.
+            // The same applies to a stopped request: the partial reply was never
+            // added, so history is exactly as it was before this turn.
+            this.conversationHistory.pop();
+            this._pendingToolUseIds = pendingBefore;
+
+            if (error.aborted) {
+                throw error;
             }
+            console.error(`${this.provider.label} API error:`, error);
+            throw new Error(`${this.provider.label} API error: ${error.message}`);
+        } finally {
+            this._activeRequest = null;
+        }
+    }
+
+    // Cancels the request in flight, if any.  The pending chat() or
+    // submitToolResults() call rejects with an error whose .aborted is true.
+    abort() {
+        if (this._compactionRequest) {
+            this._compactionRequest.abort();
+        }
+        if (!this._activeRequest) return false;
+        this._activeRequest.abort();
+        return true;
+    }
+
+    // Switches to another key, model or provider without losing the
+    // conversation: the history is provider-neutral (see llm_providers.js).
+    reconfigure(apiKey, llm = {}) {
+        this.provider = createLlmProvider({ ...llm, apiKey });
+    }
+
+    // { type, label, model, baseUrl } of the backend in use, or null
+    describeModel() {
+        return this.provider ? this.provider.describe() : null;
+    }
+
+    // The system prompt followed by what .graphbus says about the project
+    // right now, so a build or negotiation is reflected on the next message.
+    // It goes in the system prompt rather than the history so it is never
+    // stale and never repeated turn after turn.
+    async _systemPromptWithContext() {
+        let context = null;
+        try {
+            context = this.projectContext ? await this.projectContext.render() : null;
+        } catch (error) {
+            console.error('Could not read the project context:', error.message);
+        }
+        if (!context) return this.systemPrompt;
+        return `${this.systemPrompt}\n\n**CURRENT PROJECT** (read from .graphbus before this message; it reflects the last build, not edits made since):\n${context}`;
+    }
+
+    _stateHeader(systemState = {}) {
+        return `[System State: Built=${systemState.hasBuilt}, Running=${systemState.isRunning}, Phase=${systemState.phase}]\n\n`;
+    }
+
+    // Flush any buffered system messages (from addSystemMessage calls since
+    // the last turn) into this turn's context.  They are included here
+    // rather than as standalone role:'user' turns because the Anthropic API
+    // requires strictly alternating user/assistant messages.  Adding them as
+    // independent turns (the original approach) created two consecutive
+    // role:'user' messages whenever addSystemMessage was followed by chat(),
+    // causing the API to reject the call with an invalid-messages error.
+    _flushSystemMessages() {
+        if (this._pendingSystemMessages.length === 0) return '';
+        const feedback = this._pendingSystemMessages.map(m => `[System]: ${m}`).join('\n') + '\n\n';
+        this._pendingSystemMessages = [];
+        return feedback;
+    }
 
-            // Add assistant response to history, then evict stale turns if needed
-            this.conversationHistory.push({
-                role: 'assistant',
-                content: assistantMessage
+    _truncateToolResult(content) {
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+        if (!text) return '(no output)';
+        if (text.length <= MAX_TOOL_RESULT_CHARS) return text;
+
+        const half = Math.floor(MAX_TOOL_RESULT_CHARS / 2);
+        return `${text.slice(0, half)}\n\n[... ${text.length - MAX_TOOL_RESULT_CHARS} characters omitted ...]\n\n${text.slice(-half)}`;
+    }
+
+    // A turn starts at a user message typed by the user — not at one that only
+    // carries tool results, which must stay next to the tool_use it answers,
+    // and not at the summary.
+    _isTurnStart(message) {
+        return message.role === 'user' && !this._isSummary(message) &&
+            (typeof message.content === 'string' || !message.content.some(block => block.type === 'tool_result'));
+    }
+
+    _isSummary(message) {
+        const text = typeof message.content === 'string'
+            ? message.content
+            : (message.content[0] && message.content[0].type === 'text' ? message.content[0].text : '');
+        return message.role === 'user' && text.startsWith(SUMMARY_HEADER);
+    }
+
+    // The rolling summary at the head of the history, or null
+    currentSummary() {
+        const [first] = this.conversationHistory;
+        return first && this._isSummary(first) ? first.content[0].text.slice(SUMMARY_HEADER.length).trim() : null;
+    }
+
+    _summaryMessages(summary) {
+        if (!summary) return [];
+        return [
+            { role: 'user', content: [{ type: 'text', text: `${SUMMARY_HEADER}\n${summary}` }] },
+            { role: 'assistant', content: [{ type: 'text', text: SUMMARY_ACK }] }
+        ];
+    }
+
+    // Once there are more than MAX_HISTORY_TURNS turns, the oldest are folded
+    // into the summary until COMPACT_TO_TURNS remain.  Whole turns only (the
+    // user message plus every assistant/tool-result message that followed
+    // it): cutting anywhere else would leave a tool_result without its
+    // tool_use, or start the history with an assistant message — both
+    // rejected by the API.
+    //
+    // Runs in the background so the reply isn't held up; _runTurn waits for
+    // it before the next request.  If summarising fails the turns stay and it
+    // is tried again after the next turn, unless the history has doubled, in
+    // which case the oldest turns are dropped as before so the conversation
+    // can't outgrow the context window.
+    _compactHistory() {
+        const turnStarts = [];
+        this.conversationHistory.forEach((message, index) => {
+            if (this._isTurnStart(message)) turnStarts.push(index);
+        });
+        if (turnStarts.length <= MAX_HISTORY_TURNS) return;
+
+        const start = this.conversationHistory.length > 0 && this._isSummary(this.conversationHistory[0]) ? 2 : 0;
+        const end = turnStarts[turnStarts.length - COMPACT_TO_TURNS];
+        const evicted = this.conversationHistory.slice(start, end);
+        const overflowing = turnStarts.length >= MAX_HISTORY_TURNS * 2;
+
+        const controller = new AbortController();
+        this._compactionRequest = controller;
+        this._compaction = this._summarise(this.currentSummary(), evicted, controller.signal)
+            .then(({ summary, usage }) => {
+                this._compactionUsage = addUsage(this._compactionUsage, usage);
+                // Cleared or restarted while the summary was being written
+                if (this.conversationHistory[start] !== evicted[0]) return;
+                this.conversationHistory.splice(0, end, ...this._summaryMessages(summary));
+                this._saveHistory();
+                return this._saveSummary(summary, evicted.filter(message => this._isTurnStart(message)).length);
+            })
+            .catch(error => {
+                console.error('Could not summarise the conversation:', error.message);
+                if (overflowing && this.conversationHistory[start] === evicted[0]) {
+                    this.conversationHistory.splice(start, end - start);
+                    this._saveHistory();
+                }
+            })
+            .finally(() => {
+                this._compaction = null;
+                this._compactionRequest = null;
             });
-            this._trimHistory();
+    }
 
-            // Try to parse as JSON (for structured actions)
-            try {
-                const parsed = JSON.parse(assistantMessage);
-                return {
-                    message: parsed.message || assistantMessage,
-                    action: parsed.action || null,
-                    params: parsed.params || {}
-                };
-            } catch (e) {
-                // Not JSON, just return as text (this is normal for conversational responses)
-                return {
-                    message: assistantMessage,
-                    action: null,
-                    params: {}
-                };
-            }
+    async _summarise(previousSummary, messages, signal) {
+        const transcript = messages.map(message => this._transcriptOf(message)).filter(Boolean).join('\n\n');
+        const { content, usage } = await this.provider.complete({
+            system: SUMMARY_PROMPT,
+            messages: [{
+                role: 'user',
+                content: `Current summary:\n${previousSummary || '(none yet)'}\n\nConversation to fold in:\n${transcript}`
+            }],
+            tools: COACH_TOOLS,
+            allowTools: false,
+            maxTokens: SUMMARY_MAX_TOKENS,
+            signal
+        });
 
+        const summary = content.filter(block => block.type === 'text').map(block => block.text).join('\n').trim();
+        if (!summary) {
+            throw new Error('the model returned an empty summary');
+        }
+        return { summary, usage };
+    }
+
+    // One message as plain text for the summariser, long tool output cut short
+    _transcriptOf(message) {
+        const clip = (text) => text.length > SUMMARY_SNIPPET_CHARS ? `${text.slice(0, SUMMARY_SNIPPET_CHARS)} [...]` : text;
+        const speaker = message.role === 'user' ? 'User' : 'Coach';
+        if (typeof message.content === 'string') {
+            return `${speaker}: ${message.content}`;
+        }
+        return message.content.map(block => {
+            if (block.type === 'text') return `${speaker}: ${block.text}`;
+            if (block.type === 'tool_use') return `Coach called ${block.name}(${clip(JSON.stringify(block.input || {}))})`;
+            if (block.type === 'tool_result') return `${block.is_error ? 'Tool error' : 'Tool result'}: ${clip(String(block.content))}`;
+            return null;
+        }).filter(Boolean).join('\n');
+    }
+
+    _coachFile(name, directory = this.workingDirectory) {
+        return directory ? path.join(directory, '.graphbus', name) : null;
+    }
+
+    // Small JSON files read while initialising, which is synchronous; null
+    // when missing or unreadable
+    _readCoachFile(name) {
+        const file = this._coachFile(name);
+        if (!file) return null;
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
         } catch (error) {
-            // Roll back the user message — leaving it without an assistant reply
-            // corrupts the alternating-role invariant and breaks all future calls.
-            this.conversationHistory.pop();
-            console.error('Claude API error:', error);
-            throw new Error(`Claude API error: ${error.message}`);
+            if (error.code !== 'ENOENT') {
+                console.error(`Ignoring unreadable ${name}:`, error.message);
+            }
+            return null;
         }
     }
 
-    _trimHistory() {
-        // Each full turn is 2 messages (user + assistant).  Remove oldest pairs
-        // from the front until we are at or below MAX_HISTORY_TURNS, always
-        // removing in multiples of 2 to preserve the alternating-role invariant
-        // that the Anthropic API requires (conversation must start with 'user').
-        const maxMessages = MAX_HISTORY_TURNS * 2;
-        if (this.conversationHistory.length > maxMessages) {
-            const excess = this.conversationHistory.length - maxMessages;
-            // Round up to an even number so we always drop complete pairs
-            const toRemove = excess % 2 === 0 ? excess : excess + 1;
-            this.conversationHistory.splice(0, toRemove);
+    // The saved history if there is a usable one, else just the summary.
+    // Tool calls the last saved reply made were never answered (the app
+    // closed while they ran), so they are closed out on the next turn.
+    _restoreHistory() {
+        const saved = this._readCoachFile(HISTORY_FILE);
+        const messages = saved && this._isValidHistory(saved.messages) ? saved.messages : null;
+        if (saved && !messages) {
+            console.error(`Ignoring ${HISTORY_FILE}: not a valid conversation`);
+        }
+
+        if (messages) {
+            this.conversationHistory = messages;
+        } else {
+            const summary = this._readCoachFile(SUMMARY_FILE);
+            this.conversationHistory = this._summaryMessages(summary && summary.summary);
+        }
+
+        const last = this.conversationHistory[this.conversationHistory.length - 1];
+        this._pendingToolUseIds = last && last.role === 'assistant' && Array.isArray(last.content)
+            ? last.content.filter(block => block.type === 'tool_use').map(block => block.id)
+            : [];
+    }
+
+    // Alternating roles, starting with the user and ending with the coach —
+    // anything else would be rejected on the first request
+    _isValidHistory(messages) {
+        return Array.isArray(messages) &&
+            messages.every((message, index) =>
+                message && message.role === (index % 2 === 0 ? 'user' : 'assistant') &&
+                (typeof message.content === 'string' || Array.isArray(message.content))) &&
+            messages.length % 2 === 0;
+    }
+
+    _saveHistory() {
+        const file = this._coachFile(HISTORY_FILE);
+        if (!file) return;
+        // Serialised now: the history keeps changing while earlier saves run
+        const data = JSON.stringify({ savedAt: Date.now(), messages: this.conversationHistory });
+        this._historySave = this._historySave
+            .then(async () => {
+                await fsp.mkdir(path.dirname(file), { recursive: true });
+                await fsp.writeFile(file, data, 'utf-8');
+            })
+            .catch(error => console.error('Could not save the coach history:', error.message));
+    }
+
+    async _saveSummary(summary, compactedTurns) {
+        const file = this._coachFile(SUMMARY_FILE);
+        if (!file) return;
+        try {
+            let previous = {};
+            try {
+                previous = JSON.parse(await fsp.readFile(file, 'utf-8'));
+            } catch (error) {
+                // First summary for this project
+            }
+            await fsp.mkdir(path.dirname(file), { recursive: true });
+            await fsp.writeFile(file, JSON.stringify({
+                summary,
+                updatedAt: Date.now(),
+                compactedTurns: (previous.compactedTurns || 0) + compactedTurns
+            }, null, 2), 'utf-8');
+        } catch (error) {
+            console.error('Could not save the coach summary:', error.message);
         }
     }
 
@@ -445,6 +870,8 @@ NEVER leave compound requests half-finished!`;
             .replace(/Working Directory: .+/, () => `Working Directory: ${newDirectory}`)
             .replace(/Agents Location: .+/,   () => `Agents Location: ${newDirectory}/agents`)
             .replace(/Build Output: .+/,      () => `Build Output: ${newDirectory}/.graphbus`);
+        this.workingDirectory = newDirectory;
+        this.projectContext = new ProjectContext(newDirectory);
     }
 
     addSystemMessage(message) {
@@ -468,11 +895,51 @@ NEVER leave compound requests half-finished!`;
     clearHistory() {
         this.conversationHistory = [];
         this._pendingSystemMessages = [];
+        this._pendingToolUseIds = [];
+    }
+
+    // Forgets the project's conversation for good: the history, the summary
+    // and their saved copies.  Works before initialize() too, given the
+    // project directory.
+    async startFresh(directory = this.workingDirectory) {
+        if (this._compactionRequest) {
+            this._compactionRequest.abort();
+        }
+        this.clearHistory();
+        // A save still in flight would bring the file back
+        await this._historySave;
+        await Promise.all([HISTORY_FILE, SUMMARY_FILE]
+            .map(name => this._coachFile(name, directory))
+            .filter(Boolean)
+            .map(file => fsp.rm(file, { force: true })));
+    }
+
+    // { turns, summarised } — how much of the conversation the coach has
+    // (e.g. after reopening a project)
+    contextInfo() {
+        return {
+            turns: this.conversationHistory.filter(message => this._isTurnStart(message)).length,
+            summarised: this.currentSummary() !== null
+        };
     }
 
     isInitialized() {
-        return this.client !== null;
+        return this.provider !== null;
     }
 }
 
+// Sums two { inputTokens, outputTokens } (either may be null)
+function addUsage(a, b) {
+    if (!a || !b) return a || b || null;
+    return { inputTokens: (a.inputTokens || 0) + (b.inputTokens || 0), outputTokens: (a.outputTokens || 0) + (b.outputTokens || 0) };
+}
+
+// What a request stopped before it reached the provider rejects with, the
+// same as the providers' own
+function stoppedError() {
+    const error = new Error('Request stopped by user');
+    error.aborted = true;
+    return error;
+}
+
 module.exports = ClaudeService;
@@ -0,0 +1,336 @@
+// command_policy.js - Approval policy for shell commands proposed by Claude
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// graphbus subcommands that run without asking.  They only read the project
+// or write inside it (agents/, .graphbus/), which is what the coach does all
+// day; anything else — including other graphbus subcommands such as docker,
+// k8s or dashboard — needs the user's confirmation.  Overridable with
+// "autoApprove" in ~/.graphbus/command_policy.json.
+const DEFAULT_AUTO_APPROVE = [
+    'build',
+    'validate',
+    'inspect',
+    'inspect-negotiation',
+    'list-templates',
+    'generate',
+    'negotiate'
+];
+
+// Patterns that are never run, whatever the user clicks.  Entries from
+// "deny" in the config file are added to these, never substituted for them.
+const BUILTIN_DENY = [
+    {
+        pattern: /\b(curl|wget)\b[^|]*\|\s*(sudo\s+)?(ba|z|da|k)?sh\b/,
+        reason: 'pipes a download straight into a shell'
+    },
+    {
+        pattern: /\b(curl|wget)\b[^|]*\|\s*(sudo\s+)?(python3?|node|perl|ruby)\b/,
+        reason: 'pipes a download straight into an interpreter'
+    },
+    {
+        pattern: /(^|[\s;&|])sudo\b/,
+        reason: 'runs with elevated privileges'
+    },
+    {
+        pattern: /\bmkfs(\.\w+)?\b|\bdd\b[^;&|]*\bof=\/dev\//,
+        reason: 'writes to a block device'
+    }
+];
+
+// Anything that chains, substitutes or redirects can't be judged by its first
+// word, so it is never auto-approved (it may still be confirmed).
+const SHELL_META = /[;&|`<>\n]|\$\(/;
+
+// Commands whose path arguments are written to, and so must stay inside the
+// project.  For cp/mv/ln only the destination (last argument, or the
+// -t/--target-directory one) is checked.
+const WRITING_COMMANDS = new Set(['rm', 'rmdir', 'mkdir', 'touch', 'tee', 'chmod', 'chown', 'truncate']);
+const DESTINATION_COMMANDS = new Set(['cp', 'mv', 'ln', 'rsync']);
+const TARGET_DIRECTORY_COMMANDS = new Set(['cp', 'mv', 'ln']); // rsync's -t is --times
+
+// Programs that run the command in their arguments, with the options that
+// take a separate value (so that value isn't mistaken for the command).
+// 'env rm -rf ~' is judged as the rm it runs, as is the script of
+// 'bash -c "..."' or 'env -S "..."'.
+const WRAPPERS = {
+    env: ['-u', '--unset', '-C', '--chdir'],
+    command: [],
+    exec: ['-a'],
+    nice: ['-n', '--adjustment'],
+    nohup: [],
+    time: ['-f', '--format', '-o', '--output'],
+    timeout: ['-s', '--signal', '-k', '--kill-after'],
+    xargs: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--max-args', '--max-procs', '--max-chars']
+};
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+const MAX_UNWRAP_DEPTH = 5;
+const ASSIGNMENT = /^[A-Za-z_]\w*=/;
+
+// Splits a command line into pipeline segments of shell words.  This is a
+// deliberately small tokenizer — quotes and backslash escapes are honoured,
+// expansions are not — because its only job is to find command names and
+// path arguments for the checks below.  Anything it can't reason about falls
+// through to a confirmation dialog rather than being auto-approved.
+function splitCommand(command) {
+    const segments = [];
+    let words = [];
+    let word = '';
+    let inWord = false;
+    let quote = null;
+
+    const endWord = () => {
+        if (inWord) words.push(word);
+        word = '';
+        inWord = false;
+    };
+    const endSegment = () => {
+        endWord();
+        if (words.length > 0) segments.push(words);
+        words = [];
+    };
+
+    for (let i = 0; i < command.length; i++) {
+        const ch = command[i];
+
+        if (quote) {
+            if (ch === quote) {
+                quote = null;
+            } else if (ch === '\\' && quote === '"' && i + 1 < command.length) {
+                word += command[++i];
+            } else {
+                word += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            quote = ch;
+            inWord = true;
+        } else if (ch === '\\' && i + 1 < command.length) {
+            word += command[++i];
+            inWord = true;
+        } else if (ch === ';' || ch === '|' || ch === '&' || ch === '\n') {
+            // '2>&1' and '&>' belong to a redirection, not a separator
+            if (ch === '&' && (command[i - 1] === '>' || command[i + 1] === '>')) {
+                word += ch;
+                inWord = true;
+            } else {
+                endSegment();
+            }
+        } else if (/\s/.test(ch)) {
+            endWord();
+        } else {
+            word += ch;
+            inWord = true;
+        }
+    }
+    endSegment();
+    return segments;
+}
+
+// The commands one segment runs: the segment itself, plus whatever it hands
+// on through a variable assignment (FOO=1 rm ...), a wrapper from WRAPPERS
+// or a shell's -c script, unwrapped recursively.
+function commandsIn(words, depth = 0) {
+    const result = [words];
+    if (depth >= MAX_UNWRAP_DEPTH) return result;
+    const unwrap = (rest) => result.push(...commandsIn(rest, depth + 1));
+    const unwrapScript = (script) => splitCommand(script || '').forEach(unwrap);
+
+    let start = 0;
+    while (start < words.length && ASSIGNMENT.test(words[start])) start++;
+    if (start >= words.length) return result;
+    if (start > 0) {
+        unwrap(words.slice(start));
+        return result;
+    }
+
+    const program = path.basename(words[0]);
+    if (SHELLS.has(program)) {
+        const flag = words.findIndex((word, i) => i > 0 && /^-[a-zA-Z]*c[a-zA-Z]*$/.test(word));
+        if (flag !== -1) unwrapScript(words[flag + 1]);
+        return result;
+    }
+
+    const valueOptions = WRAPPERS[program];
+    if (!valueOptions) return result;
+
+    let positionalsToSkip = program === 'timeout' ? 1 : 0; // the duration
+    let i = 1;
+    while (i < words.length) {
+        const word = words[i];
+        if (word === '--') {
+            i++;
+            break;
+        }
+        if (program === 'env' && (word === '-S' || word === '--split-string')) {
+            unwrapScript(words[i + 1]);
+            return result;
+        }
+        if (word.startsWith('-')) {
+            i += valueOptions.includes(word) ? 2 : 1;
+        } else if (program === 'env' && ASSIGNMENT.test(word)) {
+            i++;
+        } else if (positionalsToSkip > 0) {
+            positionalsToSkip--;
+            i++;
+        } else {
+            break;
+        }
+    }
+    if (i < words.length) unwrap(words.slice(i));
+    return result;
+}
+
+// The value of cp/mv/ln's -t DIR, -tDIR, --target-directory DIR or
+// --target-directory=DIR, or null
+function targetDirectoryOf(args) {
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--target-directory' || /^-[a-zA-Z]*t$/.test(arg)) return args[i + 1] || null;
+        if (arg.startsWith('--target-directory=')) return arg.slice('--target-directory='.length);
+        if (/^-t./.test(arg)) return arg.slice(2);
+    }
+    return null;
+}
+
+function isInside(target, projectDir) {
+    const relative = path.relative(projectDir, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// null for a relative path when the directory it is relative to is unknown
+function resolvePath(arg, cwd) {
+    if (arg === '~' || arg.startsWith('~/')) {
+        return path.join(os.homedir(), arg.slice(1));
+    }
+    if (path.isAbsolute(arg)) {
+        return path.resolve(arg);
+    }
+    return cwd ? path.resolve(cwd, arg) : null;
+}
+
+class CommandPolicy {
+    constructor(configPath) {
+        this.configPath = configPath;
+    }
+
+    // Reads the optional config on every evaluation so edits take effect
+    // without restarting the app.  A broken file falls back to the defaults
+    // (the built-in denylist applies either way).
+    _loadConfig() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.configPath, 'utf-8'));
+            return {
+                autoApprove: Array.isArray(config.autoApprove) ? config.autoApprove : DEFAULT_AUTO_APPROVE,
+                deny: (Array.isArray(config.deny) ? config.deny : [])
+                    .filter(entry => entry && entry.pattern)
+                    .map(entry => ({ pattern: new RegExp(entry.pattern), reason: entry.reason || `matches "${entry.pattern}"` }))
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Ignoring invalid command policy config:', error.message);
+            }
+            return { autoApprove: DEFAULT_AUTO_APPROVE, deny: [] };
+        }
+    }
+
+    // Returns { decision: 'allow' | 'confirm' | 'deny', reason }.  Relative
+    // paths are resolved against cwd — the directory the command will
+    // actually run in, which for a terminal may have moved away from
+    // projectDir — and must still land inside projectDir.  cwd: null means
+    // it is unknown, and relative writes are then refused.
+    evaluate(command, projectDir, cwd = projectDir) {
+        const trimmed = (command || '').trim();
+        if (!trimmed) {
+            return { decision: 'deny', reason: 'empty command' };
+        }
+
+        const config = this._loadConfig();
+
+        for (const rule of [...BUILTIN_DENY, ...config.deny]) {
+            if (rule.pattern.test(trimmed)) {
+                return { decision: 'deny', reason: `Command ${rule.reason}` };
+            }
+        }
+
+        const segments = splitCommand(trimmed);
+
+        for (const words of segments.flatMap(segment => commandsIn(segment))) {
+            const reason = this._checkSegment(words, projectDir, cwd);
+            if (reason) {
+                return { decision: 'deny', reason };
+            }
+        }
+
+        if (!SHELL_META.test(trimmed) && segments.length === 1) {
+            const [program, subcommand] = segments[0];
+            if (program === 'graphbus' && config.autoApprove.includes(subcommand)) {
+                return { decision: 'allow', reason: `graphbus ${subcommand} is on the auto-approve list` };
+            }
+        }
+
+        return { decision: 'confirm', reason: 'Command is not on the auto-approve list' };
+    }
+
+    // Denylist checks that need the parsed words rather than a regex: rm -rf
+    // in any flag spelling, and writes that resolve outside projectDir.
+    // Programs are compared by name, so /bin/rm is rm.  Returns the reason
+    // to deny, or null.
+    _checkSegment(words, projectDir, cwd) {
+        const [programPath, ...args] = words;
+        const program = path.basename(programPath);
+
+        if (program === 'rm') {
+            const shortFlags = args.filter(arg => /^-[^-]/.test(arg)).join('');
+            const recursive = /[rR]/.test(shortFlags) || args.includes('--recursive');
+            const force = /f/.test(shortFlags) || args.includes('--force');
+            if (recursive && force) {
+                return 'Command runs rm -rf';
+            }
+        }
+
+        const targets = [];
+
+        // Redirections: '> file', '>> file', '2>file', '&>file'
+        for (let i = 0; i < words.length; i++) {
+            const match = words[i].match(/^(\d*|&)>>?(.*)$/);
+            if (!match) continue;
+            const target = match[2] || words[i + 1];
+            if (target && !target.startsWith('&')) targets.push(target);
+        }
+
+        const pathArgs = args.filter(arg => !arg.startsWith('-') && !/^(\d*|&)>/.test(arg));
+
+        if (program === 'cd' && pathArgs[0]) {
+            // Everything after a cd runs relative to it, so leaving the
+            // project counts as writing outside it
+            targets.push(pathArgs[0]);
+        } else if (WRITING_COMMANDS.has(program)) {
+            targets.push(...pathArgs);
+        } else if (DESTINATION_COMMANDS.has(program)) {
+            const targetDirectory = TARGET_DIRECTORY_COMMANDS.has(program) ? targetDirectoryOf(args) : null;
+            if (targetDirectory) {
+                targets.push(targetDirectory);
+            } else if (pathArgs.length > 1) {
+                targets.push(pathArgs[pathArgs.length - 1]);
+            }
+        }
+
+        for (const target of targets) {
+            if (target === '/dev/null') continue;
+            const resolved = resolvePath(target, cwd);
+            if (resolved === null) {
+                return `Command writes to a relative path (${target}) from a directory that can't be determined`;
+            }
+            if (!isInside(resolved, projectDir)) {
+                return `Command writes outside the project (${resolved})`;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = { CommandPolicy, splitCommand, SHELL_META };
@@ -0,0 +1,97 @@
+// diff_review.js - Unified diff parsing and partial patches for reviewing negotiation changes
+
+// Splits `git diff` output into files and hunks:
+//
+//   [{ path, isNew, isDeleted, isBinary, header: [lines], hunks: [{ header, lines }] }]
+//
+// header holds the 'diff --git' / 'index' / '---' / '+++' lines, which every
+// patch built from the file needs; hunks keep their '@@' line separately so
+// the review UI can show it and buildPatch() can pick hunks by index.
+function parseUnifiedDiff(text) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+
+    for (const line of text.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+            file = {
+                path: match ? match[2] : line.slice('diff --git '.length),
+                isNew: false,
+                isDeleted: false,
+                isBinary: false,
+                header: [line],
+                hunks: []
+            };
+            hunk = null;
+            files.push(file);
+        } else if (!file) {
+            continue;
+        } else if (line.startsWith('@@')) {
+            hunk = { header: line, lines: [] };
+            file.hunks.push(hunk);
+        } else if (hunk) {
+            // A trailing empty string comes from the final newline, not the diff
+            if (line !== '' || hunk.lines.length === 0) {
+                hunk.lines.push(line);
+            }
+        } else {
+            file.header.push(line);
+            if (line.startsWith('new file mode')) file.isNew = true;
+            if (line.startsWith('deleted file mode')) file.isDeleted = true;
+            if (line.startsWith('Binary files')) file.isBinary = true;
+        }
+    }
+
+    files.forEach(f => f.hunks.forEach(h => {
+        while (h.lines.length > 0 && h.lines[h.lines.length - 1] === '') h.lines.pop();
+    }));
+    return files;
+}
+
+// Builds a patch for one file containing only the hunks at hunkIndexes.
+//
+// Hunks keep their original line numbers.  That is what git apply needs in
+// both directions used here: forward with --cached, old-side positions are
+// relative to the index, which skipped hunks never touched; in reverse on the
+// working tree, new-side positions are relative to the working tree, which
+// still contains every hunk.
+function buildPatch(file, hunkIndexes) {
+    const hunks = hunkIndexes.map(i => file.hunks[i]).filter(Boolean);
+    if (hunks.length === 0) return '';
+
+    const lines = [...file.header];
+    hunks.forEach(h => lines.push(h.header, ...h.lines));
+    return lines.join('\n') + '\n';
+}
+
+// modified_files.json has been written as a list of paths, a list of
+// { path, proposal_id } records, { files: [...] }, and a { path: info } map
+// depending on the graphbus-core version.  Returns [{ path, proposals: [...] }].
+function readModifiedFiles(data) {
+    if (!data) return [];
+
+    let entries;
+    if (Array.isArray(data)) {
+        entries = data;
+    } else if (Array.isArray(data.files)) {
+        entries = data.files;
+    } else if (Array.isArray(data.modified_files)) {
+        entries = data.modified_files;
+    } else {
+        entries = Object.entries(data).map(([path, info]) => ({ path, ...(typeof info === 'object' ? info : {}) }));
+    }
+
+    return entries.map(entry => {
+        if (typeof entry === 'string') {
+            return { path: entry, proposals: [] };
+        }
+        const proposals = entry.proposals || entry.proposal_ids || (entry.proposal_id ? [entry.proposal_id] : []);
+        return {
+            path: entry.path || entry.file || entry.filename,
+            proposals: proposals.map(String)
+        };
+    }).filter(entry => entry.path);
+}
+
+module.exports = { parseUnifiedDiff, buildPatch, readModifiedFiles };
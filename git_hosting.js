@@ -0,0 +1,303 @@
+// git_hosting.js - Pull request providers for GitHub, GitLab, Gitea/Forgejo and local-only use
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const execFileAsync = promisify(execFile);
+
+// Network calls to a hosting API share the git timeout: a hung request must
+// not leave the PR step spinning forever.
+const HOSTING_TIMEOUT_MS = 60_000;
+
+// Lists (comments, reviews, notes) are fetched this many items at a time, up
+// to MAX_PAGES pages — far more feedback than any PR gets, but a bound on a
+// server whose Link headers never stop.
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+
+// Parses the remotes git accepts — git@host:group/repo.git,
+// ssh://git@host:2222/group/repo.git, https://host/group/repo — into
+// { host, repoPath }.  GitLab groups nest, so repoPath may have more than
+// two segments.
+function parseRemoteUrl(url) {
+    const trimmed = (url || '').trim();
+    let match = trimmed.match(/^[\w.-]+@([^:/]+):(.+?)(\.git)?\/?$/);
+    if (!match) {
+        match = trimmed.match(/^(?:ssh|https?|git):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+?)(\.git)?\/?$/);
+    }
+    return match ? { host: match[1], repoPath: match[2] } : null;
+}
+
+// Every provider returns pull requests in the same shape the PR panel reads:
+//   { number, state: 'OPEN' | 'MERGED' | 'CLOSED', title, url,
+//     comments: [{ id, kind: 'comment' | 'review' | 'inline', author, body, createdAt, path?, line? }] }
+class HostingProvider {
+    constructor({ type, label, host, repoPath, apiUrl, token, workingDirectory }) {
+        this.type = type;
+        this.label = label;
+        this.host = host;
+        this.repoPath = repoPath;
+        this.apiUrl = apiUrl;
+        this.token = token;
+        this.workingDirectory = workingDirectory;
+    }
+
+    // Whether branches have to be pushed before a PR can be opened
+    get pushes() {
+        return true;
+    }
+
+    describe() {
+        return { type: this.type, label: this.label, host: this.host, repo: this.repoPath, pushes: this.pushes, hasToken: Boolean(this.token) };
+    }
+
+    _headers() {
+        return {};
+    }
+
+    // Name of the query parameter that sets the page size
+    get _pageSizeParam() {
+        return 'per_page';
+    }
+
+    async _request(method, endpoint, body) {
+        const { data } = await this._send(method, `${this.apiUrl}${endpoint}`, body);
+        return data;
+    }
+
+    // GETs every page of a list endpoint, following the rel="next" URL of
+    // the Link header that GitHub, GitLab and Gitea all send, and returns the
+    // items of all pages in order.
+    async _requestAll(endpoint) {
+        const separator = endpoint.includes('?') ? '&' : '?';
+        let url = `${this.apiUrl}${endpoint}${separator}${this._pageSizeParam}=${PAGE_SIZE}`;
+        const items = [];
+
+        for (let page = 0; url && page < MAX_PAGES; page++) {
+            const { data, response } = await this._send('GET', url);
+            items.push(...(data || []));
+            const next = (response.headers.get('link') || '').match(/<([^>]+)>\s*;\s*rel="next"/);
+            url = next ? next[1] : null;
+        }
+        return items;
+    }
+
+    async _send(method, url, body) {
+        if (!this.token) {
+            throw new Error(`No ${this.label} token configured — add one in Settings → Git Hosting`);
+        }
+
+        const endpoint = url.startsWith(this.apiUrl) ? url.slice(this.apiUrl.length) : url;
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this._headers() },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(HOSTING_TIMEOUT_MS)
+        });
+
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+        if (!response.ok) {
+            const detail = data && (data.message || data.error || JSON.stringify(data));
+            throw new Error(`${this.label} API ${method} ${endpoint} failed (${response.status}): ${detail || response.statusText}`);
+        }
+        return { data, response };
+    }
+}
+
+class GitHubProvider extends HostingProvider {
+    _headers() {
+        return { Authorization: `Bearer ${this.token}`, Accept: 'application/vnd.github+json' };
+    }
+
+    async createPullRequest({ title, body, branch, base }) {
+        const pr = await this._request('POST', `/repos/${this.repoPath}/pulls`, { title, body, head: branch, base });
+        return { number: pr.number, url: pr.html_url };
+    }
+
+    async getPullRequest(number) {
+        const repo = `/repos/${this.repoPath}`;
+        const [pr, comments, reviews, inline] = await Promise.all([
+            this._request('GET', `${repo}/pulls/${number}`),
+            this._requestAll(`${repo}/issues/${number}/comments`),
+            this._requestAll(`${repo}/pulls/${number}/reviews`),
+            this._requestAll(`${repo}/pulls/${number}/comments`)
+        ]);
+
+        return {
+            number: pr.number,
+            state: pr.merged_at ? 'MERGED' : pr.state.toUpperCase(),
+            title: pr.title,
+            url: pr.html_url,
+            comments: [
+                ...comments.map(c => ({ id: `comment-${c.id}`, kind: 'comment', author: c.user?.login, body: c.body, createdAt: c.created_at })),
+                ...reviews.filter(r => r.body && r.body.trim()).map(r => ({
+                    id: `review-${r.id}`, kind: 'review', author: r.user?.login, body: r.body, createdAt: r.submitted_at, state: r.state
+                })),
+                ...inline.map(c => ({
+                    id: `inline-${c.id}`, kind: 'inline', author: c.user?.login, body: c.body, createdAt: c.created_at, path: c.path, line: c.line
+                }))
+            ]
+        };
+    }
+}
+
+class GitLabProvider extends HostingProvider {
+    _headers() {
+        return { 'PRIVATE-TOKEN': this.token };
+    }
+
+    get _project() {
+        return `/projects/${encodeURIComponent(this.repoPath)}`;
+    }
+
+    async createPullRequest({ title, body, branch, base }) {
+        const mr = await this._request('POST', `${this._project}/merge_requests`, {
+            title,
+            description: body,
+            source_branch: branch,
+            target_branch: base
+        });
+        return { number: mr.iid, url: mr.web_url };
+    }
+
+    async getPullRequest(number) {
+        const [mr, notes] = await Promise.all([
+            this._request('GET', `${this._project}/merge_requests/${number}`),
+            this._requestAll(`${this._project}/merge_requests/${number}/notes?sort=asc`)
+        ]);
+
+        const states = { opened: 'OPEN', merged: 'MERGED', closed: 'CLOSED', locked: 'CLOSED' };
+        return {
+            number: mr.iid,
+            state: states[mr.state] || mr.state.toUpperCase(),
+            title: mr.title,
+            url: mr.web_url,
+            // System notes ("added 1 commit", "approved this merge request") aren't feedback
+            comments: notes.filter(n => !n.system).map(n => ({
+                id: `note-${n.id}`,
+                kind: n.type === 'DiffNote' ? 'inline' : 'comment',
+                author: n.author?.username,
+                body: n.body,
+                createdAt: n.created_at,
+                path: n.position?.new_path,
+                line: n.position?.new_line
+            }))
+        };
+    }
+}
+
+class GiteaProvider extends HostingProvider {
+    _headers() {
+        return { Authorization: `token ${this.token}` };
+    }
+
+    get _pageSizeParam() {
+        return 'limit';
+    }
+
+    async createPullRequest({ title, body, branch, base }) {
+        const pr = await this._request('POST', `/repos/${this.repoPath}/pulls`, { title, body, head: branch, base });
+        return { number: pr.number, url: pr.html_url };
+    }
+
+    async getPullRequest(number) {
+        const repo = `/repos/${this.repoPath}`;
+        const [pr, comments, reviews] = await Promise.all([
+            this._request('GET', `${repo}/pulls/${number}`),
+            this._requestAll(`${repo}/issues/${number}/comments`),
+            this._requestAll(`${repo}/pulls/${number}/reviews`)
+        ]);
+
+        // Inline comments hang off each review rather than the PR
+        const inline = await Promise.all(reviews.map(r => this._requestAll(`${repo}/pulls/${number}/reviews/${r.id}/comments`)));
+
+        return {
+            number: pr.number,
+            state: pr.merged ? 'MERGED' : pr.state.toUpperCase(),
+            title: pr.title,
+            url: pr.html_url,
+            comments: [
+                ...comments.map(c => ({ id: `comment-${c.id}`, kind: 'comment', author: c.user?.login, body: c.body, createdAt: c.created_at })),
+                ...reviews.filter(r => r.body && r.body.trim()).map(r => ({
+                    id: `review-${r.id}`, kind: 'review', author: r.user?.login, body: r.body, createdAt: r.submitted_at, state: r.state
+                })),
+                ...inline.flat().map(c => ({
+                    id: `inline-${c.id}`, kind: 'inline', author: c.user?.login, body: c.body, createdAt: c.created_at, path: c.path, line: c.position
+                }))
+            ]
+        };
+    }
+}
+
+// No remote at all: the "pull request" is a patch file of the branch's
+// commits under .graphbus/patches/, for offline work or projects without a
+// supported host.  Nothing is pushed and there is no feedback to fetch.
+class LocalProvider extends HostingProvider {
+    get pushes() {
+        return false;
+    }
+
+    async createPullRequest({ branch, base }) {
+        const { stdout } = await execFileAsync('git', ['format-patch', '--stdout', `${base}..${branch}`], {
+            cwd: this.workingDirectory,
+            timeout: HOSTING_TIMEOUT_MS,
+            maxBuffer: 50 * 1024 * 1024
+        });
+
+        const patchDir = path.join(this.workingDirectory, '.graphbus', 'patches');
+        const patchFile = path.join(patchDir, `${branch.replace(/[^\w.-]+/g, '_')}.patch`);
+        await fsp.mkdir(patchDir, { recursive: true });
+        await fsp.writeFile(patchFile, stdout);
+        return { number: null, url: null, patchFile };
+    }
+
+    async getPullRequest() {
+        throw new Error('Local-only projects have no pull requests to fetch');
+    }
+}
+
+const PROVIDERS = {
+    github: { Provider: GitHubProvider, label: 'GitHub', tokenEnv: ['GITHUB_TOKEN', 'GH_TOKEN'], apiUrl: host => host === 'github.com' ? 'https://api.github.com' : `https://${host}/api/v3` },
+    gitlab: { Provider: GitLabProvider, label: 'GitLab', tokenEnv: ['GITLAB_TOKEN'], apiUrl: host => `https://${host}/api/v4` },
+    gitea: { Provider: GiteaProvider, label: 'Gitea/Forgejo', tokenEnv: ['GITEA_TOKEN', 'FORGEJO_TOKEN'], apiUrl: host => `https://${host}/api/v1` },
+    local: { Provider: LocalProvider, label: 'Local only', tokenEnv: [], apiUrl: () => null }
+};
+
+// Picks the provider for a repository.  config (from Settings) is
+//   { provider: 'auto' | 'github' | 'gitlab' | 'gitea' | 'local', apiUrl?, token? }
+// 'auto' means GitHub for github.com, GitLab for gitlab.com and local-only
+// for anything else — self-hosted servers have to be chosen explicitly,
+// since the host name says nothing about what runs there.
+function createHostingProvider(config, remoteUrl, workingDirectory) {
+    const remote = parseRemoteUrl(remoteUrl);
+    let type = config.provider || 'auto';
+
+    if (type === 'auto') {
+        if (remote && remote.host === 'github.com') type = 'github';
+        else if (remote && remote.host === 'gitlab.com') type = 'gitlab';
+        else type = 'local';
+    }
+    if (!PROVIDERS[type]) {
+        throw new Error(`Unknown git hosting provider "${type}"`);
+    }
+    if (type !== 'local' && !remote) {
+        throw new Error(`${PROVIDERS[type].label} needs an 'origin' remote to open pull requests against`);
+    }
+
+    const { Provider, label, tokenEnv, apiUrl } = PROVIDERS[type];
+    const envToken = tokenEnv.map(name => process.env[name]).find(Boolean);
+
+    return new Provider({
+        type,
+        label,
+        host: remote ? remote.host : null,
+        repoPath: remote ? remote.repoPath : null,
+        apiUrl: (config.apiUrl || (remote ? apiUrl(remote.host) : '') || '').replace(/\/+$/, ''),
+        token: config.token || envToken || null,
+        workingDirectory
+    });
+}
+
+module.exports = { createHostingProvider, parseRemoteUrl };
@@ -0,0 +1,259 @@
+// key_store.js - API keys and tokens encrypted at rest, under named profiles
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Keys live in ~/.graphbus/keys.json, one record per profile:
+//
+//   { "active": "work",
+//     "profiles": { "work": { "backend": "keychain", "data": "<base64>", "createdAt": ..., "updatedAt": ... } } }
+//
+// "keychain" records are encrypted with Electron's safeStorage, whose key is
+// held by the OS (Keychain on macOS, DPAPI on Windows, the Secret Service or
+// KWallet on Linux).  Where there is no such service — a headless Linux box,
+// a minimal window manager — safeStorage falls back to a hard-coded password,
+// which is no protection at all, so "file" records are used instead: AES-256-GCM
+// with a key from GRAPHBUS_KEYSTORE_PASSPHRASE (via scrypt) when it is set,
+// otherwise from a random secret readable only by the user.  That secret is
+// kept in the app's user-data folder rather than next to keys.json, so
+// ~/.graphbus on its own — copied to another machine, synced, attached to a
+// bug report — can't be decrypted.  It is no protection against anything
+// that can read the whole home directory: a full backup holds both files, and
+// any process running as the user can read them.  Only the passphrase, which
+// is never written to disk, guards against that.
+//
+// The Anthropic keys use keys.json; other secrets (the git hosting token)
+// get a store of their own through options.storeFile, sharing the secret.
+const FILE_CIPHER = 'aes-256-gcm';
+const PROFILE_NAME = /^[\w.-]{1,40}$/;
+const DEFAULT_PROFILE = 'default';
+
+class KeyStore {
+    // secretDir must not be configDir (see above); main passes Electron's
+    // userData folder.  options.legacyFile: null skips the claude_config.json
+    // migration, which only the API key store wants.
+    constructor(configDir, safeStorage, secretDir, { storeFile = 'keys.json', legacyFile = 'claude_config.json' } = {}) {
+        this.storePath = path.join(configDir, storeFile);
+        this.secretPath = path.join(secretDir, 'keys.secret');
+        this.legacyPath = legacyFile ? path.join(configDir, legacyFile) : null;
+        this.safeStorage = safeStorage;
+        // The legacy config is looked at once per run, on first use: not
+        // from here, because safeStorage isn't usable until the app is ready
+        this._migrated = false;
+    }
+
+    // 'keychain' or 'file' — what new keys are encrypted with.  safeStorage
+    // can only be asked once the app is ready.
+    backend() {
+        if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) {
+            return 'file';
+        }
+        if (typeof this.safeStorage.getSelectedStorageBackend === 'function'
+            && this.safeStorage.getSelectedStorageBackend() === 'basic_text') {
+            return 'file';
+        }
+        return 'keychain';
+    }
+
+    // { active, backend, profiles: [{ name, backend, createdAt, updatedAt }] }
+    // — never the keys themselves
+    list() {
+        const store = this._load();
+        return {
+            active: store.active,
+            backend: this.backend(),
+            profiles: Object.entries(store.profiles).map(([name, record]) => ({
+                name,
+                backend: record.backend,
+                createdAt: record.createdAt,
+                updatedAt: record.updatedAt
+            }))
+        };
+    }
+
+    activeProfile() {
+        return this._load().active;
+    }
+
+    // The decrypted key of a profile (the active one by default), or null
+    get(name = null) {
+        const store = this._load();
+        const record = store.profiles[name || store.active];
+        return record ? this._decrypt(record) : null;
+    }
+
+    // Without a name, replaces the active profile's key (or starts "default")
+    set(name, apiKey, { activate = true } = {}) {
+        const store = this._load();
+        name = name || store.active || DEFAULT_PROFILE;
+        if (!PROFILE_NAME.test(name)) {
+            throw new Error('Profile names may only use letters, digits, ".", "-" and "_" (up to 40 characters)');
+        }
+        const now = Date.now();
+        store.profiles[name] = {
+            ...this._encrypt(apiKey),
+            createdAt: store.profiles[name] ? store.profiles[name].createdAt : now,
+            updatedAt: now
+        };
+        if (activate || !store.active) {
+            store.active = name;
+        }
+        this._save(store);
+    }
+
+    setActive(name) {
+        const store = this._load();
+        if (!store.profiles[name]) {
+            throw new Error(`No saved key named "${name}"`);
+        }
+        store.active = name;
+        this._save(store);
+    }
+
+    // Removing the active profile makes the oldest remaining one active
+    remove(name = null) {
+        const store = this._load();
+        const target = name || store.active;
+        if (!target || !store.profiles[target]) {
+            return false;
+        }
+        delete store.profiles[target];
+        if (store.active === target) {
+            const [next] = Object.entries(store.profiles).sort(([, a], [, b]) => a.createdAt - b.createdAt);
+            store.active = next ? next[0] : null;
+        }
+        this._save(store);
+        return true;
+    }
+
+    _load() {
+        if (!this._migrated && this.legacyPath) {
+            this._migrated = true;
+            try {
+                this._migrateLegacyConfig();
+            } catch (error) {
+                console.error('Could not move the legacy API key into the key store:', error);
+            }
+        }
+        return this._read();
+    }
+
+    // keys.json, always in the { active, profiles } shape.  A file that
+    // doesn't parse is moved aside to keys.json.corrupt rather than left for
+    // the next save to overwrite, and the store starts out empty.
+    _read() {
+        let store;
+        try {
+            store = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { active: null, profiles: {} };
+            }
+            console.error('Error loading key store:', error);
+            if (error instanceof SyntaxError) {
+                try {
+                    fs.renameSync(this.storePath, `${this.storePath}.corrupt`);
+                    console.error(`Moved the unreadable key store to ${this.storePath}.corrupt`);
+                } catch (renameError) {
+                    console.error('Could not move the unreadable key store aside:', renameError);
+                }
+            }
+            return { active: null, profiles: {} };
+        }
+        const profiles = store && typeof store.profiles === 'object' && store.profiles !== null ? store.profiles : {};
+        return { active: (store && store.active) || null, profiles };
+    }
+
+    _save(store) {
+        fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+        fs.writeFileSync(this.storePath, JSON.stringify(store, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    }
+
+    // Earlier versions kept a single plaintext key in claude_config.json.  It
+    // becomes the "default" profile (or "imported", if that name is taken) and
+    // the plaintext file is deleted once the encrypted copy is written.
+    _migrateLegacyConfig() {
+        let legacy;
+        try {
+            legacy = JSON.parse(fs.readFileSync(this.legacyPath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading legacy key config:', error);
+            }
+            return;
+        }
+
+        if (legacy && legacy.apiKey) {
+            const store = this._read();
+            const name = store.profiles[DEFAULT_PROFILE] ? 'imported' : DEFAULT_PROFILE;
+            const now = Date.now();
+            store.profiles[name] = { ...this._encrypt(legacy.apiKey), createdAt: now, updatedAt: now };
+            store.active = store.active || name;
+            this._save(store);
+            console.log(`Moved the API key from ${this.legacyPath} into the encrypted key store as "${name}"`);
+        }
+        fs.unlinkSync(this.legacyPath);
+    }
+
+    _encrypt(plaintext) {
+        if (this.backend() === 'keychain') {
+            return { backend: 'keychain', data: this.safeStorage.encryptString(plaintext).toString('base64') };
+        }
+
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(FILE_CIPHER, this._fileKey(salt), iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+        return {
+            backend: 'file',
+            kdf: process.env.GRAPHBUS_KEYSTORE_PASSPHRASE ? 'passphrase' : 'secret-file',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    _decrypt(record) {
+        if (record.backend === 'keychain') {
+            if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) {
+                throw new Error('This key was saved with the OS keychain, which is not available now');
+            }
+            return this.safeStorage.decryptString(Buffer.from(record.data, 'base64'));
+        }
+
+        if (record.kdf === 'passphrase' && !process.env.GRAPHBUS_KEYSTORE_PASSPHRASE) {
+            throw new Error('This key was saved with GRAPHBUS_KEYSTORE_PASSPHRASE, which is not set');
+        }
+        const decipher = crypto.createDecipheriv(
+            FILE_CIPHER,
+            this._fileKey(Buffer.from(record.salt, 'base64'), record.kdf),
+            Buffer.from(record.iv, 'base64')
+        );
+        decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(record.data, 'base64')), decipher.final()]).toString('utf-8');
+    }
+
+    _fileKey(salt, kdf = null) {
+        const passphrase = process.env.GRAPHBUS_KEYSTORE_PASSPHRASE;
+        if ((kdf || (passphrase ? 'passphrase' : 'secret-file')) === 'passphrase') {
+            return crypto.scryptSync(passphrase, salt, 32);
+        }
+        return Buffer.from(crypto.hkdfSync('sha256', this._secret(), salt, 'graphbus key store', 32));
+    }
+
+    // The random secret behind 'secret-file' records, created on first use
+    _secret() {
+        try {
+            return fs.readFileSync(this.secretPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const secret = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(this.secretPath), { recursive: true });
+        fs.writeFileSync(this.secretPath, secret, { mode: 0o600 });
+        return secret;
+    }
+}
+
+module.exports = KeyStore;
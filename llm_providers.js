@@ -0,0 +1,322 @@
+// llm_providers.js - Model backends for the coach: Anthropic, OpenAI-compatible and local servers
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Default Anthropic model for coaching conversations.
+//
+// Using the undated alias ('claude-sonnet-4-6') rather than a dated snapshot
+// ('claude-sonnet-4-5-20250929') so Anthropic's API always resolves to the
+// latest stable Sonnet.  Dated snapshots eventually get deprecated and require
+// a code change to avoid 404s; the undated alias sidesteps that entirely.
+const CLAUDE_MODEL = 'claude-sonnet-4-6';
+
+// A local model can take a while to load on first use, so allow longer than
+// the hosting APIs get before giving up on listing models.
+const MODEL_LIST_TIMEOUT_MS = 15_000;
+
+// Every provider takes the conversation in the Anthropic Messages shape that
+// ClaudeService keeps its history in — user/assistant turns whose content is
+// text, tool_use and tool_result blocks — and gives the reply back in the same
+// shape:
+//
+//   complete({ system, messages, tools, allowTools, maxTokens, onText, signal })
+//     → { content: [{ type: 'text', text } | { type: 'tool_use', id, name, input }],
+//         usage: { inputTokens, outputTokens } | null }
+//
+// so a conversation can move between providers without being rewritten.  A
+// request cancelled through signal rejects with an error whose .aborted is true.
+class LlmProvider {
+    constructor({ type, label, model, baseUrl, apiKey }) {
+        this.type = type;
+        this.label = label;
+        this.model = model;
+        this.baseUrl = baseUrl;
+        this.apiKey = apiKey;
+    }
+
+    describe() {
+        return { type: this.type, label: this.label, model: this.model, baseUrl: this.baseUrl || null };
+    }
+
+    // Only tool calls for tools that were offered go back to the caller.  The
+    // renderer runs whatever it is told to, so a local server or proxy that
+    // answers with some other tool name (a leftover "execute_python", say)
+    // must not get that far.
+    _offeredOnly(content, tools) {
+        const offered = new Set((tools || []).map(tool => tool.name));
+        return content.filter(block => {
+            if (block.type !== 'tool_use' || offered.has(block.name)) return true;
+            console.warn(`${this.label} called a tool that was not offered ("${block.name}"); ignoring it`);
+            return false;
+        });
+    }
+}
+
+class AnthropicProvider extends LlmProvider {
+    constructor(options) {
+        super(options);
+        this.client = new Anthropic({ apiKey: this.apiKey, ...(this.baseUrl ? { baseURL: this.baseUrl } : {}) });
+    }
+
+    async complete({ system, messages, tools, allowTools = true, maxTokens, onText, signal }) {
+        try {
+            const stream = this.client.messages.stream({
+                model: this.model,
+                max_tokens: maxTokens,
+                system,
+                tools,
+                tool_choice: allowTools ? { type: 'auto' } : { type: 'none' },
+                messages
+            }, { signal });
+            if (onText) {
+                stream.on('text', (delta) => onText(delta));
+            }
+            const response = await stream.finalMessage();
+
+            return {
+                // Keep only the fields the API accepts back in a request
+                content: this._offeredOnly(response.content
+                    .filter(block => block.type === 'text' || block.type === 'tool_use')
+                    .map(block => block.type === 'text'
+                        ? { type: 'text', text: block.text }
+                        : { type: 'tool_use', id: block.id, name: block.name, input: block.input }), tools),
+                usage: response.usage
+                    ? { inputTokens: response.usage.input_tokens, outputTokens: response.usage.output_tokens }
+                    : null
+            };
+        } catch (error) {
+            if (error instanceof Anthropic.APIUserAbortError) {
+                throw abortedError();
+            }
+            throw error;
+        }
+    }
+
+    async listModels() {
+        const page = await this.client.models.list({ limit: 100 });
+        return page.data.map(model => model.id);
+    }
+}
+
+// Anything that speaks the OpenAI Chat Completions API: OpenAI itself, Azure
+// and the gateways that imitate it, vLLM, LM Studio, Ollama's /v1 and
+// llama.cpp's server.  Requests go over plain fetch with server-sent events,
+// so no SDK is needed.
+class OpenAICompatibleProvider extends LlmProvider {
+    _headers() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        };
+    }
+
+    async complete({ system, messages, tools, allowTools = true, maxTokens, onText, signal }) {
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: this._headers(),
+                body: JSON.stringify({
+                    model: this.model,
+                    max_tokens: maxTokens,
+                    stream: true,
+                    // Ask for token counts in the last chunk, for the usage ledger;
+                    // servers that don't know the option ignore it
+                    stream_options: { include_usage: true },
+                    messages: toOpenAIMessages(system, messages),
+                    tools: tools.map(tool => ({
+                        type: 'function',
+                        function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+                    })),
+                    tool_choice: allowTools ? 'auto' : 'none'
+                }),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw abortedError();
+            throw new Error(`${this.label} at ${this.baseUrl} is not reachable: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const detail = await response.text();
+            throw new Error(`${response.status} ${response.statusText}: ${detail.slice(0, 500)}`);
+        }
+
+        let text = '';
+        const toolCalls = []; // by index: { id, name, arguments }
+        let usage = null;
+
+        try {
+            for await (const data of serverSentEvents(response.body)) {
+                if (data === '[DONE]') break;
+                const chunk = JSON.parse(data);
+                if (chunk.usage) {
+                    usage = { inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens };
+                }
+                const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+                if (!delta) continue;
+
+                if (delta.content) {
+                    text += delta.content;
+                    if (onText) onText(delta.content);
+                }
+                // Tool calls arrive in pieces: the id and name first, then the
+                // JSON arguments a fragment at a time
+                (delta.tool_calls || []).forEach(part => {
+                    const index = part.index ?? toolCalls.length;
+                    const call = toolCalls[index] || (toolCalls[index] = { id: null, name: '', arguments: '' });
+                    if (part.id) call.id = part.id;
+                    if (part.function && part.function.name) call.name += part.function.name;
+                    if (part.function && part.function.arguments) call.arguments += part.function.arguments;
+                });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw abortedError();
+            throw error;
+        }
+
+        const content = [];
+        if (text.trim()) {
+            content.push({ type: 'text', text });
+        }
+        toolCalls.filter(Boolean).forEach((call, i) => content.push({
+            type: 'tool_use',
+            // Some local servers leave the id out; the history needs one to
+            // pair the tool result with
+            id: call.id || `call_${Date.now().toString(36)}_${i}`,
+            name: call.name,
+            input: parseToolArguments(call.arguments)
+        }));
+        return { content: this._offeredOnly(content, tools), usage };
+    }
+
+    async listModels() {
+        const response = await fetch(`${this.baseUrl}/models`, {
+            headers: this._headers(),
+            signal: AbortSignal.timeout(MODEL_LIST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`${this.label} model list failed (${response.status})`);
+        }
+        const data = await response.json();
+        return (data.data || []).map(model => model.id);
+    }
+}
+
+// A model on this machine or the local network.  Ollama and llama.cpp's
+// server both expose the OpenAI-compatible API, so this only differs in its
+// defaults and in not needing a key.
+class LocalProvider extends OpenAICompatibleProvider {}
+
+const PROVIDERS = {
+    anthropic: { Provider: AnthropicProvider, label: 'Anthropic', needsKey: true, keyEnv: 'ANTHROPIC_API_KEY', defaultModel: CLAUDE_MODEL, defaultBaseUrl: null },
+    openai: { Provider: OpenAICompatibleProvider, label: 'OpenAI-compatible', needsKey: true, keyEnv: 'OPENAI_API_KEY', defaultModel: 'gpt-4o', defaultBaseUrl: 'https://api.openai.com/v1' },
+    local: { Provider: LocalProvider, label: 'Local (Ollama / llama.cpp)', needsKey: false, keyEnv: null, defaultModel: 'llama3.1', defaultBaseUrl: 'http://localhost:11434/v1' }
+};
+
+// For the Settings view
+function listProviders() {
+    return Object.entries(PROVIDERS).map(([type, { label, needsKey, keyEnv, defaultModel, defaultBaseUrl }]) => ({
+        type, label, needsKey, keyEnv, defaultModel, defaultBaseUrl
+    }));
+}
+
+// config: { provider: 'anthropic' | 'openai' | 'local', model?, baseUrl?, apiKey? }
+// Missing fields fall back to the provider's defaults.
+function createLlmProvider(config = {}) {
+    const type = config.provider || 'anthropic';
+    if (!PROVIDERS[type]) {
+        throw new Error(`Unknown model provider "${type}"`);
+    }
+
+    const { Provider, label, needsKey, defaultModel, defaultBaseUrl } = PROVIDERS[type];
+    if (needsKey && !config.apiKey) {
+        throw new Error(`${label} needs an API key`);
+    }
+
+    return new Provider({
+        type,
+        label,
+        model: config.model || defaultModel,
+        baseUrl: (config.baseUrl || defaultBaseUrl || '').replace(/\/+$/, '') || null,
+        apiKey: config.apiKey || null
+    });
+}
+
+function abortedError() {
+    const error = new Error('Request stopped by user');
+    error.aborted = true;
+    return error;
+}
+
+function parseToolArguments(text) {
+    if (!text || !text.trim()) return {};
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        // Small models sometimes produce broken JSON; pass it on so the tool
+        // reports a useful error instead of the turn failing here
+        return { _unparsedArguments: text };
+    }
+}
+
+// Anthropic-shaped history → Chat Completions messages.  tool_result blocks
+// become role:'tool' messages, which must come straight after the assistant
+// message that called the tools, so they go before any text in the same turn.
+function toOpenAIMessages(system, messages) {
+    const result = system ? [{ role: 'system', content: system }] : [];
+
+    messages.forEach(message => {
+        if (typeof message.content === 'string') {
+            result.push({ role: message.role, content: message.content });
+            return;
+        }
+
+        const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('\n\n');
+
+        if (message.role === 'assistant') {
+            const calls = message.content.filter(block => block.type === 'tool_use');
+            result.push({
+                role: 'assistant',
+                content: text || null,
+                ...(calls.length > 0 ? {
+                    tool_calls: calls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.input || {}) }
+                    }))
+                } : {})
+            });
+            return;
+        }
+
+        message.content.filter(block => block.type === 'tool_result').forEach(block => result.push({
+            role: 'tool',
+            tool_call_id: block.tool_use_id,
+            content: block.is_error ? `Error: ${block.content}` : block.content
+        }));
+        if (text) {
+            result.push({ role: 'user', content: text });
+        }
+    });
+
+    return result;
+}
+
+// Yields the data field of each event in a text/event-stream body
+async function* serverSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).replace(/\r$/, '');
+            buffer = buffer.slice(newline + 1);
+            if (line.startsWith('data:')) {
+                yield line.slice(5).trim();
+            }
+        }
+    }
+}
+
+module.exports = { createLlmProvider, listProviders };
@@ -1,5 +1,5 @@
 // main.js - Electron main process
-const { app, BrowserWindow, ipcMain, dialog, Menu, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, shell, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const fsp = fs.promises; // async file I/O — never blocks the Electron main-process event loop
@@ -8,14 +8,21 @@ const { exec, execFile, spawn } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const execFileAsync = promisify(execFile);
-const PythonBridge = require('./python_bridge');
-const ClaudeService = require('./claude_service');
-
-// Timeout for git and GitHub CLI operations.
-// git push and gh pr create are network calls and can hang indefinitely if:
+const { CommandPolicy, splitCommand, SHELL_META } = require('./command_policy');
+const KeyStore = require('./key_store');
+const { createLlmProvider, listProviders } = require('./llm_providers');
+const { ProjectSession, RecentProjects } = require('./workspace');
+const { buildNegotiationTimeline } = require('./negotiation_timeline');
+const { transformGraphData } = require('./project_context');
+const { parseUnifiedDiff, buildPatch, readModifiedFiles } = require('./diff_review');
+const { createHostingProvider } = require('./git_hosting');
+const { UsageLedger, parseUsageFromOutput } = require('./usage_ledger');
+
+// Timeout for git and hosting API operations.
+// git push and PR creation are network calls and can hang indefinitely if:
 //   - The remote is unreachable or slow (TCP timeout is OS-level, often 2+ min)
 //   - SSH auth requires an interactive passphrase prompt
-//   - GitHub rate-limiting holds the connection open
+//   - The hosting API rate-limits and holds the connection open
 // Without a timeout, a stuck IPC handler blocks the entire Electron main-process
 // event loop, freezing the UI with no recovery path short of killing the app.
 // 60 s is generous for a push/PR creation on a reasonable connection; local-only
@@ -23,10 +30,6 @@ const ClaudeService = require('./claude_service');
 // share the same constant for simplicity.
 const GIT_TIMEOUT_MS = 60_000;
 
-let mainWindow;
-let pythonBridge;
-let claudeService;
-
 // Parse working directory from command line arguments
 // Supports: npm start -- /path/to/dir  OR  npm start -- --dir=/path/to/dir
 function parseWorkingDirectory() {
@@ -56,11 +59,20 @@ function parseWorkingDirectory() {
     return process.cwd();
 }
 
-let workingDirectory = parseWorkingDirectory();
+// The project the first window opens; later windows pick their own
+const startupDirectory = parseWorkingDirectory();
 
 // Config file path
 const configDir = path.join(os.homedir(), '.graphbus');
-const configFile = path.join(configDir, 'claude_config.json');
+const hostingConfigFile = path.join(configDir, 'hosting_config.json');
+const llmConfigFile = path.join(configDir, 'llm_config.json');
+const commandPolicy = new CommandPolicy(path.join(configDir, 'command_policy.json'));
+const keyStore = new KeyStore(configDir, safeStorage, app.getPath('userData'));
+// The git hosting access token, encrypted like the API keys but in a store of
+// its own so it never shows up among the Anthropic key profiles
+const hostingTokens = new KeyStore(configDir, safeStorage, app.getPath('userData'), { storeFile: 'hosting_keys.json', legacyFile: null });
+const HOSTING_TOKEN_PROFILE = 'token';
+const usageLedger = new UsageLedger(path.join(configDir, 'usage_config.json'));
 
 // Ensure config directory exists
 function ensureConfigDir() {
@@ -69,7 +81,9 @@ function ensureConfigDir() {
     }
 }
 
-// Load API key from config file or environment variable
+// API keys are kept in the encrypted key store (key_store.js), under named
+// profiles; the first time it is read, a plaintext claude_config.json from
+// earlier versions is moved into it.
 function loadApiKey() {
     // First, check environment variable
     if (process.env.ANTHROPIC_API_KEY) {
@@ -77,29 +91,25 @@ function loadApiKey() {
         return process.env.ANTHROPIC_API_KEY;
     }
 
-    // Second, check config file
+    // Second, the active profile in the key store
     try {
-        if (fs.existsSync(configFile)) {
-            const config = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
-            if (config.apiKey) {
-                console.log('Loaded API key from', configFile);
-                return config.apiKey;
-            }
+        const apiKey = keyStore.get();
+        if (apiKey) {
+            console.log(`Loaded API key from key store profile "${keyStore.activeProfile()}"`);
+            return apiKey;
         }
     } catch (error) {
-        console.error('Error loading config file:', error);
+        console.error('Error loading API key from key store:', error);
     }
 
     return null;
 }
 
-// Save API key to config file
-function saveApiKey(apiKey) {
+// Save API key under a profile (by default, the active one) and make it active
+function saveApiKey(apiKey, profile = null) {
     try {
-        ensureConfigDir();
-        const config = { apiKey };
-        fs.writeFileSync(configFile, JSON.stringify(config, null, 2), 'utf-8');
-        console.log('API key saved to', configFile);
+        keyStore.set(profile, apiKey);
+        console.log(`API key saved to key store profile "${keyStore.activeProfile()}" (${keyStore.backend()})`);
         return true;
     } catch (error) {
         console.error('Error saving API key:', error);
@@ -107,12 +117,11 @@ function saveApiKey(apiKey) {
     }
 }
 
-// Delete API key from config file
-function deleteApiKey() {
+// Delete a profile's API key (by default, the active one's)
+function deleteApiKey(profile = null) {
     try {
-        if (fs.existsSync(configFile)) {
-            fs.unlinkSync(configFile);
-            console.log('API key deleted from', configFile);
+        if (keyStore.remove(profile)) {
+            console.log(`API key ${profile ? `"${profile}" ` : ''}deleted from key store`);
         }
         return true;
     } catch (error) {
@@ -121,6 +130,130 @@ function deleteApiKey() {
     }
 }
 
+// Model settings: which provider and model the coach (and the graphbus CLI's
+// agents) use.  ~/.graphbus/llm_config.json holds the defaults and a
+// project's .graphbus/llm_config.json overrides any of its fields:
+//   { provider: 'anthropic' | 'openai' | 'local', model?, baseUrl?, keyProfile? }
+// keyProfile pins a saved key (key_store.js) instead of the usual one.
+function projectLlmConfigFile(directory) {
+    return path.join(directory, '.graphbus', 'llm_config.json');
+}
+
+function readJsonConfig(file) {
+    try {
+        if (fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+        }
+    } catch (error) {
+        console.error(`Error loading ${file}:`, error);
+    }
+    return null;
+}
+
+function resolveLlmConfig(directory) {
+    const global = readJsonConfig(llmConfigFile) || {};
+    const project = readJsonConfig(projectLlmConfigFile(directory)) || {};
+    // Empty fields in the override mean "as in the defaults"
+    const overrides = Object.fromEntries(Object.entries(project).filter(([, value]) => value));
+    return { provider: 'anthropic', ...global, ...overrides };
+}
+
+// The key for a model config: a pinned profile, else the provider's
+// environment variable, else — for Anthropic only — the active saved key.
+// Other providers never get the active key, which is usually an Anthropic
+// one that has no business being sent to another server.
+function llmApiKey(config) {
+    if (config.keyProfile) {
+        return keyStore.get(config.keyProfile);
+    }
+    const provider = listProviders().find(p => p.type === config.provider);
+    if (provider && provider.keyEnv && process.env[provider.keyEnv]) {
+        return process.env[provider.keyEnv];
+    }
+    return config.provider === 'anthropic' ? loadApiKey() : null;
+}
+
+// Points a project's coach at its configured model.  keepHistory switches a
+// running conversation over; otherwise the coach starts fresh.  Returns false
+// (leaving the coach as it was) when the provider needs a key and has none.
+function connectCoach(session, { keepHistory = false } = {}) {
+    const config = resolveLlmConfig(session.directory);
+    const apiKey = llmApiKey(config);
+    const provider = listProviders().find(p => p.type === config.provider);
+    if (provider && provider.needsKey && !apiKey) {
+        return false;
+    }
+
+    if (keepHistory && session.claudeService.isInitialized()) {
+        session.claudeService.reconfigure(apiKey, config);
+    } else {
+        session.claudeService.initialize(apiKey, session.directory, config);
+    }
+    return true;
+}
+
+function effectiveModel(config) {
+    const provider = listProviders().find(p => p.type === config.provider);
+    return config.model || (provider ? provider.defaultModel : '');
+}
+
+// Environment for graphbus CLI commands, so builds and negotiations use the
+// same model and key as the coach.  Only a lone graphbus command gets it:
+// anything else (say, an assistant-proposed 'env', or 'graphbus build; env')
+// would leak the key, so the command has to start with the graphbus
+// executable and must not chain, pipe or substitute anything after it.
+function llmEnvFor(session, command) {
+    const segments = splitCommand(command.trim());
+    if (SHELL_META.test(command) || segments.length !== 1 || segments[0][0] !== 'graphbus') {
+        return {};
+    }
+    const config = resolveLlmConfig(session.directory);
+    let apiKey = null;
+    try {
+        apiKey = llmApiKey(config);
+    } catch (error) {
+        console.error('Could not read the model API key for a graphbus command:', error);
+    }
+    const provider = listProviders().find(p => p.type === config.provider) || {};
+    return {
+        GRAPHBUS_LLM_PROVIDER: config.provider,
+        GRAPHBUS_LLM_MODEL: effectiveModel(config),
+        ...(config.baseUrl || provider.defaultBaseUrl ? { GRAPHBUS_LLM_BASE_URL: config.baseUrl || provider.defaultBaseUrl } : {}),
+        ...(apiKey ? { GRAPHBUS_LLM_API_KEY: apiKey } : {}),
+        // The CLI reads the Anthropic key from here too
+        ...(apiKey && config.provider === 'anthropic' && !process.env.ANTHROPIC_API_KEY ? { ANTHROPIC_API_KEY: apiKey } : {})
+    };
+}
+
+// Git hosting settings: which provider opens pull requests, plus its API
+// URL.  { provider: 'auto' } picks the provider from the origin remote.  The
+// token is not in here but in hostingTokens.
+function loadHostingConfig() {
+    try {
+        if (fs.existsSync(hostingConfigFile)) {
+            return JSON.parse(fs.readFileSync(hostingConfigFile, 'utf-8'));
+        }
+    } catch (error) {
+        console.error('Error loading hosting config:', error);
+    }
+    return { provider: 'auto' };
+}
+
+// The saved hosting token, or null (also when it can't be decrypted)
+function hostingToken() {
+    try {
+        return hostingTokens.get(HOSTING_TOKEN_PROFILE);
+    } catch (error) {
+        console.error('Could not read the git hosting token:', error);
+        return null;
+    }
+}
+
+function saveHostingConfig(config) {
+    ensureConfigDir();
+    fs.writeFileSync(hostingConfigFile, JSON.stringify(config, null, 2), 'utf-8');
+}
+
 function createApplicationMenu() {
     const isMac = process.platform === 'darwin';
 
@@ -149,22 +282,34 @@ function createApplicationMenu() {
                     label: 'New Project...',
                     accelerator: 'CmdOrCtrl+N',
                     click: () => {
-                        mainWindow.webContents.send('menu:new-project');
+                        sendToFocusedWindow('menu:new-project');
                     }
                 },
                 {
                     label: 'Open Project...',
                     accelerator: 'CmdOrCtrl+O',
                     click: () => {
-                        mainWindow.webContents.send('menu:open-project');
+                        sendToFocusedWindow('menu:open-project');
                     }
                 },
+                {
+                    label: 'New Window...',
+                    accelerator: 'CmdOrCtrl+Alt+N',
+                    click: () => openProjectInNewWindow()
+                },
                 { type: 'separator' },
                 {
-                    label: 'Change Working Directory...',
+                    label: 'Open Directory in New Tab...',
                     accelerator: 'CmdOrCtrl+Shift+O',
                     click: () => {
-                        mainWindow.webContents.send('menu:change-directory');
+                        sendToFocusedWindow('menu:change-directory');
+                    }
+                },
+                {
+                    label: 'Close Project Tab',
+                    accelerator: 'CmdOrCtrl+Shift+W',
+                    click: () => {
+                        sendToFocusedWindow('menu:close-project');
                     }
                 },
                 { type: 'separator' },
@@ -202,28 +347,63 @@ function createApplicationMenu() {
                     label: 'Agent Graph',
                     accelerator: 'CmdOrCtrl+1',
                     click: () => {
-                        mainWindow.webContents.send('menu:switch-view', 'graph');
+                        sendToFocusedWindow('menu:switch-view', 'graph');
                     }
                 },
                 {
                     label: 'Conversation',
                     accelerator: 'CmdOrCtrl+2',
                     click: () => {
-                        mainWindow.webContents.send('menu:switch-view', 'conversation');
+                        sendToFocusedWindow('menu:switch-view', 'conversation');
                     }
                 },
                 {
                     label: 'System State',
                     accelerator: 'CmdOrCtrl+3',
                     click: () => {
-                        mainWindow.webContents.send('menu:switch-view', 'state');
+                        sendToFocusedWindow('menu:switch-view', 'state');
                     }
                 },
                 {
                     label: 'Settings',
                     accelerator: 'CmdOrCtrl+4',
                     click: () => {
-                        mainWindow.webContents.send('menu:switch-view', 'settings');
+                        sendToFocusedWindow('menu:switch-view', 'settings');
+                    }
+                },
+                {
+                    label: 'Bus Monitor',
+                    accelerator: 'CmdOrCtrl+5',
+                    click: () => {
+                        sendToFocusedWindow('menu:switch-view', 'bus');
+                    }
+                },
+                {
+                    label: 'Runtime Console',
+                    accelerator: 'CmdOrCtrl+6',
+                    click: () => {
+                        sendToFocusedWindow('menu:switch-view', 'console');
+                    }
+                },
+                {
+                    label: 'Event Composer',
+                    accelerator: 'CmdOrCtrl+7',
+                    click: () => {
+                        sendToFocusedWindow('menu:switch-view', 'composer');
+                    }
+                },
+                {
+                    label: 'Jobs',
+                    accelerator: 'CmdOrCtrl+8',
+                    click: () => {
+                        sendToFocusedWindow('menu:switch-view', 'jobs');
+                    }
+                },
+                {
+                    label: 'Terminal',
+                    accelerator: 'CmdOrCtrl+9',
+                    click: () => {
+                        sendToFocusedWindow('menu:switch-view', 'terminal');
                     }
                 },
                 { type: 'separator' },
@@ -247,14 +427,20 @@ function createApplicationMenu() {
                     label: 'Build Agents',
                     accelerator: 'CmdOrCtrl+B',
                     click: () => {
-                        mainWindow.webContents.send('menu:build-agents');
+                        sendToFocusedWindow('menu:build-agents');
                     }
                 },
                 {
                     label: 'Run Negotiation...',
                     accelerator: 'CmdOrCtrl+Shift+N',
                     click: () => {
-                        mainWindow.webContents.send('menu:negotiate');
+                        sendToFocusedWindow('menu:negotiate');
+                    }
+                },
+                {
+                    label: 'Roll Back Negotiation...',
+                    click: () => {
+                        sendToFocusedWindow('menu:rollback-negotiation');
                     }
                 },
                 { type: 'separator' },
@@ -262,14 +448,14 @@ function createApplicationMenu() {
                     label: 'Start Runtime',
                     accelerator: 'CmdOrCtrl+R',
                     click: () => {
-                        mainWindow.webContents.send('menu:start-runtime');
+                        sendToFocusedWindow('menu:start-runtime');
                     }
                 },
                 {
                     label: 'Stop Runtime',
                     accelerator: 'CmdOrCtrl+Shift+R',
                     click: () => {
-                        mainWindow.webContents.send('menu:stop-runtime');
+                        sendToFocusedWindow('menu:stop-runtime');
                     }
                 }
             ]
@@ -312,7 +498,7 @@ function createApplicationMenu() {
                 {
                     label: 'About GraphBus UI',
                     click: () => {
-                        dialog.showMessageBox(mainWindow, {
+                        dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
                             type: 'info',
                             title: 'About GraphBus UI',
                             message: 'GraphBus UI',
@@ -328,8 +514,132 @@ function createApplicationMenu() {
     Menu.setApplicationMenu(menu);
 }
 
-function createWindow() {
-    mainWindow = new BrowserWindow({
+// Windows and projects
+//
+// Every open project is a ProjectSession (workspace.js) with its own Python
+// bridge, Claude conversation and terminals; jobs in the process registry
+// carry the id of the session that started them.  Each window has its own
+// set of sessions — shown one at a time, the active one, with the others as
+// tabs — so two projects can sit side by side in two windows.  The IPC
+// handlers find their project with sessionFor(event), from the window that
+// sent the request, rather than from any module-level state.  Switching
+// projects reloads the window, which then reads everything from the newly
+// active project; background sessions keep running, but their runtime and
+// terminal events are not shown until their tab is active again.
+//
+// A window's state, keyed by its webContents id:
+//   { window, sessions: Map<id, ProjectSession>, active, generation }
+// generation is bumped on every reload, so output of a stream started before
+// it isn't delivered to the reloaded page, which has no handlers for it.
+const windowStates = new Map();
+const recentProjects = new RecentProjects(path.join(configDir, 'recent_projects.json'));
+
+function windowStateFor(event) {
+    const state = windowStates.get(event.sender.id);
+    if (!state) {
+        throw new Error('Request from a window that has been closed');
+    }
+    return state;
+}
+
+function sessionFor(event) {
+    return windowStateFor(event).active;
+}
+
+// The window a session is open in (null once it has been closed)
+function ownerOf(sessionId) {
+    for (const state of windowStates.values()) {
+        if (state.sessions.has(sessionId)) return state;
+    }
+    return null;
+}
+
+function sendToWindow(session, channel, data) {
+    const state = ownerOf(session.id);
+    if (state && state.active === session && !state.window.isDestroyed()) {
+        state.window.webContents.send(channel, data);
+    }
+}
+
+// Menu items act on whichever window has focus
+function sendToFocusedWindow(channel, ...args) {
+    const window = BrowserWindow.getFocusedWindow();
+    if (window && !window.isDestroyed()) {
+        window.webContents.send(channel, ...args);
+    }
+}
+
+function openSession(state, directory) {
+    const existing = [...state.sessions.values()].find(s => s.directory === directory);
+    if (existing) return existing;
+
+    const session = new ProjectSession(directory);
+    state.sessions.set(session.id, session);
+
+    // Push every message published on the runtime's bus to the Bus Monitor,
+    // and every method call to the graph's flow overlay.
+    session.pythonBridge.on('bus-message', (message) => sendToWindow(session, 'graphbus:bus-message', message));
+    session.pythonBridge.on('method-call', (call) => sendToWindow(session, 'graphbus:method-call', call));
+
+    // The runtime worker shows up in the Jobs panel like any other process;
+    // killing it there stops the runtime.
+    session.pythonBridge.on('worker-spawned', (child) => {
+        const jobId = registerJob('runtime', 'runtime worker', child, session);
+        child.on('exit', (code) => finishJob(jobId, code === 0 ? 'completed' : 'failed', code));
+    });
+
+    // Pseudo-terminals for the Terminal view.  Each shell is also a job, so
+    // it shows up in the Jobs panel and is stopped when the app quits.
+    session.terminalManager.on('data', (id, data) => sendToWindow(session, 'terminal:data', { id, data }));
+    session.terminalManager.on('exit', (id, exitCode) => {
+        const jobId = session.terminalJobs.get(id);
+        session.terminalJobs.delete(id);
+        finishJob(jobId, exitCode === 0 ? 'completed' : 'failed', exitCode);
+        sendToWindow(session, 'terminal:exit', { id, exitCode });
+    });
+
+    // Connect the coach straight away if its model needs no key or one is saved
+    try {
+        if (connectCoach(session)) {
+            console.log(`Coach connected automatically for ${directory}`);
+        }
+    } catch (error) {
+        console.error('Failed to connect the coach:', error);
+    }
+
+    return session;
+}
+
+// Stops everything the project was running and forgets it
+function closeSession(state, session) {
+    jobs.forEach(job => {
+        if (job.sessionId === session.id && job.status === 'running' && job.proc) {
+            killProcessTree(job.proc, 'SIGKILL');
+        }
+    });
+    session.dispose();
+    state.sessions.delete(session.id);
+}
+
+function reloadWindow(state) {
+    state.generation++;
+    if (!state.window.isDestroyed()) {
+        state.window.webContents.reload();
+    }
+}
+
+// The window a directory is already open in, if any.  A project is only
+// open in one window at a time: two runtimes and two conversations writing
+// the same .graphbus folder would overwrite each other.
+function windowShowing(directory) {
+    for (const state of windowStates.values()) {
+        if ([...state.sessions.values()].some(s => s.directory === directory)) return state;
+    }
+    return null;
+}
+
+function createWindow(directory) {
+    const window = new BrowserWindow({
         width: 1400,
         height: 900,
         minWidth: 1200,
@@ -343,47 +653,59 @@ function createWindow() {
         }
     });
 
-    // Create application menu
-    createApplicationMenu();
+    // webContents is gone by the time 'closed' fires, so keep its id
+    const id = window.webContents.id;
+    const state = { window, sessions: new Map(), active: null, generation: 0 };
+    windowStates.set(id, state);
+    state.active = openSession(state, directory);
 
-    mainWindow.loadFile('index.html');
+    window.loadFile('index.html');
 
     // Open DevTools in development
     if (process.argv.includes('--enable-logging')) {
-        mainWindow.webContents.openDevTools();
+        window.webContents.openDevTools();
     }
 
-    mainWindow.on('closed', () => {
-        mainWindow = null;
-        if (pythonBridge) {
-            pythonBridge.cleanup();
-        }
+    // Closing a window closes its projects: runtimes, terminals and jobs
+    window.on('closed', () => {
+        [...state.sessions.values()].forEach(session => closeSession(state, session));
+        windowStates.delete(id);
     });
+
+    return state;
 }
 
-app.whenReady().then(() => {
-    // Initialize Python bridge
-    pythonBridge = new PythonBridge();
+// File → New Window...: picks a directory and opens it in a window of its own
+async function openProjectInNewWindow() {
+    const result = await dialog.showOpenDialog(BrowserWindow.getFocusedWindow(), {
+        properties: ['openDirectory'],
+        title: 'Open Directory in New Window'
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return;
+    }
 
-    // Initialize Claude service
-    claudeService = new ClaudeService();
+    const directory = path.resolve(result.filePaths[0]);
+    const existing = windowShowing(directory);
+    if (existing) {
+        existing.window.focus();
+        return;
+    }
+    recentProjects.add(directory);
+    createWindow(directory);
+}
 
-    // Try to auto-load API key
-    const apiKey = loadApiKey();
-    if (apiKey) {
-        try {
-            claudeService.initialize(apiKey, workingDirectory);
-            console.log('Claude initialized automatically with saved API key');
-        } catch (error) {
-            console.error('Failed to initialize Claude with saved API key:', error);
-        }
+app.whenReady().then(() => {
+    if (fs.existsSync(path.join(startupDirectory, '.graphbus'))) {
+        recentProjects.add(startupDirectory);
     }
 
-    createWindow();
+    createApplicationMenu();
+    createWindow(startupDirectory);
 
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
-            createWindow();
+            createWindow(startupDirectory);
         }
     });
 });
@@ -394,17 +716,193 @@ app.on('window-all-closed', () => {
     }
 });
 
-// IPC handlers for Python bridge
+// Process registry
+//
+// Every child process the app starts on the user's behalf — builds, the
+// runtime worker, terminal shells, streaming commands (negotiate, run) and one-shot shell
+// commands — is recorded here with its id, command, start time and status,
+// so the Jobs panel can list them and cancel (SIGTERM) or kill (SIGKILL) any
+// that are stuck.  Shell commands are spawned detached on POSIX so they lead
+// their own process group and a cancel reaches the whole tree (sh, graphbus,
+// python), not just the shell.  Finished jobs are kept for the panel until
+// there are more than JOB_HISTORY_LIMIT of them.
+const JOB_HISTORY_LIMIT = 50;
+const jobs = new Map();
+let nextJobId = 1;
+
+function jobKindFor(command) {
+    if (/\bgraphbus\s+build\b/.test(command)) return 'build';
+    if (/\bgraphbus\s+negotiate\b/.test(command)) return 'negotiate';
+    if (/\bgraphbus\s+run\b/.test(command)) return 'run';
+    return 'command';
+}
+
+// Watchers and the CLI runtime never exit on their own; they run as
+// background jobs until stopped from the Jobs panel, so the streaming
+// handler's hard timeout doesn't apply to them.  Matches the renderer's
+// isLongRunningCommand().
+function isLongRunningCommand(command) {
+    return /\bgraphbus\s+run\b/.test(command) || /--watch\b/.test(command);
+}
+
+function serializeJob(job) {
+    const { proc, ...rest } = job;
+    return rest;
+}
+
+// Only a project's own jobs are listed; the others' keep running
+function listJobs(session) {
+    return [...jobs.values()].filter(job => job.sessionId === session.id).map(serializeJob).reverse();
+}
+
+// Tells the window the job's project is open in, if it is showing it
+function notifyJobsChanged(sessionId) {
+    const state = ownerOf(sessionId);
+    if (state && state.active && state.active.id === sessionId && !state.window.isDestroyed()) {
+        state.window.webContents.send('jobs:changed', listJobs(state.active));
+    }
+}
+
+function registerJob(kind, command, proc, session) {
+    const job = {
+        id: nextJobId++,
+        sessionId: session.id,
+        kind,
+        command,
+        pid: proc.pid,
+        startedAt: Date.now(),
+        endedAt: null,
+        status: 'running',
+        exitCode: null,
+        proc
+    };
+    jobs.set(job.id, job);
+
+    // Drop the oldest finished jobs beyond the history limit
+    const finished = [...jobs.values()].filter(j => j.status !== 'running');
+    finished.slice(0, Math.max(0, jobs.size - JOB_HISTORY_LIMIT)).forEach(j => jobs.delete(j.id));
+
+    notifyJobsChanged(session.id);
+    return job.id;
+}
 
-ipcMain.handle('python:execute', async (event, code) => {
+// status is the natural outcome ('completed' | 'failed' | 'timed-out'); a job
+// that was cancelled or killed keeps that status instead.
+function finishJob(id, status, exitCode = null) {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'running') return;
+
+    job.status = job.stopRequested || status;
+    job.exitCode = exitCode;
+    job.endedAt = Date.now();
+    delete job.stopRequested;
+    job.proc = null;
+    notifyJobsChanged(job.sessionId);
+}
+
+function killProcessTree(proc, signal) {
+    if (process.platform === 'win32') {
+        // No process groups on Windows; taskkill /T walks the tree instead
+        execFile('taskkill', ['/pid', String(proc.pid), '/T', '/F'], () => {});
+        return;
+    }
     try {
-        const result = await pythonBridge.execute(code);
-        return { success: true, result };
-    } catch (error) {
-        return { success: false, error: error.message };
+        process.kill(-proc.pid, signal); // whole group (detached children lead one)
+    } catch (e) {
+        proc.kill(signal); // not a group leader (e.g. the Python workers)
+    }
+}
+
+// signal: 'SIGTERM' for cancel, 'SIGKILL' for kill.  Only the session that
+// started a job may stop it; another window's jobs are treated as unknown.
+function stopJob(id, signal, session) {
+    const job = jobs.get(id);
+    if (!job || job.sessionId !== session.id || job.status !== 'running' || !job.proc) {
+        return false;
     }
+    job.stopRequested = signal === 'SIGKILL' ? 'killed' : 'cancelled';
+    killProcessTree(job.proc, signal);
+    return true;
+}
+
+function stopAllJobs() {
+    jobs.forEach(job => {
+        if (job.status === 'running' && job.proc) {
+            killProcessTree(job.proc, 'SIGKILL');
+        }
+    });
+}
+
+// Detached children outlive the app unless they are stopped explicitly
+app.on('will-quit', stopAllJobs);
+
+ipcMain.handle('jobs:list', async (event) => {
+    return { success: true, result: listJobs(sessionFor(event)) };
+});
+
+ipcMain.handle('jobs:cancel', async (event, id) => {
+    return stopJob(id, 'SIGTERM', sessionFor(event))
+        ? { success: true }
+        : { success: false, error: `Job ${id} is not running in this project` };
+});
+
+ipcMain.handle('jobs:kill', async (event, id) => {
+    return stopJob(id, 'SIGKILL', sessionFor(event))
+        ? { success: true }
+        : { success: false, error: `Job ${id} is not running in this project` };
+});
+
+ipcMain.handle('jobs:clear-finished', async (event) => {
+    const session = sessionFor(event);
+    jobs.forEach((job, id) => {
+        if (job.status !== 'running' && job.sessionId === session.id) jobs.delete(id);
+    });
+    notifyJobsChanged(session.id);
+    return { success: true };
 });
 
+// Every shell command the renderer asks for passes through the command
+// policy before it reaches a shell: auto-approved graphbus subcommands run
+// straight away, denylisted ones never run, and everything else needs the
+// user to confirm the exact command in a native dialog.  There is no flag to
+// opt out of it — the renderer's own commands (builds, negotiations) are
+// graphbus subcommands the policy allows anyway, and it reads files through
+// dedicated handlers rather than the shell — so a renderer that forgets to
+// say where a command came from can't slip past the check.  Returns null
+// when the command may run, otherwise the IPC response to send back instead.
+// cwd is where the command will run when that isn't the project directory
+// (a terminal the user has cd'd around in); null if it is unknown.
+async function approveCommand(event, command, cwd = undefined) {
+    const { directory } = sessionFor(event);
+    const runsIn = cwd === undefined ? directory : cwd;
+    const verdict = commandPolicy.evaluate(command, directory, runsIn);
+
+    if (verdict.decision === 'allow') {
+        return null;
+    }
+
+    if (verdict.decision === 'deny') {
+        console.warn(`[policy] blocked command: ${command} (${verdict.reason})`);
+        return { success: false, error: `Blocked by command policy: ${verdict.reason}`, policy: 'deny' };
+    }
+
+    const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+        type: 'warning',
+        title: 'Run command?',
+        message: 'GraphBus is about to run this command:',
+        detail: `${command}\n\nWorking directory: ${runsIn || 'unknown (a terminal)'}\n${verdict.reason}.`,
+        buttons: ['Run', 'Cancel'],
+        defaultId: 1,
+        cancelId: 1,
+        noLink: true
+    });
+
+    if (response !== 0) {
+        return { success: false, error: 'The user declined to run this command', policy: 'declined' };
+    }
+    return null;
+}
+
 // Shell command execution
 //
 // Two limits added here that the original lacked:
@@ -413,7 +911,9 @@ ipcMain.handle('python:execute', async (event, code) => {
 //     (e.g. 'graphbus negotiate' with a bad API key that never returns, or
 //     'graphbus run' waiting for stdin) blocks the Electron main process
 //     forever, freezing the entire UI.  Five minutes is generous for any
-//     finite CLI operation; use the streaming variant for long-running daemons.
+//     finite CLI operation.  Daemons ('graphbus run', '--watch') belong in
+//     system:run-command-streaming, which runs them as background jobs with
+//     no timeout.
 //     Note: graphbus:build already worked around this with a manual
 //     Promise.race timeout — this replaces that pattern with the exec-native
 //     option so the subprocess is actually killed rather than just abandoned.
@@ -423,20 +923,45 @@ ipcMain.handle('python:execute', async (event, code) => {
 //     overflowing 1 MB and throwing 'stdout maxBuffer exceeded', which looks
 //     like a crash rather than an output-size issue.
 ipcMain.handle('system:run-command', async (event, command) => {
+    const session = sessionFor(event);
+    const rejection = await approveCommand(event, command);
+    if (rejection) return rejection;
+    const negotiation = jobKindFor(command) === 'negotiate';
+    if (negotiation) {
+        const refusal = await budgetRefusal(session);
+        if (refusal) return refusal;
+    }
+
+    let jobId = null;
     try {
         // Execute command in working directory
-        const { stdout, stderr } = await execAsync(command, {
-            cwd: workingDirectory,
-            env: { ...process.env, PYTHONUNBUFFERED: '1' },
+        const execution = execAsync(command, {
+            cwd: session.directory,
+            env: { ...process.env, PYTHONUNBUFFERED: '1', ...llmEnvFor(session, command) },
             timeout: 300_000,          // 5-minute hard cap; kills the subprocess on expiry
             maxBuffer: 10 * 1024 * 1024, // 10 MB — negotiation output can be large
+            detached: process.platform !== 'win32'
         });
+        jobId = registerJob(jobKindFor(command), command, execution.child, session);
+
+        const { stdout, stderr } = await execution;
+        finishJob(jobId, 'completed', 0);
+        if (negotiation) {
+            await recordNegotiationUsage(session, `${stdout}\n${stderr}`);
+        }
 
         return {
             success: true,
             result: { stdout, stderr }
         };
     } catch (error) {
+        if (jobId !== null) {
+            finishJob(jobId, error.killed && error.signal === 'SIGTERM' ? 'timed-out' : 'failed', error.code ?? null);
+        }
+        if (negotiation) {
+            // A failed negotiation may still have spent tokens first
+            await recordNegotiationUsage(session, `${error.stdout || ''}\n${error.stderr || ''}`);
+        }
         return {
             success: false,
             error: error.message,
@@ -446,99 +971,202 @@ ipcMain.handle('system:run-command', async (event, command) => {
     }
 });
 
-// Streaming command execution for real-time output
+// Streaming command execution for real-time output.
+//
+// Resolves as soon as the process is spawned with { jobId }; everything after
+// that arrives as command-output / command-complete / command-error events
+// tagged with the same jobId, so several streams (say a 'graphbus run --watch'
+// next to a negotiation) can share the channels without the renderer mixing
+// up their output.  The invoke reply is sent before any output event, so the
+// renderer always knows the id before the first line for it arrives.
 ipcMain.handle('system:run-command-streaming', async (event, command) => {
-    return new Promise((resolve) => {
-        // Spawn process with unbuffered output
-        const proc = spawn(command, {
-            cwd: workingDirectory,
-            env: { ...process.env, PYTHONUNBUFFERED: '1' },
-            shell: true
+    const session = sessionFor(event);
+    const rejection = await approveCommand(event, command);
+    if (rejection) return rejection;
+    const negotiation = jobKindFor(command) === 'negotiate';
+    if (negotiation) {
+        const refusal = await budgetRefusal(session);
+        if (refusal) return refusal;
+    }
+
+    // Spawn process with unbuffered output
+    const proc = spawn(command, {
+        cwd: session.directory,
+        env: { ...process.env, PYTHONUNBUFFERED: '1', ...llmEnvFor(session, command) },
+        shell: true,
+        detached: process.platform !== 'win32'
+    });
+    const jobId = registerJob(jobKindFor(command), command, proc, session);
+    const state = windowStateFor(event);
+    const generation = state.generation;
+    const send = (channel, data) => {
+        if (generation === state.generation && !event.sender.isDestroyed()) {
+            event.sender.send(channel, { jobId, ...data });
+        }
+    };
+
+    // Hard-kill timeout — matches system:run-command's 5-minute cap, except
+    // for long-running commands (see isLongRunningCommand), which are meant
+    // to keep going until the user stops them from the Jobs panel.
+    // Without this, a hung streaming command (e.g. 'graphbus negotiate'
+    // with an unresponsive API, or any command waiting on stdin) runs
+    // forever: the subprocess leaks, no completion event is ever sent, and
+    // the UI spinner keeps spinning until the Electron window is closed.
+    // proc.kill() sends SIGTERM by default; SIGKILL ensures the subprocess
+    // is reaped even if it ignores SIGTERM (e.g. Python with custom signal
+    // handlers).  The settled flag prevents a second completion event if the
+    // process exits naturally at almost the same moment the timer fires.
+    const STREAM_TIMEOUT_MS = 300_000; // 5 minutes — same as system:run-command
+    let settled = false;
+    const killTimer = isLongRunningCommand(command) ? null : setTimeout(() => {
+        if (settled) return;
+        settled = true;
+        console.error(`[streaming] command timed out after ${STREAM_TIMEOUT_MS / 1000}s — killing subprocess`);
+        killProcessTree(proc, 'SIGKILL');
+        finishJob(jobId, 'timed-out');
+        recordUsageSoFar();
+        send('command-error', { error: `Command timed out after ${STREAM_TIMEOUT_MS / 1000}s` });
+    }, STREAM_TIMEOUT_MS);
+
+    // A negotiation's usage report is picked out of its output when it ends;
+    // only lines that could be part of it are kept, not the whole transcript.
+    // A negotiation killed by the timeout has still spent money, so whatever
+    // it reported up to then is recorded too.
+    const usageLines = [];
+    const noteUsage = (line) => {
+        if (negotiation && /token|cost|spen[dt]/i.test(line)) usageLines.push(line);
+    };
+    const recordUsageSoFar = () => {
+        if (!negotiation) return;
+        recordNegotiationUsage(session, usageLines.join('\n'))
+            .catch(error => console.error('Could not record negotiation usage:', error));
+    };
+
+    // Stream stdout line by line
+    proc.stdout.on('data', (data) => {
+        // Send each line immediately to renderer
+        const lines = data.toString().split('\n').filter(line => line.trim());
+        lines.forEach(line => {
+            noteUsage(line);
+            send('command-output', { type: 'stdout', line });
         });
+    });
 
-        let stdoutData = '';
-        let stderrData = '';
-
-        // Hard-kill timeout — matches system:run-command's 5-minute cap.
-        // Without this, a hung streaming command (e.g. 'graphbus negotiate'
-        // with an unresponsive API, or any command waiting on stdin) runs
-        // forever: the subprocess leaks, the IPC promise never resolves, and
-        // the UI spinner keeps spinning until the Electron window is closed.
-        // proc.kill() sends SIGTERM by default; SIGKILL ensures the subprocess
-        // is reaped even if it ignores SIGTERM (e.g. Python with custom signal
-        // handlers).  The settled flag prevents double-resolution if the
-        // process exits naturally at almost the same moment the timer fires.
-        const STREAM_TIMEOUT_MS = 300_000; // 5 minutes — same as system:run-command
-        let settled = false;
-        const killTimer = setTimeout(() => {
-            if (settled) return;
-            settled = true;
-            console.error(`[streaming] command timed out after ${STREAM_TIMEOUT_MS / 1000}s — killing subprocess`);
-            proc.kill('SIGKILL');
-            event.sender.send('command-error', { error: `Command timed out after ${STREAM_TIMEOUT_MS / 1000}s` });
-            resolve({ success: false, error: `Streaming command timed out after ${STREAM_TIMEOUT_MS / 1000}s` });
-        }, STREAM_TIMEOUT_MS);
-
-        // Stream stdout line by line
-        proc.stdout.on('data', (data) => {
-            const text = data.toString();
-            stdoutData += text;
-
-            // Send each line immediately to renderer
-            const lines = text.split('\n').filter(line => line.trim());
-            lines.forEach(line => {
-                event.sender.send('command-output', { type: 'stdout', line });
-            });
+    // Stream stderr line by line
+    proc.stderr.on('data', (data) => {
+        // Send each line immediately to renderer
+        const lines = data.toString().split('\n').filter(line => line.trim());
+        lines.forEach(line => {
+            noteUsage(line);
+            send('command-output', { type: 'stderr', line });
         });
+    });
 
-        // Stream stderr line by line
-        proc.stderr.on('data', (data) => {
-            const text = data.toString();
-            stderrData += text;
+    // Handle process completion
+    proc.on('close', (code) => {
+        if (settled) return; // timed out — already reported above
+        settled = true;
+        clearTimeout(killTimer); // process exited naturally; cancel the kill timer
+        finishJob(jobId, code === 0 ? 'completed' : 'failed', code);
+        recordUsageSoFar();
 
-            // Send each line immediately to renderer
-            const lines = text.split('\n').filter(line => line.trim());
-            lines.forEach(line => {
-                event.sender.send('command-output', { type: 'stderr', line });
-            });
-        });
+        // Send completion event
+        send('command-complete', { code });
+    });
 
-        // Handle process completion
-        proc.on('close', (code) => {
-            if (settled) return; // timed out — already resolved above
-            settled = true;
-            clearTimeout(killTimer); // process exited naturally; cancel the kill timer
+    // Handle errors
+    proc.on('error', (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(killTimer);
+        finishJob(jobId, 'failed');
 
-            // Send completion event
-            event.sender.send('command-complete', { code });
+        send('command-error', { error: error.message });
+    });
 
-            resolve({
-                success: code === 0,
-                result: { stdout: stdoutData, stderr: stderrData },
-                error: code !== 0 ? `Command exited with code ${code}` : null
-            });
-        });
+    return { success: true, result: { jobId } };
+});
 
-        // Handle errors
-        proc.on('error', (error) => {
-            if (settled) return;
-            settled = true;
-            clearTimeout(killTimer);
+// Embedded terminals
+//
+// Each terminal is a login shell on a pseudo-terminal, started in the current
+// working directory.  Keystrokes and resizes are fire-and-forget messages
+// (ipcMain.on) since they arrive at typing speed and need no reply; output
+// comes back as terminal:data events keyed by terminal id.  Terminals belong
+// to the project session, so they survive switching tabs; the window
+// re-attaches to them with terminal:list after it reloads.
+ipcMain.handle('terminal:list', async (event) => {
+    return { success: true, result: [...sessionFor(event).terminalJobs.keys()] };
+});
 
-            event.sender.send('command-error', { error: error.message });
+ipcMain.handle('terminal:create', async (event, cols, rows) => {
+    const session = sessionFor(event);
+    try {
+        const { id, pid, shell, process: term } = session.terminalManager.create(session.directory, cols, rows);
+        session.terminalJobs.set(id, registerJob('terminal', `${path.basename(shell)} (terminal ${id})`, term, session));
+        return { success: true, result: { id, pid, shell, cwd: session.directory } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
 
-            resolve({
-                success: false,
-                error: error.message
-            });
-        });
-    });
+ipcMain.on('terminal:write', (event, id, data) => {
+    try {
+        sessionFor(event).terminalManager.write(id, data);
+    } catch (error) {
+        // The shell exited between the keystroke and its delivery, or the
+        // window closed and took its session with it
+    }
+});
+
+ipcMain.on('terminal:resize', (event, id, cols, rows) => {
+    try {
+        sessionFor(event).terminalManager.resize(id, cols, rows);
+    } catch (error) {
+        // Same as above
+    }
+});
+
+ipcMain.handle('terminal:close', async (event, id) => {
+    const session = sessionFor(event);
+    session.terminalManager.close(id);
+    return { success: true };
+});
+
+// Types a command into an open terminal.  It goes through the same approval
+// policy as system:run-command, with relative paths judged from wherever the
+// shell has since cd'd to — and refused when that can't be found out.  (What
+// the user types into the terminal directly arrives as terminal:write
+// keystrokes.)
+ipcMain.handle('terminal:run-command', async (event, id, command) => {
+    const session = sessionFor(event);
+    if (!session.terminalManager.has(id)) {
+        return { success: false, error: `Terminal ${id} is not open` };
+    }
+
+    const rejection = await approveCommand(event, command, session.terminalManager.cwd(id));
+    if (rejection) return rejection;
+
+    try {
+        session.terminalManager.runCommand(id, command);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
 });
 
 ipcMain.handle('graphbus:build', async (event, config) => {
+    const session = sessionFor(event);
     try {
         console.log('Building agents with config:', config);
 
+        // An agent-enabled build uses the project's model settings unless
+        // the caller names a model and key of its own.
+        if (config.enableAgents) {
+            const llm = resolveLlmConfig(session.directory);
+            config = { ...config, llmModel: config.llmModel || effectiveModel(llm), apiKey: config.apiKey || llmApiKey(llm) };
+        }
+
         // Race the build against a 30 s deadline.
         //
         // The timer reference is saved so we can cancel it the moment the build
@@ -548,23 +1176,34 @@ ipcMain.handle('graphbus:build', async (event, config) => {
         // net: if the timer somehow survives until Electron tries to quit, it
         // won't block the process from exiting.
         //
-        // Note: the timeout only rejects the outer Promise — the underlying
-        // PythonShell subprocess is NOT killed when it fires (python-shell's
-        // runString() static API provides no cancellation handle).  A timed-out
-        // build will continue in the background until Python finishes or the
-        // Electron window is closed.
+        // The build's interpreter is registered as a job, so a timed-out
+        // build is killed rather than left running in the background, and a
+        // stuck one can be cancelled from the Jobs panel before the deadline.
         let timeoutId;
-        const buildPromise = pythonBridge.buildAgents(config);
+        let jobId = null;
+        const buildPromise = session.pythonBridge.buildAgents(config, {
+            onSpawn: (child) => {
+                jobId = registerJob('build', `build ${config.agentsDir || 'agents'} (in-process)`, child, session);
+            }
+        });
         const timeoutPromise = new Promise((_, reject) => {
-            timeoutId = setTimeout(
-                () => reject(new Error('Build timeout after 30 seconds')),
-                30_000
-            ).unref();
+            timeoutId = setTimeout(() => {
+                const job = jobs.get(jobId);
+                if (job && job.proc) {
+                    killProcessTree(job.proc, 'SIGKILL');
+                    finishJob(jobId, 'timed-out');
+                }
+                reject(new Error('Build timeout after 30 seconds'));
+            }, 30_000).unref();
         });
 
         let result;
         try {
             result = await Promise.race([buildPromise, timeoutPromise]);
+            finishJob(jobId, 'completed', 0);
+        } catch (error) {
+            finishJob(jobId, 'failed');
+            throw error;
         } finally {
             clearTimeout(timeoutId); // cancel timer whether build succeeded, failed, or timed out
         }
@@ -578,8 +1217,9 @@ ipcMain.handle('graphbus:build', async (event, config) => {
 });
 
 ipcMain.handle('graphbus:start-runtime', async (event, config) => {
+    const session = sessionFor(event);
     try {
-        const result = await pythonBridge.startRuntime(config);
+        const result = await session.pythonBridge.startRuntime(config);
         return { success: true, result };
     } catch (error) {
         return { success: false, error: error.message };
@@ -587,8 +1227,9 @@ ipcMain.handle('graphbus:start-runtime', async (event, config) => {
 });
 
 ipcMain.handle('graphbus:stop-runtime', async (event) => {
+    const session = sessionFor(event);
     try {
-        const result = await pythonBridge.stopRuntime();
+        const result = await session.pythonBridge.stopRuntime();
         return { success: true, result };
     } catch (error) {
         return { success: false, error: error.message };
@@ -596,8 +1237,9 @@ ipcMain.handle('graphbus:stop-runtime', async (event) => {
 });
 
 ipcMain.handle('graphbus:call-method', async (event, agent, method, args) => {
+    const session = sessionFor(event);
     try {
-        const result = await pythonBridge.callMethod(agent, method, args);
+        const result = await session.pythonBridge.callMethod(agent, method, args);
         return { success: true, result };
     } catch (error) {
         return { success: false, error: error.message };
@@ -605,8 +1247,9 @@ ipcMain.handle('graphbus:call-method', async (event, agent, method, args) => {
 });
 
 ipcMain.handle('graphbus:publish-event', async (event, topic, payload) => {
+    const session = sessionFor(event);
     try {
-        const result = await pythonBridge.publishEvent(topic, payload);
+        const result = await session.pythonBridge.publishEvent(topic, payload);
         return { success: true, result };
     } catch (error) {
         return { success: false, error: error.message };
@@ -614,41 +1257,15 @@ ipcMain.handle('graphbus:publish-event', async (event, topic, payload) => {
 });
 
 ipcMain.handle('graphbus:get-stats', async (event) => {
+    const session = sessionFor(event);
     try {
-        const result = await pythonBridge.getStats();
+        const result = await session.pythonBridge.getStats();
         return { success: true, result };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-// Transform the raw graph.json structure into the shape the UI expects.
-//
-// graph.json stores edges as { src, dst } and nests agent metadata under
-// node.data, but the renderer expects { source, target } and a flat node
-// object.  This conversion was previously duplicated verbatim in both the
-// graphbus:load-graph and graphbus:rehydrate-state handlers — a single
-// schema change (e.g. adding a 'dependencies' field) would have required
-// two independent edits.  Centralising it here means both handlers stay
-// in sync automatically.
-function transformGraphData(graphData) {
-    return {
-        nodes: graphData.nodes.map(node => ({
-            id: node.name,
-            name: node.name,
-            module: node.data.module,
-            class_name: node.data.class_name,
-            methods: node.data.methods || [],
-            subscriptions: node.data.subscriptions || [],
-        })),
-        edges: graphData.edges.map(edge => ({
-            source: edge.src,  // graph.json uses 'src', not 'source'
-            target: edge.dst,  // graph.json uses 'dst', not 'target'
-            type: edge.data?.edge_type || 'depends_on',
-        })),
-    };
-}
-
 ipcMain.handle('graphbus:load-graph', async (event, artifactsDir) => {
     try {
         // Read graph.json directly - much simpler than Python bridge
@@ -660,12 +1277,16 @@ ipcMain.handle('graphbus:load-graph', async (event, artifactsDir) => {
 
         const graphData = JSON.parse(fs.readFileSync(graphJsonPath, 'utf-8'));
 
+        // topics.json is optional — older builds don't write it, and the
+        // agents' own subscriptions still yield topic nodes without it.
+        const topicsJsonPath = path.join(artifactsDir, 'topics.json');
+        const topicsData = fs.existsSync(topicsJsonPath)
+            ? JSON.parse(fs.readFileSync(topicsJsonPath, 'utf-8'))
+            : null;
+
         return {
             success: true,
-            result: {
-                ...transformGraphData(graphData),
-                topics: [] // topics.json is loaded separately in rehydrate-state
-            }
+            result: transformGraphData(graphData, topicsData)
         };
     } catch (error) {
         console.error('Error loading graph.json:', error);
@@ -706,7 +1327,7 @@ ipcMain.handle('graphbus:rehydrate-state', async (event, workingDirectory) => {
         // graph.json needs an additional shape transform — see transformGraphData().
         const graphData = loadJson('graph.json');
         if (graphData) {
-            state.graph = transformGraphData(graphData);
+            state.graph = transformGraphData(graphData, state.topics);
         }
 
         return { success: true, result: state };
@@ -716,10 +1337,62 @@ ipcMain.handle('graphbus:rehydrate-state', async (event, workingDirectory) => {
     }
 });
 
-ipcMain.handle('graphbus:list-agents', async (event) => {
+// Negotiation timeline: negotiations.json plus the full history from
+// 'graphbus inspect-negotiation --format json', merged into rounds of
+// proposals with their evaluations, arbiter decisions and commits (see
+// negotiation_timeline.js).  The CLI is optional — older graphbus versions
+// without --format json still get a timeline from negotiations.json alone,
+// with the reason reported in warnings.
+ipcMain.handle('negotiation:load-timeline', async (event) => {
+    const session = sessionFor(event);
+    const graphbusDir = path.join(session.directory, '.graphbus');
+    const warnings = [];
+
+    let records = null;
     try {
-        const result = await pythonBridge.listAgents();
-        return { success: true, result };
+        records = JSON.parse(await fsp.readFile(path.join(graphbusDir, 'negotiations.json'), 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            warnings.push(`negotiations.json could not be read: ${error.message}`);
+        }
+    }
+
+    let inspectData = null;
+    const command = `graphbus inspect-negotiation ${graphbusDir} --format json`;
+    let jobId = null;
+    try {
+        const execution = execFileAsync('graphbus', ['inspect-negotiation', graphbusDir, '--format', 'json'], {
+            cwd: session.directory,
+            env: { ...process.env, PYTHONUNBUFFERED: '1' },
+            timeout: 60_000,
+            maxBuffer: 10 * 1024 * 1024
+        });
+        jobId = registerJob('command', command, execution.child, session);
+        const { stdout } = await execution;
+        finishJob(jobId, 'completed', 0);
+
+        // Skip any log lines printed before the JSON document
+        const start = stdout.search(/^[[{]/m);
+        inspectData = JSON.parse(start >= 0 ? stdout.slice(start) : stdout);
+    } catch (error) {
+        if (jobId !== null) {
+            finishJob(jobId, 'failed', typeof error.code === 'number' ? error.code : null);
+        }
+        warnings.push(`${command} failed: ${(error.stderr || error.message).trim().split('\n').pop()}`);
+    }
+
+    if (records === null && inspectData === null) {
+        return { success: false, error: 'No negotiation history found — run graphbus negotiate first', warnings };
+    }
+
+    return { success: true, result: { ...buildNegotiationTimeline(records, inspectData), warnings } };
+});
+
+ipcMain.handle('graphbus:list-agents', async (event) => {
+    const session = sessionFor(event);
+    try {
+        const result = await session.pythonBridge.listAgents();
+        return { success: true, result };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -727,13 +1400,42 @@ ipcMain.handle('graphbus:list-agents', async (event) => {
 
 // System directory operations
 ipcMain.handle('system:get-cwd', async (event) => {
-    return { success: true, result: workingDirectory };
+    const session = sessionFor(event);
+    return { success: true, result: session.directory };
+});
+
+// Whether a directory (picked in the open/new project dialogs) already has
+// a .graphbus folder
+ipcMain.handle('system:has-graphbus', async (event, directory) => {
+    try {
+        const stat = await fsp.stat(path.join(directory, '.graphbus'));
+        return { success: true, result: stat.isDirectory() };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { success: true, result: false };
+        return { success: false, error: error.message };
+    }
+});
+
+// The raw text of one file in the project's .graphbus, for the System State
+// view.  Only a bare file name is accepted, so nothing outside .graphbus can
+// be read through here.
+ipcMain.handle('graphbus:read-state-file', async (event, filename) => {
+    const session = sessionFor(event);
+    if (typeof filename !== 'string' || filename !== path.basename(filename) || filename.startsWith('.')) {
+        return { success: false, error: `Not a .graphbus file name: ${filename}` };
+    }
+    try {
+        return { success: true, result: await fsp.readFile(path.join(session.directory, '.graphbus', filename), 'utf-8') };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
 });
 
 // Conversation persistence
 ipcMain.handle('conversation:save', async (event, conversationData) => {
+    const session = sessionFor(event);
     try {
-        const conversationDir = path.join(workingDirectory, '.graphbus');
+        const conversationDir = path.join(session.directory, '.graphbus');
         const conversationFile = path.join(conversationDir, 'conversation_history.json');
 
         // mkdir({ recursive: true }) is idempotent — no existsSync needed, and
@@ -742,7 +1444,7 @@ ipcMain.handle('conversation:save', async (event, conversationData) => {
 
         const data = {
             timestamp: new Date().toISOString(),
-            workingDirectory: workingDirectory,
+            workingDirectory: session.directory,
             messages: conversationData
         };
 
@@ -758,8 +1460,9 @@ ipcMain.handle('conversation:save', async (event, conversationData) => {
 });
 
 ipcMain.handle('conversation:load', async (event) => {
+    const session = sessionFor(event);
     try {
-        const conversationFile = path.join(workingDirectory, '.graphbus', 'conversation_history.json');
+        const conversationFile = path.join(session.directory, '.graphbus', 'conversation_history.json');
 
         // Try to read directly; catch ENOENT instead of existsSync + readFileSync.
         // existsSync + readFileSync is a TOCTOU race: the file could be deleted
@@ -780,8 +1483,9 @@ ipcMain.handle('conversation:load', async (event) => {
 });
 
 ipcMain.handle('conversation:clear', async (event) => {
+    const session = sessionFor(event);
     try {
-        const conversationFile = path.join(workingDirectory, '.graphbus', 'conversation_history.json');
+        const conversationFile = path.join(session.directory, '.graphbus', 'conversation_history.json');
 
         // Attempt unlink; silently ignore ENOENT (nothing to delete is fine).
         try {
@@ -796,9 +1500,47 @@ ipcMain.handle('conversation:clear', async (event) => {
     }
 });
 
-// Git and GitHub integration
+// Payload templates for the Event Composer, saved per project.  The renderer
+// owns the whole { name: { topic, payload } } map and writes it back on every
+// change, so there is no merge logic here.
+ipcMain.handle('templates:load', async (event) => {
+    const session = sessionFor(event);
+    try {
+        const templatesFile = path.join(session.directory, '.graphbus', 'payload_templates.json');
+        let raw;
+        try {
+            raw = await fsp.readFile(templatesFile, 'utf-8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return { success: true, result: {} };
+            throw e;
+        }
+        return { success: true, result: JSON.parse(raw).templates || {} };
+    } catch (error) {
+        console.error('Error loading payload templates:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('templates:save', async (event, templates) => {
+    const session = sessionFor(event);
+    try {
+        const templatesDir = path.join(session.directory, '.graphbus');
+        await fsp.mkdir(templatesDir, { recursive: true });
+        await fsp.writeFile(
+            path.join(templatesDir, 'payload_templates.json'),
+            JSON.stringify({ timestamp: new Date().toISOString(), templates }, null, 2),
+            'utf-8'
+        );
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving payload templates:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Git and pull request integration
 //
-// All three handlers below use execFile (not exec) so arguments are passed as
+// All git handlers below use execFile (not exec) so arguments are passed as
 // an array rather than interpolated into a shell command string.  exec() runs
 // the command through /bin/sh, so a branch name like "feat/$(rm -rf ~)" or a
 // commit message containing a double-quote would break the command or run
@@ -806,34 +1548,55 @@ ipcMain.handle('conversation:clear', async (event) => {
 // entirely — the argument array is handed directly to the OS, so no shell
 // metacharacters are interpreted.
 ipcMain.handle('git:create-branch', async (event, branchName) => {
+    const session = sessionFor(event);
     try {
+        // The branch we're leaving is what the pull request will target, so
+        // there has to be one
+        const base = await currentBranch(session.directory);
+        if (!base) {
+            return { success: false, error: 'HEAD is detached — check out a branch before creating a negotiation branch' };
+        }
+
         // execFile (not exec) so branchName is never interpolated into a shell
         // command string — a name containing shell metacharacters can't inject.
         await execFileAsync('git', ['checkout', '-b', branchName], {
-            cwd: workingDirectory,
+            cwd: session.directory,
             timeout: GIT_TIMEOUT_MS,
         });
 
-        return { success: true, branch: branchName };
+        await updateGitSession(session.directory, gitSession => {
+            if (gitSession && !gitSession.branches.includes(branchName)) gitSession.branches.push(branchName);
+        });
+
+        return { success: true, branch: branchName, base };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('git:commit-and-push', async (event, message, branchName) => {
+// Switches to an existing branch, e.g. a tracked PR's branch before a
+// follow-up negotiation.  Uncommitted changes travel along (or make git refuse).
+ipcMain.handle('git:checkout', async (event, branchName) => {
+    const session = sessionFor(event);
     try {
-        await execFileAsync('git', ['add', '.'], {
-            cwd: workingDirectory,
-            timeout: GIT_TIMEOUT_MS,
-        });
-        await execFileAsync('git', ['commit', '-m', message], {
-            cwd: workingDirectory,
+        await execFileAsync('git', ['checkout', branchName], {
+            cwd: session.directory,
             timeout: GIT_TIMEOUT_MS,
         });
+
+        return { success: true, branch: branchName };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('git:push', async (event, branchName) => {
+    const session = sessionFor(event);
+    try {
         // push is a network call — the timeout here is the primary safety net
         // against a hung connection freezing the Electron main-process event loop.
         await execFileAsync('git', ['push', '-u', 'origin', branchName], {
-            cwd: workingDirectory,
+            cwd: session.directory,
             timeout: GIT_TIMEOUT_MS,
         });
 
@@ -843,56 +1606,544 @@ ipcMain.handle('git:commit-and-push', async (event, message, branchName) => {
     }
 });
 
-ipcMain.handle('github:create-pr', async (event, title, body, branchName) => {
+// Safe git workflow
+//
+// A negotiation rewrites files in the working tree, and everything after it
+// (review, branch, commit, push) assumes the tree held nothing else.  Before
+// a negotiation starts, git:prepare-negotiation therefore:
+//   - adds .graphbus/ to .gitignore, so conversation logs, PR tracking and
+//     build artefacts never end up in a commit;
+//   - refuses to run over uncommitted changes, or stashes them if asked;
+//   - records the branch it started from in .graphbus/git_session.json.
+// git:rollback uses that record to put everything back: it returns to the
+// original branch and re-applies the stash.  Negotiation branches are kept,
+// since they may already back a pull request, and changes it is told to
+// discard are stashed too rather than thrown away.
+const GRAPHBUS_IGNORE_ENTRY = '.graphbus/';
+
+function isGraphBusArtefact(repoPath) {
+    return /(^|\/)\.graphbus(\/|$)/.test(repoPath);
+}
+
+// null when HEAD is detached
+async function currentBranch(directory) {
     try {
-        const { stdout } = await execFileAsync(
-            'gh',
-            ['pr', 'create', '--title', title, '--body', body, '--head', branchName],
-            { cwd: workingDirectory, timeout: GIT_TIMEOUT_MS }
-        );
+        const { stdout } = await execFileAsync('git', ['symbolic-ref', '--short', '-q', 'HEAD'], {
+            cwd: directory,
+            timeout: GIT_TIMEOUT_MS,
+        });
+        return stdout.trim();
+    } catch (error) {
+        if (error.code === 1) return null;
+        throw error;
+    }
+}
+
+// Changed paths relative to root, from NUL-separated porcelain output so
+// names with spaces or quotes survive.  Renames list only their new path.
+async function gitStatusEntries(root) {
+    const { stdout } = await execFileAsync('git', ['status', '--porcelain', '-z', '--untracked-files=all'], {
+        cwd: root,
+        timeout: GIT_TIMEOUT_MS,
+        maxBuffer: 20 * 1024 * 1024,
+    });
+
+    const entries = [];
+    const fields = stdout.split('\0');
+    for (let i = 0; i < fields.length; i++) {
+        if (!fields[i]) continue;
+        const code = fields[i].slice(0, 2);
+        const entry = { path: fields[i].slice(3), code, untracked: code === '??' };
+        if (code[0] === 'R' || code[0] === 'C') entry.origPath = fields[++i];
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// Uncommitted changes that aren't GraphBus's own.  .gitignore is left out
+// because ensureGraphBusIgnored() edits it; the review offers that change.
+async function uncommittedChanges(root) {
+    return (await gitStatusEntries(root)).filter(entry => !isGraphBusArtefact(entry.path) && entry.path !== '.gitignore');
+}
+
+async function ensureGraphBusIgnored(root) {
+    const ignoreFile = path.join(root, '.gitignore');
+    let contents = '';
+    try {
+        contents = await fsp.readFile(ignoreFile, 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (contents.split(/\r?\n/).some(line => ['.graphbus', '.graphbus/', '/.graphbus', '/.graphbus/'].includes(line.trim()))) {
+        return false;
+    }
+
+    const separator = contents && !contents.endsWith('\n') ? '\n' : '';
+    await fsp.writeFile(ignoreFile, `${contents}${separator}\n# GraphBus artefacts (conversation history, PR tracking, build output)\n${GRAPHBUS_IGNORE_ENTRY}\n`);
+    return true;
+}
+
+function gitSessionFile(directory) {
+    return path.join(directory, '.graphbus', 'git_session.json');
+}
+
+// session: { previousBranch, stashes: [{ sha, message }], branches: [...], startedAt }
+async function updateGitSession(directory, update) {
+    const session = await loadJsonIfExists(gitSessionFile(directory));
+    const next = update(session);
+    const result = next === undefined ? session : next;
+    if (result) {
+        await fsp.mkdir(path.dirname(gitSessionFile(directory)), { recursive: true });
+        await fsp.writeFile(gitSessionFile(directory), JSON.stringify(result, null, 2));
+    }
+    return result;
+}
+
+// Read-only pre-flight: where we are and what's uncommitted
+ipcMain.handle('git:status', async (event) => {
+    const { directory } = sessionFor(event);
+    try {
+        const root = await gitRoot(directory);
+        const [branch, changes, session] = await Promise.all([
+            currentBranch(directory),
+            uncommittedChanges(root),
+            loadJsonIfExists(gitSessionFile(directory))
+        ]);
+        return {
+            success: true,
+            result: { root, branch, detached: branch === null, changes: changes.map(c => c.path), session }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
 
-        // Extract PR URL from output
-        const urlMatch = stdout.match(/https:\/\/github\.com\/[^\s]+/);
-        const prUrl = urlMatch ? urlMatch[0] : null;
+// options.stash: stash uncommitted changes instead of refusing to start
+ipcMain.handle('git:prepare-negotiation', async (event, options = {}) => {
+    const { directory } = sessionFor(event);
+    try {
+        const root = await gitRoot(directory);
+        const branch = await currentBranch(directory);
+        if (!branch) {
+            return { success: false, error: 'HEAD is detached — check out a branch before negotiating' };
+        }
 
-        // Extract PR number
-        const prNumberMatch = prUrl ? prUrl.match(/\/pull\/(\d+)/) : null;
-        const prNumber = prNumberMatch ? parseInt(prNumberMatch[1]) : null;
+        const gitignoreUpdated = await ensureGraphBusIgnored(root);
+        const changes = (await uncommittedChanges(root)).map(c => c.path);
+
+        let stash = null;
+        if (changes.length > 0) {
+            if (!options.stash) {
+                return {
+                    success: false,
+                    error: `${changes.length} uncommitted change(s) would be mixed into the negotiation's edits — commit or stash them first`,
+                    changes
+                };
+            }
+            const message = `graphbus: before negotiation on ${branch} (${new Date().toISOString()})`;
+            await execFileAsync('git', ['stash', 'push', '--include-untracked', '-m', message, '--', ...changes], {
+                cwd: root,
+                timeout: GIT_TIMEOUT_MS,
+            });
+            const { stdout } = await execFileAsync('git', ['rev-parse', 'stash@{0}'], { cwd: root, timeout: GIT_TIMEOUT_MS });
+            stash = { sha: stdout.trim(), message };
+        }
 
-        return { success: true, url: prUrl, number: prNumber };
+        // Back-to-back negotiations keep the branch the first one started
+        // from; starting from anywhere else begins a new session
+        const session = await updateGitSession(directory, previous => {
+            const continuing = previous && previous.branches.includes(branch);
+            return {
+                previousBranch: continuing ? previous.previousBranch : branch,
+                stashes: [...(previous ? previous.stashes : []), ...(stash ? [stash] : [])],
+                branches: continuing ? previous.branches : [],
+                startedAt: continuing ? previous.startedAt : Date.now()
+            };
+        });
+
+        return { success: true, result: { branch, stashed: stash ? changes : [], gitignoreUpdated, session } };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('github:get-pr-comments', async (event, prNumber) => {
+// options.discardChanges: set aside uncommitted (non-GraphBus) changes
+// instead of refusing — e.g. a negotiation's edits that were never reviewed.
+// Only the paths git reports as changed are touched, and they go into a stash
+// of their own (left in place, reported as discardedStash) rather than being
+// reset, so nothing is lost if the user confirmed too quickly.
+ipcMain.handle('git:rollback', async (event, options = {}) => {
+    const { directory } = sessionFor(event);
     try {
-        // Use execFile (not exec) for the same reason documented on git:create-branch
-        // above: prNumber comes from the renderer process, so interpolating it into a
-        // shell command string would allow arbitrary command injection
-        // (e.g. prNumber = "1; rm -rf ~").  execFile passes arguments directly to the
-        // OS without a shell, so metacharacters in prNumber are never interpreted.
-        const { stdout } = await execFileAsync(
-            'gh',
-            [
-                'pr', 'view', String(prNumber),
-                '--json', 'comments',
-                '--jq', '.comments[] | {author: .author.login, body: .body, createdAt: .createdAt}',
-            ],
-            { cwd: workingDirectory, timeout: GIT_TIMEOUT_MS }
-        );
+        const root = await gitRoot(directory);
+        const session = await loadJsonIfExists(gitSessionFile(directory));
+        if (!session) {
+            return { success: false, error: 'No negotiation to roll back' };
+        }
+        const gitOptions = { cwd: root, timeout: GIT_TIMEOUT_MS };
+
+        let discardedStash = null;
+        const changes = await uncommittedChanges(root);
+        if (changes.length > 0) {
+            if (!options.discardChanges) {
+                return {
+                    success: false,
+                    error: `${changes.length} uncommitted change(s) would be discarded by rolling back`,
+                    changes: changes.map(c => c.path)
+                };
+            }
+            const message = `graphbus: discarded by rollback from ${await currentBranch(directory) || 'HEAD'} (${new Date().toISOString()})`;
+            await execFileAsync('git', ['stash', 'push', '--include-untracked', '-m', message, '--', ...changes.map(c => c.path)], gitOptions);
+            // A rename's source path can't be named to stash push (it no
+            // longer exists), so its staged deletion stays behind; the stash
+            // has the whole rename, so it is safe to restore from HEAD
+            const renamedFrom = changes.filter(c => c.origPath && c.code[0] === 'R').map(c => c.origPath);
+            if (renamedFrom.length > 0) {
+                await execFileAsync('git', ['restore', '--source=HEAD', '--staged', '--worktree', '--', ...renamedFrom], gitOptions);
+            }
+            discardedStash = message;
+        }
+
+        await execFileAsync('git', ['checkout', session.previousBranch], gitOptions);
+
+        // Stash entries are looked up by commit, since their stash@{n}
+        // positions shift whenever anything else is stashed
+        const restored = [];
+        const { stdout } = await execFileAsync('git', ['stash', 'list', '--format=%H'], gitOptions);
+        const stashShas = stdout.split('\n').filter(Boolean);
+        for (const stash of session.stashes) {
+            const index = stashShas.indexOf(stash.sha);
+            if (index === -1) continue;
+            await execFileAsync('git', ['stash', 'apply', '--index', stash.sha], gitOptions);
+            await execFileAsync('git', ['stash', 'drop', `stash@{${index}}`], gitOptions);
+            stashShas.splice(index, 1);
+            restored.push(stash.message);
+        }
+
+        await fsp.unlink(gitSessionFile(directory));
+        return {
+            success: true,
+            result: { branch: session.previousBranch, branches: session.branches, restoredStashes: restored, discardedStash }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Review of negotiation changes
+//
+// Nothing a negotiation writes is committed until it has been reviewed.
+// review:load diffs the files listed in modified_files.json (or, without it,
+// everything git reports as changed) against the index, split into hunks and
+// grouped by the proposal that touched them.  review:commit stages only the
+// accepted hunks — whole files with git add, partial files by applying a
+// patch of the chosen hunks to the index — and commits them; rejected hunks
+// are left in the working tree or, with discardRejected, reverse-applied.
+// All git commands run from the repository root so diff and apply agree on
+// paths even when the working directory is a subfolder.
+async function gitRoot(directory) {
+    const { stdout } = await execFileAsync('git', ['rev-parse', '--show-toplevel'], {
+        cwd: directory,
+        timeout: GIT_TIMEOUT_MS,
+    });
+    return stdout.trim();
+}
+
+async function loadJsonIfExists(filePath) {
+    try {
+        return JSON.parse(await fsp.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Diffs paths (relative to root) against the index, including files the
+// negotiation created, which git diff alone doesn't show.
+async function diffForReview(root, paths) {
+    if (paths.length === 0) return [];
+    const options = { cwd: root, timeout: GIT_TIMEOUT_MS, maxBuffer: 20 * 1024 * 1024 };
+
+    const { stdout: untrackedOut } = await execFileAsync('git', ['ls-files', '--others', '--exclude-standard', '--', ...paths], options);
+    const untracked = untrackedOut.split('\n').filter(Boolean);
+    const tracked = paths.filter(p => !untracked.includes(p));
+
+    let text = '';
+    if (tracked.length > 0) {
+        const { stdout } = await execFileAsync('git', ['diff', '--no-color', '--no-ext-diff', '-U3', '--', ...tracked], options);
+        text += stdout;
+    }
+    for (const file of untracked) {
+        try {
+            await execFileAsync('git', ['diff', '--no-color', '--no-index', '--', '/dev/null', file], options);
+        } catch (error) {
+            // --no-index exits 1 when the files differ, which they always do here
+            if (error.code !== 1) throw error;
+            text += error.stdout;
+        }
+    }
+
+    const files = parseUnifiedDiff(text);
+    files.forEach(file => { file.untracked = untracked.includes(file.path); });
+    return files;
+}
+
+async function applyPatch(root, patch, args) {
+    const patchFile = path.join(os.tmpdir(), `graphbus_review_${process.pid}_${Date.now()}.patch`);
+    await fsp.writeFile(patchFile, patch);
+    try {
+        await execFileAsync('git', ['apply', ...args, patchFile], { cwd: root, timeout: GIT_TIMEOUT_MS });
+    } finally {
+        await fsp.unlink(patchFile).catch(() => {});
+    }
+}
+
+// The paths open to review — and so the only ones review:commit will stage.
+// modified_files.json names what the negotiation touched; without it, every
+// change git sees, which git:prepare-negotiation made sure were all the
+// negotiation's.  GraphBus's own artefacts are never included, and a
+// .gitignore change (the .graphbus/ entry) is always offered alongside.
+async function reviewablePaths(root, directory) {
+    const toRepoPath = (p) => path.relative(root, path.resolve(directory, p));
+    const listed = readModifiedFiles(await loadJsonIfExists(path.join(directory, '.graphbus', 'modified_files.json')))
+        .map(entry => ({ ...entry, path: toRepoPath(entry.path) }))
+        .filter(entry => !isGraphBusArtefact(entry.path));
+
+    const status = await gitStatusEntries(root);
+    let source = 'modified_files.json';
+    let paths = listed.map(entry => entry.path);
+    if (paths.length === 0) {
+        source = 'git status';
+        paths = status.map(entry => entry.path).filter(p => !isGraphBusArtefact(p));
+    } else if (status.some(entry => entry.path === '.gitignore') && !paths.includes('.gitignore')) {
+        paths.push('.gitignore');
+    }
+
+    return { source, listed, paths, toRepoPath };
+}
+
+// The pending negotiation review lives in the session rather than the
+// renderer (see ProjectSession.pendingReview); null clears it
+ipcMain.handle('review:save-pending', async (event, review) => {
+    try {
+        sessionFor(event).pendingReview = review || null;
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('review:load-pending', async (event) => {
+    try {
+        return { success: true, result: sessionFor(event).pendingReview };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('review:load', async (event) => {
+    const session = sessionFor(event);
+    try {
+        const root = await gitRoot(session.directory);
+        const graphbusDir = path.join(session.directory, '.graphbus');
+        const { source, listed, paths, toRepoPath } = await reviewablePaths(root, session.directory);
+
+        // Attribute files to proposals from modified_files.json itself and
+        // from the commits recorded in negotiations.json
+        const timeline = buildNegotiationTimeline(await loadJsonIfExists(path.join(graphbusDir, 'negotiations.json')), null);
+        const proposals = timeline.rounds.flatMap(round => round.proposals).filter(p => p.id);
+        const filesByProposal = new Map(proposals.map(p => [p.id, (p.commit ? p.commit.files : []).map(toRepoPath)]));
+        listed.forEach(entry => entry.proposals.forEach(id => {
+            if (!filesByProposal.has(id)) filesByProposal.set(id, []);
+            filesByProposal.get(id).push(entry.path);
+        }));
+
+        const files = await diffForReview(root, paths);
+        files.forEach(file => {
+            file.proposals = [...filesByProposal.entries()]
+                .filter(([, proposalFiles]) => proposalFiles.includes(file.path))
+                .map(([id]) => id);
+        });
+
+        return {
+            success: true,
+            result: {
+                root,
+                branch: await currentBranch(session.directory),
+                source,
+                files,
+                proposals: proposals
+                    .filter(p => files.some(f => f.proposals.includes(p.id)))
+                    .map(p => ({ id: p.id, agent: p.agent, title: p.title, round: p.round }))
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// selection maps each reviewed path to the indexes of its accepted hunks
+// (files without hunks, e.g. binaries, count as a single hunk 0).
+ipcMain.handle('review:commit', async (event, message, selection, options = {}) => {
+    const { directory } = sessionFor(event);
+    try {
+        const root = await gitRoot(directory);
+        const gitOptions = { cwd: root, timeout: GIT_TIMEOUT_MS };
+
+        // Anything already staged would be swept into the commit unreviewed
+        try {
+            await execFileAsync('git', ['diff', '--cached', '--quiet'], gitOptions);
+        } catch (error) {
+            if (error.code === 1) {
+                return { success: false, error: 'Other changes are already staged — commit or unstage them before committing reviewed changes' };
+            }
+            throw error;
+        }
+
+        // Only stage what the review offered: never GraphBus artefacts or
+        // unrelated local edits, whatever paths the selection names
+        const { paths } = await reviewablePaths(root, directory);
+        const outside = Object.keys(selection).filter(p => !paths.includes(p));
+        if (outside.length > 0) {
+            return { success: false, error: `Not part of the negotiation's changes, so not committed: ${outside.join(', ')}` };
+        }
+
+        // Re-diff rather than trusting the renderer's copy, so the patches
+        // always match the files as they are now
+        const files = await diffForReview(root, Object.keys(selection));
+        let accepted = 0;
+        let discarded = 0;
+
+        for (const file of files) {
+            const hunkCount = Math.max(file.hunks.length, 1);
+            const acceptedHunks = (selection[file.path] || []).filter(i => i < hunkCount);
+            const rejectedHunks = [...Array(hunkCount).keys()].filter(i => !acceptedHunks.includes(i));
+
+            if (acceptedHunks.length === hunkCount) {
+                await execFileAsync('git', ['add', '--', file.path], gitOptions);
+            } else if (acceptedHunks.length > 0) {
+                await applyPatch(root, buildPatch(file, acceptedHunks), ['--cached']);
+            }
+            accepted += acceptedHunks.length;
+
+            if (options.discardRejected && rejectedHunks.length > 0) {
+                if (file.hunks.length === 0) {
+                    // Binary or mode-only change: restore (or remove) the whole file
+                    if (file.untracked) {
+                        await fsp.unlink(path.join(root, file.path));
+                    } else {
+                        await execFileAsync('git', ['checkout', '--', file.path], gitOptions);
+                    }
+                } else {
+                    await applyPatch(root, buildPatch(file, rejectedHunks), ['-R']);
+                }
+                discarded += rejectedHunks.length;
+            }
+        }
 
-        const comments = stdout.trim().split('\n').filter(line => line).map(line => JSON.parse(line));
+        if (accepted === 0) {
+            return { success: false, error: 'No changes were accepted, so there is nothing to commit', discarded };
+        }
 
-        return { success: true, comments };
+        await execFileAsync('git', ['commit', '-m', message], gitOptions);
+        return { success: true, result: { accepted, discarded } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Pull requests go through a hosting provider (git_hosting.js) chosen from
+// Settings → Git Hosting and the origin remote: GitHub, GitLab or
+// Gitea/Forgejo over their REST APIs, or "local only", which writes the
+// branch's commits to a patch file instead of opening anything.
+async function getHostingProvider(directory) {
+    let remoteUrl = null;
+    try {
+        const { stdout } = await execFileAsync('git', ['remote', 'get-url', 'origin'], {
+            cwd: directory,
+            timeout: GIT_TIMEOUT_MS,
+        });
+        remoteUrl = stdout.trim();
+    } catch (error) {
+        // No origin remote; only the local provider can work without one
+    }
+    return createHostingProvider({ ...loadHostingConfig(), token: hostingToken() }, remoteUrl, directory);
+}
+
+ipcMain.handle('hosting:info', async (event) => {
+    try {
+        const provider = await getHostingProvider(sessionFor(event).directory);
+        return { success: true, result: provider.describe() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// The token is never sent back to the renderer, only whether one is set
+ipcMain.handle('hosting:load-config', async () => {
+    try {
+        const config = loadHostingConfig();
+        const hasToken = hostingTokens.list().profiles.some(profile => profile.name === HOSTING_TOKEN_PROFILE);
+        return { success: true, result: { ...config, hasToken } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// An empty token keeps the saved one; token: null clears it
+ipcMain.handle('hosting:save-config', async (event, config) => {
+    try {
+        saveHostingConfig({
+            provider: config.provider || 'auto',
+            apiUrl: (config.apiUrl || '').trim() || undefined
+        });
+        if (config.token === null) {
+            hostingTokens.remove(HOSTING_TOKEN_PROFILE);
+        } else if (config.token) {
+            hostingTokens.set(HOSTING_TOKEN_PROFILE, config.token);
+        }
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Opens a pull request from branchName into baseBranch (the branch it was
+// created from).  Returns { provider, number, url } — or, for the local
+// provider, { provider, patchFile } with no number or url.
+ipcMain.handle('hosting:create-pr', async (event, title, body, branchName, baseBranch) => {
+    try {
+        if (!baseBranch) {
+            return { success: false, error: 'No base branch recorded for this pull request' };
+        }
+        const provider = await getHostingProvider(sessionFor(event).directory);
+        const pr = await provider.createPullRequest({ title, body, branch: branchName, base: baseBranch });
+        return { success: true, result: { provider: provider.type, ...pr } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Everything the PR panel needs for one PR: its state plus every piece of
+// feedback — conversation comments, review summaries and inline review
+// comments — flattened into one list with stable ids, so the renderer can
+// tell which ones it has already turned into a follow-up negotiation.
+ipcMain.handle('hosting:get-pr', async (event, prNumber) => {
+    try {
+        const provider = await getHostingProvider(sessionFor(event).directory);
+        const pr = await provider.getPullRequest(Number(prNumber));
+        pr.comments.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        return { success: true, result: pr };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
 ipcMain.handle('pr:save-tracking', async (event, prData) => {
+    const session = sessionFor(event);
     try {
-        const graphbusDir = path.join(workingDirectory, '.graphbus');
+        const graphbusDir = path.join(session.directory, '.graphbus');
         const trackingFile = path.join(graphbusDir, 'pr_tracking.json');
 
         // Read existing tracking data asynchronously.  Fall back to empty list
@@ -916,9 +2167,31 @@ ipcMain.handle('pr:save-tracking', async (event, prData) => {
     }
 });
 
+// Merges changes into the tracked PR with this negotiationId (e.g. the ids of
+// comments already addressed, or the follow-up negotiations run for it).
+ipcMain.handle('pr:update-tracking', async (event, negotiationId, changes) => {
+    const session = sessionFor(event);
+    try {
+        const trackingFile = path.join(session.directory, '.graphbus', 'pr_tracking.json');
+        const tracking = JSON.parse(await fsp.readFile(trackingFile, 'utf-8'));
+
+        const pr = tracking.prs.find(p => p.negotiationId === negotiationId);
+        if (!pr) {
+            return { success: false, error: `No tracked PR for negotiation ${negotiationId}` };
+        }
+        Object.assign(pr, changes, { updatedAt: Date.now() });
+
+        await fsp.writeFile(trackingFile, JSON.stringify(tracking, null, 2));
+        return { success: true, result: pr };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
 ipcMain.handle('pr:load-tracking', async (event) => {
+    const session = sessionFor(event);
     try {
-        const trackingFile = path.join(workingDirectory, '.graphbus', 'pr_tracking.json');
+        const trackingFile = path.join(session.directory, '.graphbus', 'pr_tracking.json');
 
         let raw;
         try {
@@ -934,30 +2207,129 @@ ipcMain.handle('pr:load-tracking', async (event) => {
     }
 });
 
-ipcMain.handle('system:set-cwd', async (event, newPath) => {
+// Opens PR links and the like in the system browser rather than inside the
+// app window.  Only web URLs — anything else could launch a local program.
+ipcMain.handle('system:open-external', async (event, url) => {
+    if (!/^https?:\/\//.test(url)) {
+        return { success: false, error: 'Only http(s) URLs can be opened' };
+    }
+    await shell.openExternal(url);
+    return { success: true };
+});
+
+// Opens a project in a tab of the calling window (or switches to its tab if
+// it is already open there) and reloads the window for it.  A project open
+// in another window is brought to the front there instead.
+// A negotiation's output only reaches the window that started it, and the
+// review, branch and PR that follow are driven from there — so the window
+// must not reload onto another project until the negotiation has finished.
+// Returns the refusal, or null when the active project may be left.
+function leaveActiveProjectRefusal(state) {
+    const negotiating = state.active && [...jobs.values()].some(job =>
+        job.sessionId === state.active.id && job.kind === 'negotiate' && job.status === 'running');
+    return negotiating
+        ? { success: false, error: `A negotiation is running in ${state.active.name} — wait for it to finish or cancel it from the Jobs tab before switching projects` }
+        : null;
+}
+
+ipcMain.handle('project:open', async (event, directory) => {
     try {
         // Validate path exists
-        if (!fs.existsSync(newPath)) {
+        if (!fs.existsSync(directory)) {
             return { success: false, error: 'Directory does not exist' };
         }
 
-        const stats = fs.statSync(newPath);
+        const stats = fs.statSync(directory);
         if (!stats.isDirectory()) {
             return { success: false, error: 'Path is not a directory' };
         }
 
-        workingDirectory = newPath;
-        return { success: true, result: workingDirectory };
+        const state = windowStateFor(event);
+        const resolved = path.resolve(directory);
+        const owner = windowShowing(resolved);
+        if (owner && owner !== state) {
+            owner.window.focus();
+            return { success: false, error: `${path.basename(resolved)} is already open in another window` };
+        }
+
+        const refusal = state.active && state.active.directory !== resolved ? leaveActiveProjectRefusal(state) : null;
+        if (refusal) return refusal;
+
+        state.active = openSession(state, resolved);
+        recentProjects.add(resolved);
+        reloadWindow(state);
+        return { success: true, result: resolved };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('project:list', async (event) => {
+    try {
+        const state = windowStateFor(event);
+        return {
+            success: true,
+            result: {
+                activeId: state.active.id,
+                open: [...state.sessions.values()].map(session => session.describe()),
+                recent: recentProjects.list()
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('project:switch', async (event, id) => {
+    const state = windowStateFor(event);
+    const session = state.sessions.get(id);
+    if (!session) {
+        return { success: false, error: `Project ${id} is not open` };
+    }
+    if (session !== state.active) {
+        const refusal = leaveActiveProjectRefusal(state);
+        if (refusal) return refusal;
+        state.active = session;
+        reloadWindow(state);
+    }
+    return { success: true };
+});
+
+// Closing a project stops its runtime, terminals and jobs.  The last open
+// project in a window can't be closed — the window always shows one.
+ipcMain.handle('project:close', async (event, id) => {
+    const state = windowStateFor(event);
+    const session = state.sessions.get(id);
+    if (!session) {
+        return { success: false, error: `Project ${id} is not open` };
+    }
+    if (state.sessions.size === 1) {
+        return { success: false, error: 'This is the only open project — open another one before closing it' };
+    }
+
+    closeSession(state, session);
+    if (session === state.active) {
+        state.active = [...state.sessions.values()].sort((a, b) => b.openedAt - a.openedAt)[0];
+        reloadWindow(state);
+    }
+    return { success: true };
+});
+
+ipcMain.handle('project:forget-recent', async (event, directory) => {
+    try {
+        recentProjects.remove(directory);
+        return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
+// Only picks a directory; opening it as a project is project:open
 ipcMain.handle('system:browse-directory', async (event) => {
     try {
-        const result = await dialog.showOpenDialog(mainWindow, {
+        const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
             properties: ['openDirectory'],
-            defaultPath: workingDirectory,
+            defaultPath: sessionFor(event).directory,
             title: 'Select Working Directory'
         });
 
@@ -965,58 +2337,169 @@ ipcMain.handle('system:browse-directory', async (event) => {
             return { success: false, error: 'Cancelled' };
         }
 
-        workingDirectory = result.filePaths[0];
-        return { success: true, result: workingDirectory };
+        return { success: true, result: result.filePaths[0] };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
 // Claude AI operations
-ipcMain.handle('claude:initialize', async (event, apiKey, shouldSave = true) => {
+// profile names the saved key to store it under (the active one if omitted)
+ipcMain.handle('claude:initialize', async (event, apiKey, shouldSave = true, profile = null) => {
     try {
-        claudeService.initialize(apiKey, workingDirectory);
+        const session = sessionFor(event);
+        session.claudeService.initialize(apiKey, session.directory, resolveLlmConfig(session.directory));
 
-        // Save API key to config file if requested (don't validate yet, will fail on first actual use)
-        if (shouldSave) {
-            const saved = saveApiKey(apiKey);
-            if (saved) {
-                console.log('API key saved to config file');
-            }
+        // Save API key to the key store if requested (don't validate yet, will fail on first actual use)
+        if (shouldSave && !saveApiKey(apiKey, profile)) {
+            return { success: false, error: 'Connected, but the key could not be saved — see the log for details' };
         }
 
+        // Projects open in other tabs and windows that had no key yet get
+        // this one too, if their model settings use it
+        windowStates.forEach(state => state.sessions.forEach(other => {
+            if (!other.claudeService.isInitialized()) {
+                connectCoach(other);
+            }
+        }));
+
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('claude:chat', async (event, message, systemState) => {
+// Shared by claude:chat and claude:submit-tool-results
+function claudeErrorResponse(error, session) {
+    console.error('Claude chat error:', error);
+
+    // Check if it's an authentication error
+    if (error.message && (error.message.includes('401') || error.message.includes('authentication') || error.message.includes('API key'))) {
+        // Delete the invalid saved key — the one this project's model used,
+        // which for other providers is only ever a pinned profile
+        const config = resolveLlmConfig(session.directory);
+        if (config.keyProfile || config.provider === 'anthropic') {
+            deleteApiKey(config.keyProfile || null);
+        }
+        return { success: false, error: 'Invalid API key - please reconfigure in Settings', needsReconfigure: true };
+    }
+
+    if (error.aborted) {
+        return { success: false, error: error.message, aborted: true };
+    }
+
+    return { success: false, error: error.message };
+}
+
+// Token usage and the budget (see usage_ledger.js).  Recording is best effort:
+// a ledger that can't be written shouldn't turn a good reply into an error.
+async function recordUsage(session, source, usage, model) {
+    if (!usage || !model) return;
     try {
-        if (!claudeService.isInitialized()) {
+        await usageLedger.record(session.directory, {
+            source,
+            provider: model.type,
+            model: model.model,
+            inputTokens: usage.inputTokens || 0,
+            outputTokens: usage.outputTokens || 0,
+            ...(typeof usage.cost === 'number' ? { cost: usage.cost } : {})
+        });
+    } catch (error) {
+        console.error('Could not record model usage:', error);
+    }
+}
+
+// The CLI calls the model itself, so a negotiation's spend is only known
+// from what it prints — and only recorded if it printed something
+async function recordNegotiationUsage(session, output) {
+    const usage = parseUsageFromOutput(output);
+    const config = resolveLlmConfig(session.directory);
+    await recordUsage(session, 'negotiation', usage, { type: config.provider, model: effectiveModel(config) });
+}
+
+// The error response when the project's budget is used up and set to block
+// further calls, otherwise null
+async function budgetRefusal(session) {
+    try {
+        const budget = await usageLedger.checkBudget(session.directory);
+        if (budget.exceeded && budget.action === 'block') {
+            return { success: false, error: `${budget.message}. Raise the budget in Settings to continue.`, budgetExceeded: true };
+        }
+    } catch (error) {
+        console.error('Could not check the model budget:', error);
+    }
+    return null;
+}
+
+// Records a coach reply's usage and adds a budgetWarning to it when the
+// budget is close to or past its limit
+async function withUsage(session, response) {
+    await recordUsage(session, 'coach', response.usage, session.claudeService.describeModel());
+    try {
+        const budget = await usageLedger.checkBudget(session.directory);
+        return budget.message ? { ...response, budgetWarning: budget.message } : response;
+    } catch (error) {
+        console.error('Could not check the model budget:', error);
+        return response;
+    }
+}
+
+// Streams reply text to the window that asked, as it arrives
+function claudeTextForwarder(event) {
+    return (delta) => {
+        if (!event.sender.isDestroyed()) {
+            event.sender.send('claude:stream', { delta });
+        }
+    };
+}
+
+ipcMain.handle('claude:chat', async (event, message, systemState, options = {}) => {
+    const session = sessionFor(event);
+    try {
+        if (!session.claudeService.isInitialized()) {
             return { success: false, error: 'Claude not initialized' };
         }
+        const refusal = await budgetRefusal(session);
+        if (refusal) return refusal;
 
-        const response = await claudeService.chat(message, systemState);
-        return { success: true, result: response };
+        const response = await session.claudeService.chat(message, systemState, {
+            ...options,
+            onText: claudeTextForwarder(event)
+        });
+        return { success: true, result: await withUsage(session, response) };
     } catch (error) {
-        console.error('Claude chat error:', error);
+        return claudeErrorResponse(error, session);
+    }
+});
 
-        // Check if it's an authentication error
-        if (error.message && (error.message.includes('401') || error.message.includes('authentication') || error.message.includes('API key'))) {
-            // Delete the invalid config
-            deleteApiKey();
-            return { success: false, error: 'Invalid API key - please reconfigure in Settings', needsReconfigure: true };
+ipcMain.handle('claude:submit-tool-results', async (event, results, systemState) => {
+    const session = sessionFor(event);
+    try {
+        if (!session.claudeService.isInitialized()) {
+            return { success: false, error: 'Claude not initialized' };
         }
+        const refusal = await budgetRefusal(session);
+        if (refusal) return refusal;
 
-        return { success: false, error: error.message };
+        const response = await session.claudeService.submitToolResults(results, systemState, {
+            onText: claudeTextForwarder(event)
+        });
+        return { success: true, result: await withUsage(session, response) };
+    } catch (error) {
+        return claudeErrorResponse(error, session);
     }
 });
 
+ipcMain.handle('claude:abort', async (event) => {
+    const session = sessionFor(event);
+    return { success: true, result: session.claudeService.abort() };
+});
+
 ipcMain.handle('claude:add-system-message', async (event, message) => {
+    const session = sessionFor(event);
     try {
-        if (claudeService.isInitialized()) {
-            claudeService.addSystemMessage(message);
+        if (session.claudeService.isInitialized()) {
+            session.claudeService.addSystemMessage(message);
         }
         return { success: true };
     } catch (error) {
@@ -1024,29 +2507,149 @@ ipcMain.handle('claude:add-system-message', async (event, message) => {
     }
 });
 
-ipcMain.handle('claude:is-initialized', async (event) => {
-    return { success: true, result: claudeService.isInitialized() };
+// How much of the conversation the coach remembers, e.g. after reopening
+ipcMain.handle('claude:context-info', async (event) => {
+    return { success: true, result: sessionFor(event).claudeService.contextInfo() };
 });
 
-ipcMain.handle('claude:update-directory', async (event, directory) => {
+// "Start fresh": the coach forgets this project's conversation (history,
+// summary) and the chat log goes with it, so the two never disagree
+ipcMain.handle('claude:start-fresh', async (event) => {
+    const session = sessionFor(event);
     try {
-        if (claudeService.isInitialized()) {
-            claudeService.updateWorkingDirectory(directory);
-        }
+        session.claudeService.abort();
+        await session.claudeService.startFresh(session.directory);
+        await fsp.rm(path.join(session.directory, '.graphbus', 'conversation_history.json'), { force: true });
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('claude:delete-config', async (event) => {
+ipcMain.handle('claude:is-initialized', async (event) => {
+    const session = sessionFor(event);
+    return { success: true, result: session.claudeService.isInitialized() };
+});
+
+ipcMain.handle('claude:delete-config', async (event, profile = null) => {
     try {
-        const deleted = deleteApiKey();
+        const deleted = deleteApiKey(profile);
         return { success: deleted };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
+// Saved key profiles and how new keys are encrypted — never the keys
+ipcMain.handle('claude:list-keys', async () => {
+    try {
+        return { success: true, result: keyStore.list() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Makes a saved profile active and switches every open project to its key,
+// keeping their conversations
+ipcMain.handle('claude:use-key', async (event, profile) => {
+    try {
+        keyStore.setActive(profile);
+        windowStates.forEach(state => state.sessions.forEach(session => connectCoach(session, { keepHistory: true })));
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Model settings for the Settings view: the defaults, this project's
+// override and what the coach is using now
+ipcMain.handle('llm:load-config', async (event) => {
+    try {
+        const session = sessionFor(event);
+        return {
+            success: true,
+            result: {
+                providers: listProviders(),
+                global: readJsonConfig(llmConfigFile) || { provider: 'anthropic' },
+                project: readJsonConfig(projectLlmConfigFile(session.directory)),
+                effective: resolveLlmConfig(session.directory),
+                inUse: session.claudeService.describeModel()
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// scope 'global' saves the defaults; 'project' saves an override for the
+// calling window's project, or removes it when config is null.  Coaches
+// affected by the change switch over without losing their conversations.
+ipcMain.handle('llm:save-config', async (event, config, scope = 'global') => {
+    try {
+        const session = sessionFor(event);
+        const file = scope === 'project' ? projectLlmConfigFile(session.directory) : llmConfigFile;
+
+        if (config === null) {
+            if (scope !== 'project') {
+                return { success: false, error: 'Only a project override can be removed' };
+            }
+            await fsp.rm(file, { force: true });
+        } else {
+            if (config.provider && !listProviders().some(p => p.type === config.provider)) {
+                return { success: false, error: `Unknown model provider "${config.provider}"` };
+            }
+            const clean = {};
+            ['provider', 'model', 'baseUrl', 'keyProfile'].forEach(field => {
+                const value = typeof config[field] === 'string' ? config[field].trim() : '';
+                if (value) clean[field] = value;
+            });
+            await fsp.mkdir(path.dirname(file), { recursive: true });
+            await fsp.writeFile(file, JSON.stringify(clean, null, 2), 'utf-8');
+        }
+
+        let connected = true;
+        windowStates.forEach(state => state.sessions.forEach(other => {
+            if (scope === 'project' && other.directory !== session.directory) return;
+            const ok = connectCoach(other, { keepHistory: true });
+            if (other === session) connected = ok;
+        }));
+
+        return { success: true, result: { connected, inUse: session.claudeService.describeModel() } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Models the given provider settings can reach, for the Settings view's
+// suggestions.  Best effort: not every server lists its models.
+ipcMain.handle('llm:list-models', async (event, config) => {
+    try {
+        const resolved = { ...resolveLlmConfig(sessionFor(event).directory), ...config };
+        const provider = createLlmProvider({ ...resolved, apiKey: llmApiKey(resolved) });
+        return { success: true, result: await provider.listModels() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// This project's token usage and spend, with the budget's state
+ipcMain.handle('usage:summary', async (event) => {
+    try {
+        return { success: true, result: await usageLedger.summary(sessionFor(event).directory) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// budget: { daily, monthly, action: 'warn' | 'block' } in USD; applies to
+// every project
+ipcMain.handle('usage:save-budget', async (event, budget) => {
+    try {
+        return { success: true, result: usageLedger.saveBudget(budget || {}) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
 console.log('GraphBus UI - Electron main process started');
-console.log('Working directory:', workingDirectory);
+console.log('Working directory:', startupDirectory);
@@ -0,0 +1,168 @@
+// negotiation_timeline.js - Normalises negotiation artefacts for the Negotiations view
+
+// Two sources describe a negotiation, in different shapes:
+//
+//   .graphbus/negotiations.json — one record per proposal outcome:
+//     [{ proposal_id, agent, improvement_type, status, commit_id, round, ... }]
+//
+//   graphbus inspect-negotiation --format json — the full history, keyed by
+//   kind: { intent, proposals: [...], evaluations: [...], commits: [...] }
+//
+// Field names have drifted between graphbus-core releases (agent vs src,
+// evaluator vs agent, decision vs accept), so every lookup below tries the
+// known spellings.  The result is a single shape the renderer can draw:
+//
+//   { intent, rounds: [{ round, proposals: [{ id, agent, title, description,
+//     status, evaluations: [{ agent, decision, reasoning }], arbiter, commit }] }],
+//     agents: [...], summary: { rounds, proposals, accepted, rejected, commits } }
+
+function pick(obj, ...keys) {
+    for (const key of keys) {
+        if (obj && obj[key] !== undefined && obj[key] !== null) return obj[key];
+    }
+    return null;
+}
+
+function toRound(value) {
+    const round = parseInt(value, 10);
+    return Number.isNaN(round) ? 1 : round;
+}
+
+function normaliseDecision(evaluation) {
+    const decision = pick(evaluation, 'decision', 'result', 'vote');
+    if (typeof decision === 'string') return decision.toLowerCase();
+    const accept = pick(evaluation, 'accept', 'accepted', 'approve');
+    if (accept !== null) return accept ? 'accept' : 'reject';
+    return 'unknown';
+}
+
+function normaliseEvaluation(evaluation) {
+    return {
+        agent: pick(evaluation, 'evaluator', 'agent', 'src', 'evaluator_agent') || 'unknown',
+        decision: normaliseDecision(evaluation),
+        reasoning: pick(evaluation, 'reasoning', 'reason', 'rationale', 'comment') || ''
+    };
+}
+
+function normaliseArbiter(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return { agent: null, decision: value, reasoning: '' };
+    return {
+        agent: pick(value, 'arbiter', 'agent'),
+        decision: pick(value, 'decision', 'result', 'resolution') || 'decided',
+        reasoning: pick(value, 'reasoning', 'reason', 'rationale') || ''
+    };
+}
+
+function normaliseFiles(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : [value]).map(file =>
+        typeof file === 'string' ? file : pick(file, 'path', 'file', 'filename') || JSON.stringify(file)
+    );
+}
+
+function proposalFrom(record) {
+    const evaluations = pick(record, 'evaluations', 'evaluations_received', 'votes') || [];
+    const commitId = pick(record, 'commit_id', 'commit');
+    return {
+        id: String(pick(record, 'proposal_id', 'id') || ''),
+        agent: pick(record, 'agent', 'src', 'proposer', 'source_agent') || 'unknown',
+        round: toRound(pick(record, 'round', 'round_number')),
+        title: pick(record, 'improvement_type', 'title', 'intent', 'summary') || 'Proposal',
+        description: pick(record, 'description', 'rationale', 'reasoning', 'details') || '',
+        status: (pick(record, 'status', 'outcome') || 'proposed').toLowerCase(),
+        evaluations: evaluations.map(normaliseEvaluation),
+        arbiter: normaliseArbiter(pick(record, 'arbiter_decision', 'arbiter', 'arbitration')),
+        commit: commitId
+            ? { id: String(commitId), files: normaliseFiles(pick(record, 'files_modified', 'files', 'modified_files')) }
+            : null
+    };
+}
+
+// Merges a later description of the same proposal into an earlier one,
+// keeping whatever the earlier source didn't know.
+function mergeProposal(target, source) {
+    for (const key of ['agent', 'title', 'description']) {
+        if ((!target[key] || target[key] === 'unknown' || target[key] === 'Proposal') && source[key]) {
+            target[key] = source[key];
+        }
+    }
+    if (source.status !== 'proposed') target.status = source.status;
+    if (source.evaluations.length > target.evaluations.length) target.evaluations = source.evaluations;
+    target.arbiter = target.arbiter || source.arbiter;
+    target.commit = target.commit || source.commit;
+}
+
+function buildNegotiationTimeline(records, inspectData) {
+    const proposals = new Map();
+    let anonymous = 0;
+
+    const add = (record) => {
+        const proposal = proposalFrom(record);
+        const key = proposal.id || `anonymous-${anonymous++}`;
+        if (proposals.has(key)) {
+            mergeProposal(proposals.get(key), proposal);
+        } else {
+            proposals.set(key, proposal);
+        }
+    };
+
+    const inspect = inspectData && typeof inspectData === 'object' && !Array.isArray(inspectData) ? inspectData : {};
+
+    (Array.isArray(inspectData) ? inspectData : inspect.proposals || []).forEach(add);
+    (Array.isArray(records) ? records : []).forEach(add);
+
+    // Evaluations, commits and arbiter decisions may come as separate lists
+    // that point back at their proposal
+    (inspect.evaluations || []).forEach(evaluation => {
+        const proposal = proposals.get(String(pick(evaluation, 'proposal_id', 'proposal')));
+        const normalised = normaliseEvaluation(evaluation);
+        if (proposal && !proposal.evaluations.some(e => e.agent === normalised.agent)) {
+            proposal.evaluations.push(normalised);
+        }
+    });
+
+    (inspect.commits || []).forEach(commit => {
+        const proposal = proposals.get(String(pick(commit, 'proposal_id', 'proposal')));
+        if (!proposal) return;
+        const files = normaliseFiles(pick(commit, 'files_modified', 'files', 'modified_files'));
+        if (!proposal.commit) {
+            proposal.commit = { id: String(pick(commit, 'commit_id', 'id') || ''), files };
+        } else if (proposal.commit.files.length === 0) {
+            proposal.commit.files = files;
+        }
+        proposal.arbiter = proposal.arbiter || normaliseArbiter(pick(commit, 'arbiter_decision', 'arbiter', 'resolution'));
+        if (proposal.status === 'proposed') proposal.status = 'accepted';
+    });
+
+    (inspect.arbiter_decisions || []).forEach(decision => {
+        const proposal = proposals.get(String(pick(decision, 'proposal_id', 'proposal')));
+        if (proposal) proposal.arbiter = normaliseArbiter(decision);
+    });
+
+    const rounds = new Map();
+    const agents = new Set();
+    proposals.forEach(proposal => {
+        if (!rounds.has(proposal.round)) rounds.set(proposal.round, []);
+        rounds.get(proposal.round).push(proposal);
+        agents.add(proposal.agent);
+        proposal.evaluations.forEach(evaluation => agents.add(evaluation.agent));
+    });
+    agents.delete('unknown');
+
+    const all = [...proposals.values()];
+    return {
+        intent: pick(inspect, 'intent', 'user_intent'),
+        rounds: [...rounds.keys()].sort((a, b) => a - b).map(round => ({ round, proposals: rounds.get(round) })),
+        agents: [...agents].sort(),
+        summary: {
+            rounds: rounds.size,
+            proposals: all.length,
+            accepted: all.filter(p => /accept|commit|approv/.test(p.status) || p.commit).length,
+            rejected: all.filter(p => /reject/.test(p.status)).length,
+            commits: all.filter(p => p.commit).length
+        }
+    };
+}
+
+module.exports = { buildNegotiationTimeline };
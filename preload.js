@@ -1,23 +1,59 @@
 // preload.js - Secure bridge between renderer and main process
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Streaming command output.
+//
+// Every streaming command is a job in the main process, and its
+// command-output / command-complete / command-error events carry that jobId.
+// One listener per channel dispatches to the handlers registered for the job,
+// so any number of streams can run side by side without hijacking each
+// other's output.  Events for a job nobody has subscribed to yet are held
+// until its handlers arrive; handlers are dropped once the job completes.
+const commandStreams = new Map();
+const pendingStreamEvents = new Map();
+
+function dispatchCommandEvent(kind, data) {
+    const handlers = commandStreams.get(data.jobId);
+    if (!handlers) {
+        if (!pendingStreamEvents.has(data.jobId)) pendingStreamEvents.set(data.jobId, []);
+        pendingStreamEvents.get(data.jobId).push([kind, data]);
+        return;
+    }
+
+    const callback = { output: handlers.onOutput, complete: handlers.onComplete, error: handlers.onError }[kind];
+    if (kind !== 'output') {
+        commandStreams.delete(data.jobId);
+    }
+    if (callback) callback(data);
+}
+
+function subscribeCommandStream(jobId, handlers) {
+    commandStreams.set(jobId, handlers);
+    const pending = pendingStreamEvents.get(jobId) || [];
+    pendingStreamEvents.delete(jobId);
+    pending.forEach(([kind, data]) => dispatchCommandEvent(kind, data));
+}
+
+ipcRenderer.on('command-output', (event, data) => dispatchCommandEvent('output', data));
+ipcRenderer.on('command-complete', (event, data) => dispatchCommandEvent('complete', data));
+ipcRenderer.on('command-error', (event, data) => dispatchCommandEvent('error', data));
+
 // Expose menu event listener
 contextBridge.exposeInMainWorld('menu', {
     onNewProject: (callback) => ipcRenderer.on('menu:new-project', callback),
     onOpenProject: (callback) => ipcRenderer.on('menu:open-project', callback),
     onChangeDirectory: (callback) => ipcRenderer.on('menu:change-directory', callback),
+    onCloseProject: (callback) => ipcRenderer.on('menu:close-project', callback),
     onSwitchView: (callback) => ipcRenderer.on('menu:switch-view', (event, view) => callback(view)),
     onBuildAgents: (callback) => ipcRenderer.on('menu:build-agents', callback),
     onNegotiate: (callback) => ipcRenderer.on('menu:negotiate', callback),
+    onRollbackNegotiation: (callback) => ipcRenderer.on('menu:rollback-negotiation', callback),
     onStartRuntime: (callback) => ipcRenderer.on('menu:start-runtime', callback),
     onStopRuntime: (callback) => ipcRenderer.on('menu:stop-runtime', callback)
 });
 
 // Expose protected methods to renderer
 contextBridge.exposeInMainWorld('graphbus', {
-    // Python execution
-    executePython: (code) => ipcRenderer.invoke('python:execute', code),
-
     // GraphBus operations
     build: (config) => ipcRenderer.invoke('graphbus:build', config),
     startRuntime: (config) => ipcRenderer.invoke('graphbus:start-runtime', config),
@@ -28,58 +64,116 @@ contextBridge.exposeInMainWorld('graphbus', {
     loadGraph: (artifactsDir) => ipcRenderer.invoke('graphbus:load-graph', artifactsDir),
     listAgents: () => ipcRenderer.invoke('graphbus:list-agents'),
     rehydrateState: (workingDirectory) => ipcRenderer.invoke('graphbus:rehydrate-state', workingDirectory),
+    readStateFile: (filename) => ipcRenderer.invoke('graphbus:read-state-file', filename),
+
+    // Live message-bus and method-call streams pushed by the runtime worker.
+    // Registered once at startup, so plain on() is fine here.
+    onBusMessage: (callback) => ipcRenderer.on('graphbus:bus-message', (event, message) => callback(message)),
+    onMethodCall: (callback) => ipcRenderer.on('graphbus:method-call', (event, call) => callback(call)),
 
     // Working directory operations
     getWorkingDirectory: () => ipcRenderer.invoke('system:get-cwd'),
-    setWorkingDirectory: (path) => ipcRenderer.invoke('system:set-cwd', path),
     browseDirectory: () => ipcRenderer.invoke('system:browse-directory'),
+    hasGraphbus: (directory) => ipcRenderer.invoke('system:has-graphbus', directory),
+
+    // Open projects (tabs) and recent projects.  Opening, switching or
+    // closing the active project reloads the window for the new one.
+    projectList: () => ipcRenderer.invoke('project:list'),
+    projectOpen: (directory) => ipcRenderer.invoke('project:open', directory),
+    projectSwitch: (id) => ipcRenderer.invoke('project:switch', id),
+    projectClose: (id) => ipcRenderer.invoke('project:close', id),
+    projectForgetRecent: (directory) => ipcRenderer.invoke('project:forget-recent', directory),
     runCommand: (command) => ipcRenderer.invoke('system:run-command', command),
-    runCommandStreaming: (command) => ipcRenderer.invoke('system:run-command-streaming', command),
-
-    // Event listeners for streaming command output.
-    //
-    // ipcRenderer.on() stacks listeners — each call adds a NEW handler on top
-    // of any existing ones rather than replacing them.  In a session where the
-    // user runs multiple streaming commands, these channels accumulate listeners
-    // and every event fires multiple times (once per previously-registered callback).
-    //
-    // Fix: remove all listeners on the channel before registering the new one,
-    // ensuring at most one active listener per channel at any time.
-    // This is safe for a single-window app where only one streaming session runs
-    // at a time and the renderer reregisters on each new command.
-    onCommandOutput: (callback) => {
-        ipcRenderer.removeAllListeners('command-output');
-        ipcRenderer.on('command-output', (event, data) => callback(data));
-    },
-    onCommandComplete: (callback) => {
-        ipcRenderer.removeAllListeners('command-complete');
-        ipcRenderer.on('command-complete', (event, data) => callback(data));
-    },
-    onCommandError: (callback) => {
-        ipcRenderer.removeAllListeners('command-error');
-        ipcRenderer.on('command-error', (event, data) => callback(data));
+
+    // Starts a streaming command and routes its output to handlers
+    // ({ onOutput, onComplete, onError }, all optional).  Resolves with
+    // { success, result: { jobId } } once the process has been spawned.
+    runCommandStreaming: async (command, handlers = {}) => {
+        const result = await ipcRenderer.invoke('system:run-command-streaming', command);
+        if (result.success) {
+            subscribeCommandStream(result.result.jobId, handlers);
+        }
+        return result;
     },
 
+    // Process registry (Jobs panel)
+    jobsList: () => ipcRenderer.invoke('jobs:list'),
+    jobsCancel: (id) => ipcRenderer.invoke('jobs:cancel', id),
+    jobsKill: (id) => ipcRenderer.invoke('jobs:kill', id),
+    jobsClearFinished: () => ipcRenderer.invoke('jobs:clear-finished'),
+    onJobsChanged: (callback) => ipcRenderer.on('jobs:changed', (event, jobs) => callback(jobs)),
+
+    // Embedded terminals.  Keystrokes and resizes are one-way sends; output
+    // and exits arrive as events keyed by terminal id, registered once.
+    terminalList: () => ipcRenderer.invoke('terminal:list'),
+    terminalCreate: (cols, rows) => ipcRenderer.invoke('terminal:create', cols, rows),
+    terminalWrite: (id, data) => ipcRenderer.send('terminal:write', id, data),
+    terminalResize: (id, cols, rows) => ipcRenderer.send('terminal:resize', id, cols, rows),
+    terminalClose: (id) => ipcRenderer.invoke('terminal:close', id),
+    terminalRunCommand: (id, command) => ipcRenderer.invoke('terminal:run-command', id, command),
+    onTerminalData: (callback) => ipcRenderer.on('terminal:data', (event, data) => callback(data)),
+    onTerminalExit: (callback) => ipcRenderer.on('terminal:exit', (event, data) => callback(data)),
+
     // Claude AI operations
-    claudeInitialize: (apiKey, shouldSave = true) => ipcRenderer.invoke('claude:initialize', apiKey, shouldSave),
-    claudeChat: (message, systemState) => ipcRenderer.invoke('claude:chat', message, systemState),
+    claudeInitialize: (apiKey, shouldSave = true, profile = null) => ipcRenderer.invoke('claude:initialize', apiKey, shouldSave, profile),
+    claudeChat: (message, systemState, options) => ipcRenderer.invoke('claude:chat', message, systemState, options),
+    claudeSubmitToolResults: (results, systemState) => ipcRenderer.invoke('claude:submit-tool-results', results, systemState),
+    claudeAbort: () => ipcRenderer.invoke('claude:abort'),
+    // Reply text as it streams in; registered once at startup like onBusMessage
+    onClaudeStream: (callback) => ipcRenderer.on('claude:stream', (event, data) => callback(data)),
     claudeAddSystemMessage: (message) => ipcRenderer.invoke('claude:add-system-message', message),
     claudeIsInitialized: () => ipcRenderer.invoke('claude:is-initialized'),
-    claudeUpdateDirectory: (directory) => ipcRenderer.invoke('claude:update-directory', directory),
-    claudeDeleteConfig: () => ipcRenderer.invoke('claude:delete-config'),
+    claudeContextInfo: () => ipcRenderer.invoke('claude:context-info'),
+    claudeStartFresh: () => ipcRenderer.invoke('claude:start-fresh'),
+    claudeDeleteConfig: (profile = null) => ipcRenderer.invoke('claude:delete-config', profile),
+    claudeListKeys: () => ipcRenderer.invoke('claude:list-keys'),
+    claudeUseKey: (profile) => ipcRenderer.invoke('claude:use-key', profile),
 
     // Conversation persistence
     conversationSave: (messages) => ipcRenderer.invoke('conversation:save', messages),
     conversationLoad: () => ipcRenderer.invoke('conversation:load'),
     conversationClear: () => ipcRenderer.invoke('conversation:clear'),
 
-    // Git and GitHub integration
+    // Negotiation history merged from negotiations.json and inspect-negotiation
+    negotiationLoadTimeline: () => ipcRenderer.invoke('negotiation:load-timeline'),
+
+    // Event Composer payload templates (per project)
+    templatesLoad: () => ipcRenderer.invoke('templates:load'),
+    templatesSave: (templates) => ipcRenderer.invoke('templates:save', templates),
+
+    // Review of negotiation changes before they are committed
+    reviewLoad: () => ipcRenderer.invoke('review:load'),
+    reviewCommit: (message, selection, options) => ipcRenderer.invoke('review:commit', message, selection, options),
+    reviewSavePending: (review) => ipcRenderer.invoke('review:save-pending', review),
+    reviewLoadPending: () => ipcRenderer.invoke('review:load-pending'),
+
+    // Git integration
     gitCreateBranch: (branchName) => ipcRenderer.invoke('git:create-branch', branchName),
-    gitCommitAndPush: (message, branchName) => ipcRenderer.invoke('git:commit-and-push', message, branchName),
-    githubCreatePR: (title, body, branchName) => ipcRenderer.invoke('github:create-pr', title, body, branchName),
-    githubGetPRComments: (prNumber) => ipcRenderer.invoke('github:get-pr-comments', prNumber),
+    gitCheckout: (branchName) => ipcRenderer.invoke('git:checkout', branchName),
+    gitPush: (branchName) => ipcRenderer.invoke('git:push', branchName),
+    gitStatus: () => ipcRenderer.invoke('git:status'),
+    gitPrepareNegotiation: (options) => ipcRenderer.invoke('git:prepare-negotiation', options),
+    gitRollback: (options) => ipcRenderer.invoke('git:rollback', options),
+
+    // Model provider and model for the coach and agent builds
+    llmLoadConfig: () => ipcRenderer.invoke('llm:load-config'),
+    llmSaveConfig: (config, scope = 'global') => ipcRenderer.invoke('llm:save-config', config, scope),
+    llmListModels: (config) => ipcRenderer.invoke('llm:list-models', config),
+
+    // Token usage ledger and budget
+    usageSummary: () => ipcRenderer.invoke('usage:summary'),
+    usageSaveBudget: (budget) => ipcRenderer.invoke('usage:save-budget', budget),
+
+    // Pull requests through the configured hosting provider
+    hostingInfo: () => ipcRenderer.invoke('hosting:info'),
+    hostingLoadConfig: () => ipcRenderer.invoke('hosting:load-config'),
+    hostingSaveConfig: (config) => ipcRenderer.invoke('hosting:save-config', config),
+    hostingCreatePR: (title, body, branchName, baseBranch) => ipcRenderer.invoke('hosting:create-pr', title, body, branchName, baseBranch),
+    hostingGetPR: (prNumber) => ipcRenderer.invoke('hosting:get-pr', prNumber),
     prSaveTracking: (prData) => ipcRenderer.invoke('pr:save-tracking', prData),
-    prLoadTracking: () => ipcRenderer.invoke('pr:load-tracking')
+    prUpdateTracking: (negotiationId, changes) => ipcRenderer.invoke('pr:update-tracking', negotiationId, changes),
+    prLoadTracking: () => ipcRenderer.invoke('pr:load-tracking'),
+    openExternal: (url) => ipcRenderer.invoke('system:open-external', url)
 });
 
 console.log('Preload script loaded - graphbus API exposed to renderer');
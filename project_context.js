@@ -0,0 +1,249 @@
+// project_context.js - What the coach is told about the project: agents, topics, last build and negotiation
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { buildNegotiationTimeline } = require('./negotiation_timeline');
+
+// Transform the raw graph.json structure into the shape the UI expects.
+//
+// graph.json stores edges as { src, dst } and nests agent metadata under
+// node.data, but the renderer expects { source, target } and a flat node
+// object.  This conversion was previously duplicated verbatim in both the
+// graphbus:load-graph and graphbus:rehydrate-state handlers — a single
+// schema change (e.g. adding a 'dependencies' field) would have required
+// two independent edits.  Centralising it here means both handlers — and
+// the coach's project context below — stay in sync automatically.
+//
+// topicsData is the parsed topics.json (a list of topic names, or of
+// { name } objects).  Topics are returned separately from agent nodes, and
+// pub/sub links separately from depends_on edges, because the renderer and
+// the negotiation modal both treat 'nodes'/'edges' as agents-only.
+function transformGraphData(graphData, topicsData = null) {
+    const nodes = graphData.nodes.map(node => ({
+        id: node.name,
+        name: node.name,
+        module: node.data.module,
+        class_name: node.data.class_name,
+        methods: node.data.methods || [],
+        subscriptions: node.data.subscriptions || [],
+        publishes: node.data.publishes || [],
+    }));
+
+    const topicEdges = [];
+    const topics = new Set(
+        (topicsData || []).map(topic => (typeof topic === 'string' ? topic : topic.name)).filter(Boolean)
+    );
+    for (const node of nodes) {
+        for (const topic of node.subscriptions) {
+            topics.add(topic);
+            topicEdges.push({ source: topic, target: node.name, type: 'subscribes' });
+        }
+        for (const topic of node.publishes) {
+            topics.add(topic);
+            topicEdges.push({ source: node.name, target: topic, type: 'publishes' });
+        }
+    }
+
+    return {
+        nodes,
+        edges: graphData.edges.map(edge => ({
+            source: edge.src,  // graph.json uses 'src', not 'source'
+            target: edge.dst,  // graph.json uses 'dst', not 'target'
+            type: edge.data?.edge_type || 'depends_on',
+        })),
+        topics: [...topics],
+        topicEdges,
+    };
+}
+
+// The project block is added to the system prompt on every request, so it
+// has to stay small: past this many tokens (estimated at four characters a
+// token), method lists give way to counts, and then agents to "and N more".
+const CONTEXT_MAX_TOKENS = 1500;
+const CHARS_PER_TOKEN = 4;
+
+// The .graphbus files the block is made from; it is rebuilt only when one
+// of them changes
+const SOURCE_FILES = ['graph.json', 'agents.json', 'topics.json', 'build_summary.json', 'negotiations.json'];
+
+function formatTime(date) {
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function list(items) {
+    return items.length > 0 ? items.join(', ') : 'none';
+}
+
+// The agents from graph.json, or from agents.json for builds that only wrote
+// that, as { name, module, methods, subscriptions, publishes }
+function agentsFrom(graph, agentsData) {
+    if (graph) return graph.nodes;
+    return (Array.isArray(agentsData) ? agentsData : []).map(agent => ({
+        name: agent.name,
+        module: agent.module,
+        methods: agent.methods || [],
+        subscriptions: agent.subscriptions || [],
+        publishes: agent.publishes || []
+    }));
+}
+
+// build_summary.json has used total_agents and num_agents across releases
+function buildLine(summary, builtAt) {
+    if (!summary) {
+        return builtAt ? `Last build: ${formatTime(builtAt)}` : null;
+    }
+    const at = summary.timestamp ? new Date(summary.timestamp * 1000) : builtAt;
+    const counts = [
+        [summary.total_agents ?? summary.num_agents, 'agents'],
+        [summary.total_topics, 'topics'],
+        [summary.total_edges, 'edges']
+    ].filter(([count]) => count !== undefined && count !== null).map(([count, label]) => `${count} ${label}`);
+    return [
+        `Last build: ${summary.status || 'finished'}`,
+        at ? formatTime(at) : null,
+        counts.length > 0 ? counts.join(', ') : null,
+        summary.build_time_seconds !== undefined ? `${summary.build_time_seconds}s` : null
+    ].filter(Boolean).join(' · ');
+}
+
+// Fields that tell one negotiation run's records from another's, where the
+// CLI writes one.  negotiations.json accumulates every run, so without one
+// the figures can only be given as totals.
+const RUN_ID_FIELDS = ['negotiation_id', 'run_id', 'session_id'];
+
+function negotiationLines(records, negotiatedAt) {
+    if (!Array.isArray(records) || records.length === 0) return [];
+
+    const last = records[records.length - 1];
+    const runField = RUN_ID_FIELDS.find(field => last && last[field] !== undefined && last[field] !== null);
+    const run = runField ? records.filter(record => record && record[runField] === last[runField]) : records;
+    const label = runField
+        ? `Last negotiation${negotiatedAt ? ` (${formatTime(negotiatedAt)})` : ''}`
+        : `All negotiations so far${negotiatedAt ? ` (latest ${formatTime(negotiatedAt)})` : ''}`;
+
+    const timeline = buildNegotiationTimeline(run, null);
+    const { rounds, proposals, accepted, rejected, commits } = timeline.summary;
+    const lines = [
+        `${label}: ${rounds} round(s), ${proposals} proposal(s) — ${accepted} accepted, ${rejected} rejected, ${commits} committed`
+    ];
+    const outcomes = timeline.rounds.flatMap(round => round.proposals)
+        .map(proposal => `${proposal.agent}: ${proposal.title} (${proposal.status})`);
+    if (outcomes.length > 0) {
+        lines.push(`Proposals: ${outcomes.join('; ')}`);
+    }
+    return lines;
+}
+
+// detail: 'full' lists each agent's methods and topics, 'brief' only counts
+// them, 'names' lists agent names alone, up to `limit` of them
+function renderContext({ agents, topics, edges, build, negotiation }, detail, limit = Infinity) {
+    const lines = [];
+    if (build) lines.push(build);
+
+    if (agents.length === 0) {
+        lines.push('No agents built yet: .graphbus has no graph.json. Check agents/ and build before suggesting agent calls.');
+    } else {
+        lines.push(`Agents (${agents.length}):`);
+        agents.slice(0, limit).forEach(agent => {
+            if (detail === 'names') {
+                lines.push(`- ${agent.name}`);
+                return;
+            }
+            const parts = detail === 'full'
+                ? [
+                    `methods ${list(agent.methods)}`,
+                    agent.subscriptions.length > 0 ? `subscribes to ${list(agent.subscriptions)}` : null,
+                    agent.publishes.length > 0 ? `publishes ${list(agent.publishes)}` : null
+                ]
+                : [`${agent.methods.length} method(s)`, `${agent.subscriptions.length} subscription(s)`];
+            lines.push(`- ${agent.name}${agent.module ? ` (${agent.module})` : ''}: ${parts.filter(Boolean).join('; ')}`);
+        });
+        if (agents.length > limit) {
+            lines.push(`- … and ${agents.length - limit} more (list_agents or graphbus inspect for the rest)`);
+        }
+    }
+
+    if (topics.length > 0) {
+        lines.push(`Topics (${topics.length}): ${list(detail === 'full' ? topics : topics.slice(0, 20))}${detail !== 'full' && topics.length > 20 ? ', …' : ''}`);
+    }
+    if (edges.length > 0 && detail === 'full') {
+        lines.push(`Dependencies: ${list(edges.map(edge => `${edge.source} → ${edge.target}`))}`);
+    }
+    lines.push(...negotiation);
+    return lines.join('\n');
+}
+
+// Keeps the most useful detail that fits in maxTokens
+function fitToBudget(facts, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    for (const detail of ['full', 'brief', 'names']) {
+        const text = renderContext(facts, detail);
+        if (text.length <= maxChars) return text;
+    }
+
+    // Still too long: as many agent names as fit, and negotiation details go
+    let limit = facts.agents.length;
+    const brief = { ...facts, negotiation: facts.negotiation.slice(0, 1) };
+    let text = renderContext(brief, 'names', limit);
+    while (text.length > maxChars && limit > 0) {
+        limit = Math.floor(limit / 2);
+        text = renderContext(brief, 'names', limit);
+    }
+    return text.slice(0, maxChars);
+}
+
+// The project as the last build and negotiation left it, read from
+// .graphbus for the coach's system prompt so it knows the agents, methods
+// and topics without running ls or list_agents first.  Cached until one of
+// the source files changes.
+class ProjectContext {
+    constructor(directory, { maxTokens = CONTEXT_MAX_TOKENS } = {}) {
+        this.directory = directory;
+        this.maxTokens = maxTokens;
+        this._signature = null;
+        this._text = null;
+    }
+
+    // The context block, or null when the directory has no .graphbus yet
+    async render() {
+        const graphbusDir = path.join(this.directory, '.graphbus');
+        const stats = await Promise.all(SOURCE_FILES.map(name =>
+            fsp.stat(path.join(graphbusDir, name)).catch(() => null)));
+        const signature = stats.map(stat => (stat ? stat.mtimeMs : '-')).join('|');
+        if (signature === this._signature) {
+            return this._text;
+        }
+
+        const [graphStat, , , buildStat, negotiationStat] = stats;
+        const read = async (name) => {
+            try {
+                return JSON.parse(await fsp.readFile(path.join(graphbusDir, name), 'utf-8'));
+            } catch (error) {
+                // Missing, or caught half-written by a build in progress
+                return null;
+            }
+        };
+        const [graphData, agentsData, topicsData, buildSummary, negotiations] = await Promise.all(SOURCE_FILES.map(read));
+
+        let text = null;
+        if (stats.some(Boolean)) {
+            const graph = graphData && Array.isArray(graphData.nodes) ? transformGraphData(graphData, topicsData) : null;
+            const topics = graph
+                ? graph.topics
+                : (Array.isArray(topicsData) ? topicsData : []).map(topic => (typeof topic === 'string' ? topic : topic.name)).filter(Boolean);
+            text = fitToBudget({
+                agents: agentsFrom(graph, agentsData),
+                topics,
+                edges: graph ? graph.edges : [],
+                build: buildLine(buildSummary, (buildStat || graphStat) ? (buildStat || graphStat).mtime : null),
+                negotiation: negotiationLines(negotiations, negotiationStat ? negotiationStat.mtime : null)
+            }, this.maxTokens);
+        }
+
+        this._signature = signature;
+        this._text = text;
+        return text;
+    }
+}
+
+module.exports = { ProjectContext, transformGraphData };
@@ -1,10 +1,287 @@
 // python_bridge.js - Bridge between Electron and Python graphbus-core
+const { EventEmitter } = require('events');
 const { PythonShell } = require('python-shell');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+
+// How long a single request to the runtime worker may take before its promise
+// is rejected.  Method calls run arbitrary agent code, so this is deliberately
+// generous; the worker itself keeps running and a late response for a timed-out
+// id is simply dropped.
+const RUNTIME_REQUEST_TIMEOUT_MS = 60_000;
+
+// Long-lived Python process that owns the RuntimeExecutor.
+//
+// PythonShell.runString() spawns a fresh interpreter per call, so the
+// '_executor' global that startRuntime() used to create died with that
+// process and every later callMethod/publishEvent/getStats/listAgents ran in
+// an interpreter where it never existed.  This worker instead stays alive for
+// the lifetime of the runtime and speaks a line-delimited JSON protocol:
+//
+//   stdin  ← {"id": 7, "op": "call_method", "agent": "A", "method": "m", "args": {...}}
+//   stdout → {"id": 7, "ok": true, "result": ...}
+//            {"id": 7, "ok": false, "error": "...", "traceback": "..."}
+//
+// Lines without an id are unsolicited runtime events:
+//   stdout → {"event": "bus_message", "data": {"topic": ..., "source": ..., ...}}
+//            {"event": "method_call", "data": {"agent": ..., "method": ..., ...}}
+// emitted for every message published on the executor's bus and every method
+// invoked through the executor.
+//
+// Agent code is free to print(), so sys.stdout is pointed at stderr and the
+// protocol writes go to the saved original stream — a stray print would
+// otherwise corrupt the response framing.  Non-lifecycle requests run on
+// their own threads so a slow method call doesn't stall stats polling; the
+// request id is what lets PythonBridge match responses arriving out of order.
+const RUNTIME_WORKER_SOURCE = `
+import importlib
+import inspect
+import json
+import os
+import sys
+import threading
+import time
+import traceback
+
+sys.path.insert(0, os.environ.get('GRAPHBUS_CORE_PATH', ''))
+
+_protocol_out = sys.stdout
+sys.stdout = sys.stderr
+_write_lock = threading.Lock()
+_executor = None
+
+
+def _emit(message):
+    with _write_lock:
+        _protocol_out.write(json.dumps(message, default=str) + "\\n")
+        _protocol_out.flush()
+
+
+def _require_executor():
+    if _executor is None:
+        raise RuntimeError("Runtime not initialized")
+    return _executor
+
+
+def _name_of(value):
+    if value is None or isinstance(value, str):
+        return value
+    for attr in ("agent_name", "name"):
+        if isinstance(getattr(value, attr, None), str):
+            return getattr(value, attr)
+    owner = getattr(value, "__self__", None)
+    if owner is not None:
+        return type(owner).__name__
+    return str(value)
+
+
+def _subscribers_of(bus, topic):
+    try:
+        if hasattr(bus, "get_subscribers"):
+            subscribers = bus.get_subscribers(topic)
+        else:
+            table = getattr(bus, "subscriptions", None) or getattr(bus, "subscribers", None) or {}
+            subscribers = table.get(topic, [])
+        return [_name_of(s) for s in subscribers]
+    except Exception:
+        return []
+
+
+# Wrap the executor's message bus so every publish — from the UI or from one
+# agent to another — is mirrored to the UI as a bus_message event.
+def _install_bus_tap(executor):
+    bus = getattr(executor, "bus", None) or getattr(executor, "message_bus", None)
+    if bus is None or not hasattr(bus, "publish"):
+        return
+    original_publish = bus.publish
+
+    def tapped_publish(*args, **kwargs):
+        result = original_publish(*args, **kwargs)
+        topic = _name_of(args[0] if args else kwargs.get("topic"))
+        _emit({"event": "bus_message", "data": {
+            "topic": topic,
+            "source": _name_of(args[2] if len(args) > 2 else kwargs.get("source")),
+            "payload": args[1] if len(args) > 1 else kwargs.get("payload"),
+            "timestamp": time.time(),
+            "subscribers": _subscribers_of(bus, topic),
+        }})
+        return result
+
+    bus.publish = tapped_publish
+
+
+def _install_call_tap(executor):
+    original_call_method = executor.call_method
+
+    def tapped_call_method(agent, method, *args, **kwargs):
+        _emit({"event": "method_call", "data": {
+            "agent": _name_of(agent),
+            "method": method,
+            "timestamp": time.time(),
+        }})
+        return original_call_method(agent, method, *args, **kwargs)
+
+    executor.call_method = tapped_call_method
+
+
+def _start(req):
+    global _executor
+    if _executor is not None:
+        return {"message": f"Runtime already running with {len(_executor.nodes)} nodes"}
+    from graphbus_core.runtime.executor import RuntimeExecutor
+    from graphbus_core.config import RuntimeConfig
+    config = RuntimeConfig(artifacts_dir=req["artifacts_dir"], enable_message_bus=True)
+    executor = RuntimeExecutor(config)
+    executor.start()
+    _install_bus_tap(executor)
+    _install_call_tap(executor)
+    _executor = executor
+    return {"message": f"Runtime started with {len(executor.nodes)} nodes"}
+
+
+def _stop(req):
+    global _executor
+    if _executor is None:
+        return {"message": "Runtime was not active"}
+    _executor.stop()
+    _executor = None
+    return {"message": "Runtime stopped"}
+
+
+def _call_method(req):
+    result = _require_executor().call_method(req["agent"], req["method"], **(req.get("args") or {}))
+    return {"message": str(result), "value": result}
+
+
+def _publish(req):
+    _require_executor().publish(req["topic"], req.get("payload"), source="electron_ui")
+    return {"message": f"Event published to {req['topic']}"}
+
+
+def _get_stats(req):
+    if _executor is None:
+        return {"running": False}
+    return _executor.get_stats()
+
+
+def _type_name(annotation):
+    if annotation is inspect.Parameter.empty:
+        return None
+    if isinstance(annotation, type):
+        return annotation.__name__
+    return str(annotation).replace("typing.", "")
+
+
+def _agent_class(agent_def):
+    module = sys.modules.get(agent_def.module)
+    if module is None:
+        try:
+            module = importlib.import_module(agent_def.module)
+        except Exception:
+            return None
+    return getattr(module, agent_def.class_name, None)
+
+
+# Parameter names, type hints, defaults and docstring for one agent method,
+# so the UI can render an argument form instead of calling with {}.
+def _describe_method(cls, name):
+    fn = getattr(cls, name, None) if cls is not None else None
+    if fn is None:
+        return {"name": name, "params": [], "var_keyword": True, "doc": None, "returns": None}
+    try:
+        signature = inspect.signature(fn)
+    except (TypeError, ValueError):
+        return {"name": name, "params": [], "var_keyword": True, "doc": inspect.getdoc(fn), "returns": None}
+
+    params = []
+    var_keyword = False
+    for param in signature.parameters.values():
+        if param.kind == param.VAR_KEYWORD:
+            var_keyword = True
+            continue
+        if param.name == "self" or param.kind == param.VAR_POSITIONAL:
+            continue
+        has_default = param.default is not param.empty
+        params.append({
+            "name": param.name,
+            "type": _type_name(param.annotation),
+            "required": not has_default,
+            "default": param.default if has_default else None,
+        })
+    return {
+        "name": name,
+        "params": params,
+        "var_keyword": var_keyword,
+        "doc": inspect.getdoc(fn),
+        "returns": _type_name(signature.return_annotation),
+    }
+
 
-class PythonBridge {
+def _list_agents(req):
+    if _executor is None:
+        return []
+    agents = []
+    for agent_def in _executor.agent_definitions:
+        cls = _agent_class(agent_def)
+        method_names = [m.name for m in getattr(agent_def, "methods", [])]
+        agents.append({
+            "name": agent_def.name,
+            "module": agent_def.module,
+            "class_name": agent_def.class_name,
+            "methods": method_names,
+            "signatures": {name: _describe_method(cls, name) for name in method_names},
+        })
+    return agents
+
+
+_HANDLERS = {
+    "start": _start,
+    "stop": _stop,
+    "call_method": _call_method,
+    "publish": _publish,
+    "get_stats": _get_stats,
+    "list_agents": _list_agents,
+    "shutdown": _stop,
+}
+
+# Lifecycle requests run inline so a call can never race a start/stop.
+_INLINE_OPS = {"start", "stop", "shutdown"}
+
+
+def _handle(req):
+    req_id = req.get("id")
+    handler = _HANDLERS.get(req.get("op"))
+    if handler is None:
+        _emit({"id": req_id, "ok": False, "error": f"Unknown op: {req.get('op')}"})
+        return
+    try:
+        _emit({"id": req_id, "ok": True, "result": handler(req)})
+    except Exception as e:
+        _emit({"id": req_id, "ok": False, "error": str(e), "traceback": traceback.format_exc()})
+
+
+for line in sys.stdin:
+    line = line.strip()
+    if not line:
+        continue
+    try:
+        request = json.loads(line)
+    except ValueError:
+        _emit({"id": None, "ok": False, "error": "Malformed request"})
+        continue
+    if request.get("op") in _INLINE_OPS:
+        _handle(request)
+        if request.get("op") == "shutdown":
+            break
+    else:
+        threading.Thread(target=_handle, args=(request,), daemon=True).start()
+`;
+
+class PythonBridge extends EventEmitter {
     constructor() {
+        super();
+
         // Try multiple Python paths (Homebrew, system, etc.)
         const possiblePaths = [
             '/opt/homebrew/bin/python3',  // macOS Homebrew (M1/M2)
@@ -17,7 +294,13 @@ class PythonBridge {
         this.pythonPath = possiblePaths.find(p => p === 'python3' || fs.existsSync(p)) || 'python3';
         this.graphbusPath = path.join(__dirname, '..', 'graphbus');
         this.runtimeActive = false;
-        this.currentExecutor = null;
+
+        // Persistent runtime worker (see RUNTIME_WORKER_SOURCE) and the
+        // in-flight requests waiting on it, keyed by request id.
+        this.worker = null;
+        this.workerScript = null;
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
 
         console.log('PythonBridge initialized');
         console.log('Python path:', this.pythonPath);
@@ -32,35 +315,173 @@ class PythonBridge {
         }
     }
 
-    async execute(code, extraEnv = {}) {
-        return new Promise((resolve, reject) => {
-            const options = {
-                mode: 'text',
-                pythonPath: this.pythonPath,
-                pythonOptions: ['-u'],
-                // Merge caller-supplied env vars (e.g. API keys) into the
-                // child process environment without embedding them in the
-                // Python code string, where quotes/backslashes would break
-                // the generated syntax.
-                env: { ...process.env, ...extraEnv },
-            };
+    // options.onSpawn(childProcess) is called as soon as the interpreter is
+    // started, so callers can register it for cancellation.
+    async execute(code, extraEnv = {}, { onSpawn } = {}) {
+        const options = {
+            mode: 'text',
+            pythonPath: this.pythonPath,
+            pythonOptions: ['-u'],
+            // Merge caller-supplied env vars (e.g. API keys) into the
+            // child process environment without embedding them in the
+            // Python code string, where quotes/backslashes would break
+            // the generated syntax.
+            env: { ...process.env, ...extraEnv },
+        };
+
+        // Same as PythonShell.runString(), which python-shell 5 only offers
+        // as a promise — but that hides the PythonShell instance, and with it
+        // the child process a cancel needs to kill.
+        const scriptPath = path.join(os.tmpdir(), `graphbus_exec_${process.pid}_${Date.now()}_${Math.floor(Math.random() * 1e6)}.py`);
+        fs.writeFileSync(scriptPath, code);
 
-            PythonShell.runString(code, options, (err, results) => {
-                if (err) reject(err);
-                else resolve(results);
+        return new Promise((resolve, reject) => {
+            const shell = new PythonShell(scriptPath, options);
+            const output = [];
+            if (onSpawn) {
+                onSpawn(shell.childProcess);
+            }
+
+            shell.on('message', (message) => output.push(message));
+            shell.end((err) => {
+                fs.unlink(scriptPath, () => {});
+                if (err) {
+                    err.logs = output;
+                    reject(err);
+                } else {
+                    resolve(output);
+                }
             });
         });
     }
 
-    async buildAgents(config) {
+    // Spawn the runtime worker if it isn't already running.
+    //
+    // The worker source is written to a temp file (as runString() does) rather
+    // than shipped as a .py next to this module: inside a packaged app this
+    // directory lives in app.asar, which the Python interpreter cannot read.
+    // Each worker gets its own file — every open project has a bridge — which
+    // is deleted when the worker exits, or by cleanup() at the latest.
+    _ensureWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
+
+        const scriptPath = path.join(os.tmpdir(), `graphbus_runtime_worker_${process.pid}_${Date.now()}_${Math.floor(Math.random() * 1e6)}.py`);
+        fs.writeFileSync(scriptPath, RUNTIME_WORKER_SOURCE);
+        const removeScript = () => fs.unlink(scriptPath, () => {});
+
+        const worker = new PythonShell(scriptPath, {
+            mode: 'text',
+            pythonPath: this.pythonPath,
+            pythonOptions: ['-u'],
+            env: { ...process.env, GRAPHBUS_CORE_PATH: this.graphbusPath, PYTHONUNBUFFERED: '1' },
+        });
+
+        worker.on('message', (line) => this._handleWorkerLine(line));
+        worker.on('stderr', (line) => console.log('[runtime-worker]', line));
+        worker.on('error', (error) => {
+            console.error('[PythonBridge] Runtime worker error:', error);
+            removeScript();
+            this._handleWorkerExit(error);
+        });
+        worker.on('close', () => {
+            removeScript();
+            this._handleWorkerExit(new Error('Runtime worker exited'));
+        });
+
+        this.worker = worker;
+        this.workerScript = scriptPath;
+        this.emit('worker-spawned', worker.childProcess);
+        return worker;
+    }
+
+    _handleWorkerLine(line) {
+        let response;
+        try {
+            response = JSON.parse(line);
+        } catch (e) {
+            // Not protocol output (e.g. a C extension writing straight to fd 1).
+            console.log('[runtime-worker]', line);
+            return;
+        }
+
+        if (response.event === 'bus_message') {
+            this.emit('bus-message', response.data);
+            return;
+        }
+        if (response.event === 'method_call') {
+            this.emit('method-call', response.data);
+            return;
+        }
+
+        const pending = this.pendingRequests.get(response.id);
+        if (!pending) {
+            return; // response for a request that already timed out
+        }
+        this.pendingRequests.delete(response.id);
+        clearTimeout(pending.timer);
+
+        if (response.ok) {
+            pending.resolve(response.result);
+        } else {
+            const error = new Error(response.error || 'Runtime worker request failed');
+            error.traceback = response.traceback;
+            pending.reject(error);
+        }
+    }
+
+    // Fail every in-flight request and forget the worker so the next request
+    // spawns a fresh one.  Called for both crashes and orderly shutdowns.
+    _handleWorkerExit(error) {
+        if (!this.worker) {
+            return;
+        }
+        this.worker = null;
+        this.runtimeActive = false;
+
+        for (const pending of this.pendingRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        }
+        this.pendingRequests.clear();
+    }
+
+    // Send one request to the worker and resolve with its 'result' field.
+    _request(op, params = {}, timeoutMs = RUNTIME_REQUEST_TIMEOUT_MS) {
+        const worker = this._ensureWorker();
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new Error(`Runtime request '${op}' timed out after ${timeoutMs / 1000}s`));
+            }, timeoutMs);
+            timer.unref();
+
+            this.pendingRequests.set(id, { resolve, reject, timer });
+
+            try {
+                worker.send(JSON.stringify({ id, op, ...params }));
+            } catch (error) {
+                clearTimeout(timer);
+                this.pendingRequests.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    async buildAgents(config, { onSpawn } = {}) {
         const { agentsDir, outputDir, enableAgents, llmModel, apiKey } = config;
 
         // Pass the API key via the child process environment, not inline in the
         // Python code string.  Embedding it directly risks SyntaxError if the
         // key contains a backslash or double-quote, and unnecessarily exposes
         // credentials in generated code.  Python reads it from os.environ instead.
+        // The model goes the same way, under the name the graphbus CLI gets
+        // it by (see llmEnvFor in main.js), so both builds use the same one.
         const extraEnv = (enableAgents && llmModel && apiKey)
-            ? { GRAPHBUS_LLM_API_KEY: apiKey }
+            ? { GRAPHBUS_LLM_API_KEY: apiKey, GRAPHBUS_LLM_MODEL: llmModel }
             : {};
 
         const code = `
@@ -78,8 +499,9 @@ config = BuildConfig(
 )
 
 _api_key = os.environ.get('GRAPHBUS_LLM_API_KEY', '')
-if _api_key and "${llmModel || ''}":
-    llm_config = LLMConfig(model="${llmModel || ''}", api_key=_api_key)
+_llm_model = os.environ.get('GRAPHBUS_LLM_MODEL', '')
+if _api_key and _llm_model:
+    llm_config = LLMConfig(model=_llm_model, api_key=_api_key)
     config.llm_config = llm_config
 
 artifacts = build_project(config)
@@ -87,7 +509,7 @@ print(f"SUCCESS:Built {len(artifacts.agents)} agents with {len(artifacts.topics)
 `;
 
         try {
-            const result = await this.execute(code, extraEnv);
+            const result = await this.execute(code, extraEnv, { onSpawn });
             return this.parseOutput(result);
         } catch (error) {
             throw new Error(`Build failed: ${error.message}`);
@@ -97,50 +519,24 @@ print(f"SUCCESS:Built {len(artifacts.agents)} agents with {len(artifacts.topics)
     async startRuntime(config) {
         const { artifactsDir } = config;
 
-        const code = `
-import sys
-sys.path.insert(0, '${this.graphbusPath}')
-
-from graphbus_core.runtime.executor import RuntimeExecutor
-from graphbus_core.config import RuntimeConfig
-
-config = RuntimeConfig(artifacts_dir="${artifactsDir}", enable_message_bus=True)
-executor = RuntimeExecutor(config)
-executor.start()
-
-print(f"SUCCESS:Runtime started with {len(executor.nodes)} nodes")
-
-# Keep reference (this stays in memory)
-_executor = executor
-`;
-
         try {
-            const result = await this.execute(code);
+            const result = await this._request('start', { artifacts_dir: artifactsDir });
             this.runtimeActive = true;
-            return this.parseOutput(result);
+            return { success: true, message: result.message };
         } catch (error) {
             throw new Error(`Runtime start failed: ${error.message}`);
         }
     }
 
     async stopRuntime() {
-        if (!this.runtimeActive) {
+        if (!this.runtimeActive || !this.worker) {
             return { message: 'Runtime not running' };
         }
 
-        const code = `
-if '_executor' in globals():
-    _executor.stop()
-    del _executor
-    print("SUCCESS:Runtime stopped")
-else:
-    print("SUCCESS:Runtime was not active")
-`;
-
         try {
-            const result = await this.execute(code);
+            const result = await this._request('stop');
             this.runtimeActive = false;
-            return this.parseOutput(result);
+            return { success: true, message: result.message };
         } catch (error) {
             throw new Error(`Runtime stop failed: ${error.message}`);
         }
@@ -151,24 +547,11 @@ else:
             throw new Error('Runtime not running');
         }
 
-        const argsJson = JSON.stringify(args);
-
-        // Use triple-quoted Python strings for JSON data to prevent syntax errors
-        // when arg values contain single quotes (e.g. {name: "O'Brien"}).
-        // JSON.stringify always escapes double-quotes as \", so '"""' never appears
-        // raw in the JSON output — triple-quoted strings are safe here.
-        const code = `
-import json
-if '_executor' in globals():
-    result = _executor.call_method("${agent}", "${method}", **json.loads("""${argsJson}"""))
-    print(f"SUCCESS:{result}")
-else:
-    print("ERROR:Runtime not initialized")
-`;
-
+        // Arguments travel as JSON over the worker's stdin, so values with
+        // quotes or backslashes no longer need escaping into Python source.
         try {
-            const result = await this.execute(code);
-            return this.parseOutput(result);
+            const result = await this._request('call_method', { agent, method, args });
+            return { success: true, message: result.message, value: result.value };
         } catch (error) {
             throw new Error(`Method call failed: ${error.message}`);
         }
@@ -179,21 +562,9 @@ else:
             throw new Error('Runtime not running');
         }
 
-        const payloadJson = JSON.stringify(payload);
-
-        // Triple-quoted strings prevent syntax errors from single quotes in payload values
-        const code = `
-import json
-if '_executor' in globals():
-    _executor.publish("${topic}", json.loads("""${payloadJson}"""), source="electron_ui")
-    print("SUCCESS:Event published to ${topic}")
-else:
-    print("ERROR:Runtime not initialized")
-`;
-
         try {
-            const result = await this.execute(code);
-            return this.parseOutput(result);
+            const result = await this._request('publish', { topic, payload });
+            return { success: true, message: result.message };
         } catch (error) {
             throw new Error(`Event publish failed: ${error.message}`);
         }
@@ -204,19 +575,8 @@ else:
             return { running: false };
         }
 
-        const code = `
-import json
-if '_executor' in globals():
-    stats = _executor.get_stats()
-    print(f"SUCCESS:{json.dumps(stats)}")
-else:
-    print('SUCCESS:{"running": false}')
-`;
-
         try {
-            const result = await this.execute(code);
-            const parsed = this.parseOutput(result);
-            return JSON.parse(parsed.message || '{"running": false}');
+            return await this._request('get_stats');
         } catch (error) {
             return { running: false };
         }
@@ -320,26 +680,8 @@ except Exception as e:
             return [];
         }
 
-        const code = `
-import json
-if '_executor' in globals():
-    agents = []
-    for agent_def in _executor.agent_definitions:
-        agents.append({
-            'name': agent_def.name,
-            'module': agent_def.module,
-            'class_name': agent_def.class_name,
-            'methods': [m.name for m in getattr(agent_def, 'methods', [])]
-        })
-    print(f"SUCCESS:{json.dumps(agents)}")
-else:
-    print('SUCCESS:[]')
-`;
-
         try {
-            const result = await this.execute(code);
-            const parsed = this.parseOutput(result);
-            return JSON.parse(parsed.message || '[]');
+            return await this._request('list_agents');
         } catch (error) {
             return [];
         }
@@ -368,9 +710,24 @@ else:
     }
 
     cleanup() {
-        if (this.runtimeActive) {
-            this.stopRuntime().catch(console.error);
+        if (!this.worker) {
+            return;
         }
+
+        // Ask the worker to stop the executor and exit on its own; the kill is
+        // a backstop for a worker wedged inside agent code.
+        const worker = this.worker;
+        const scriptPath = this.workerScript;
+        this._request('shutdown', {}, 5_000)
+            .catch(console.error)
+            .finally(() => {
+                if (!worker.terminated) {
+                    worker.kill();
+                }
+                // The worker has read its script long since; don't rely on
+                // 'close' arriving before the app quits
+                fs.unlink(scriptPath, () => {});
+            });
     }
 }
 
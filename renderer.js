@@ -135,6 +135,51 @@ function switchView(viewName) {
             graphNetwork.fit();
         }, 300);
     }
+
+    // Signatures change whenever the runtime restarts with rebuilt agents
+    if (viewName === 'console' && workflowState.isRunning) {
+        refreshMethodSignatures();
+    }
+
+    if (viewName === 'composer') {
+        refreshComposer();
+    }
+
+    if (viewName === 'jobs') {
+        refreshJobs();
+    }
+
+    // The list isn't redrawn while hidden, so catch up on the way in
+    if (viewName === 'bus') {
+        renderBusMonitor();
+    }
+
+    if (viewName === 'negotiation') {
+        refreshNegotiationTimeline();
+    }
+
+    if (viewName === 'review') {
+        refreshReview();
+    }
+
+    if (viewName === 'prs') {
+        refreshPullRequests();
+    }
+
+    if (viewName === 'settings') {
+        refreshApiKeyProfiles();
+        refreshLlmSettings();
+        refreshUsageSettings();
+        refreshHostingSettings();
+    }
+
+    if (viewName === 'terminal') {
+        if (terminals.size === 0 && !terminalOpening) {
+            openTerminal();
+        } else {
+            fitActiveTerminal();
+        }
+    }
 }
 
 // Update Claude status badge and settings view
@@ -177,23 +222,31 @@ async function saveApiKey() {
         return;
     }
 
-    if (!apiKey.startsWith('sk-ant-')) {
+    // Only Anthropic keys have a recognisable shape
+    const provider = llmSettings ? llmSettings.effective.provider : 'anthropic';
+    if (provider === 'anthropic' && !apiKey.startsWith('sk-ant-')) {
         addMessage('⚠️ API key should start with "sk-ant-"', 'system');
         return;
     }
 
     addMessage('🔄 Connecting to Claude...', 'system');
 
-    const result = await window.graphbus.claudeInitialize(apiKey, true); // true = save to config
+    // Blank profile name: replace the active profile's key
+    const profileInput = document.getElementById('apiKeyProfileInput');
+    const profile = profileInput.value.trim() || null;
+    const result = await window.graphbus.claudeInitialize(apiKey, true, profile); // true = save to key store
 
     if (result.success) {
         workflowState.claudeInitialized = true;
         updateClaudeStatusBadge(); // This will hide setup view and show connected view
         addMessage('✅ Claude AI connected successfully!', 'system');
-        addMessage('💾 API key saved to ~/.graphbus/claude_config.json', 'system');
+        addMessage('🔐 API key saved encrypted to the key store', 'system');
 
-        // Clear the input for security
+        // Clear the inputs for security
         input.value = '';
+        profileInput.value = '';
+        refreshApiKeyProfiles();
+        refreshLlmSettings();
 
         // Start orchestration if in initial or awaiting phase
         if (workflowState.phase === 'awaiting_api_key') {
@@ -204,9 +257,6 @@ async function saveApiKey() {
         addMessage(`❌ Failed to connect: ${result.error}`, 'system');
         addMessage('⚠️ Please check your API key and try again.', 'system');
         updateClaudeStatusBadge();
-
-        // Delete invalid config if it was saved
-        await window.graphbus.claudeDeleteConfig();
     }
 }
 
@@ -227,14 +277,321 @@ async function clearApiKey() {
     workflowState.claudeInitialized = false;
     updateClaudeStatusBadge();
 
-    // Delete the saved config file
+    // Delete the active profile's saved key
     const result = await window.graphbus.claudeDeleteConfig();
 
     if (result.success) {
-        addMessage('🗑️ API key deleted from ~/.graphbus/claude_config.json', 'system');
+        addMessage('🗑️ Saved API key deleted from the key store', 'system');
     }
 
     addMessage('🔄 Claude AI disconnected. You can reconnect anytime from the Settings panel.', 'system');
+    refreshApiKeyProfiles();
+}
+
+// Saved key profiles: which one is active, switching between them and
+// deleting them.  The keys themselves never reach the renderer.
+async function refreshApiKeyProfiles() {
+    const result = await window.graphbus.claudeListKeys();
+    if (!result.success) return;
+
+    const { active, backend, profiles } = result.result;
+    const storage = backend === 'keychain'
+        ? 'Encrypted with the OS keychain'
+        : 'Encrypted in ~/.graphbus/keys.json (no OS keychain available)';
+    document.querySelectorAll('.api-key-storage-info').forEach(el => { el.textContent = storage; });
+
+    const list = document.getElementById('apiKeyProfiles');
+    list.innerHTML = '';
+    profiles.forEach(profile => {
+        const row = document.createElement('div');
+        row.className = 'api-key-profile';
+
+        const name = document.createElement('span');
+        name.className = 'api-key-profile-name';
+        name.textContent = profile.name;
+        row.appendChild(name);
+
+        if (profile.name === active) {
+            const badge = document.createElement('span');
+            badge.className = 'status-badge connected';
+            badge.textContent = 'Active';
+            row.appendChild(badge);
+        } else {
+            const use = document.createElement('button');
+            use.className = 'settings-btn';
+            use.textContent = 'Use';
+            use.onclick = () => useApiKeyProfile(profile.name);
+            row.appendChild(use);
+        }
+
+        const remove = document.createElement('button');
+        remove.className = 'settings-btn danger';
+        remove.textContent = '🗑️';
+        remove.title = `Delete the "${profile.name}" key`;
+        remove.onclick = () => deleteApiKeyProfile(profile.name);
+        row.appendChild(remove);
+
+        list.appendChild(row);
+    });
+}
+
+async function useApiKeyProfile(name) {
+    const result = await window.graphbus.claudeUseKey(name);
+    if (result.success) {
+        workflowState.claudeInitialized = true;
+        updateClaudeStatusBadge();
+        addMessage(`🔑 Using the "${name}" API key`, 'system');
+    } else {
+        addMessage(`✗ Could not switch to "${name}": ${result.error}`, 'system');
+    }
+    refreshApiKeyProfiles();
+}
+
+async function deleteApiKeyProfile(name) {
+    if (!confirm(`Delete the saved "${name}" API key?`)) return;
+    const result = await window.graphbus.claudeDeleteConfig(name);
+    if (result.success) {
+        addMessage(`🗑️ Deleted the "${name}" API key`, 'system');
+    }
+    refreshApiKeyProfiles();
+}
+
+// Model settings: the provider and model the coach and agent builds use,
+// as defaults for every project or as an override for this one.  Empty
+// fields fall back to the defaults (and those to the provider's own).
+let llmSettings = null;
+
+async function refreshLlmSettings() {
+    const [config, keys] = await Promise.all([window.graphbus.llmLoadConfig(), window.graphbus.claudeListKeys()]);
+    if (!config.success) {
+        document.getElementById('llmDetails').textContent = config.error;
+        return;
+    }
+    llmSettings = config.result;
+
+    const providerSelect = document.getElementById('llmProviderSelect');
+    providerSelect.innerHTML = '';
+    llmSettings.providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.type;
+        option.textContent = provider.label;
+        providerSelect.appendChild(option);
+    });
+
+    const profileSelect = document.getElementById('llmKeyProfileSelect');
+    profileSelect.innerHTML = '<option value="">Key: automatic (environment variable or active saved key)</option>';
+    (keys.success ? keys.result.profiles : []).forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = `Key: saved profile "${profile.name}"`;
+        profileSelect.appendChild(option);
+    });
+
+    const badge = document.getElementById('llmStatusBadge');
+    const inUse = llmSettings.inUse;
+    badge.className = `status-badge ${inUse ? 'connected' : 'not-configured'}`;
+    badge.textContent = inUse ? inUse.label : 'Not Connected';
+
+    renderLlmSettings();
+}
+
+// Fills the form from the defaults or this project's override, whichever
+// the scope selector shows
+function renderLlmSettings() {
+    if (!llmSettings) return;
+    const scope = document.getElementById('llmScopeSelect').value;
+    const config = (scope === 'project' ? llmSettings.project : llmSettings.global) || {};
+
+    document.getElementById('llmProviderSelect').value = config.provider || llmSettings.effective.provider;
+    document.getElementById('llmModelInput').value = config.model || '';
+    document.getElementById('llmBaseUrlInput').value = config.baseUrl || '';
+    document.getElementById('llmKeyProfileSelect').value = config.keyProfile || '';
+    document.getElementById('llmRemoveOverrideBtn').style.display = scope === 'project' && llmSettings.project ? '' : 'none';
+    updateLlmPlaceholders();
+
+    const inUse = llmSettings.inUse;
+    document.getElementById('llmDetails').textContent = inUse
+        ? `Coach: ${inUse.model} via ${inUse.label}${inUse.baseUrl ? ` (${inUse.baseUrl})` : ''}${llmSettings.project ? ' — this project has its own settings' : ''}`
+        : 'The coach is not connected — add an API key above, or pick a provider that needs none';
+}
+
+function updateLlmPlaceholders() {
+    const provider = llmSettings && llmSettings.providers.find(p => p.type === document.getElementById('llmProviderSelect').value);
+    if (!provider) return;
+    document.getElementById('llmModelInput').placeholder = `Model (default: ${provider.defaultModel})`;
+    document.getElementById('llmBaseUrlInput').placeholder = provider.defaultBaseUrl
+        ? `Base URL (default: ${provider.defaultBaseUrl})`
+        : 'Base URL (optional, e.g. a proxy)';
+}
+
+function readLlmForm() {
+    return {
+        provider: document.getElementById('llmProviderSelect').value,
+        model: document.getElementById('llmModelInput').value,
+        baseUrl: document.getElementById('llmBaseUrlInput').value,
+        keyProfile: document.getElementById('llmKeyProfileSelect').value
+    };
+}
+
+async function listLlmModels() {
+    const result = await window.graphbus.llmListModels(readLlmForm());
+    if (!result.success) {
+        addMessage(`✗ Could not list models: ${result.error}`, 'system');
+        return;
+    }
+    const options = document.getElementById('llmModelOptions');
+    options.innerHTML = '';
+    result.result.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        options.appendChild(option);
+    });
+    addMessage(`📋 ${result.result.length} model(s) available — pick one from the Model field's suggestions`, 'system');
+}
+
+async function saveLlmSettings() {
+    const scope = document.getElementById('llmScopeSelect').value;
+    const result = await window.graphbus.llmSaveConfig(readLlmForm(), scope);
+    if (!result.success) {
+        addMessage(`✗ Could not save model settings: ${result.error}`, 'system');
+        return;
+    }
+
+    addMessage(scope === 'project' ? '💾 Model settings saved for this project' : '💾 Default model settings saved', 'system');
+    if (result.result.connected) {
+        workflowState.claudeInitialized = true;
+        updateClaudeStatusBadge();
+    } else {
+        addMessage('⚠️ That provider needs an API key — save one above or pick a saved key profile', 'system');
+    }
+    await refreshLlmSettings();
+}
+
+async function removeLlmOverride() {
+    const result = await window.graphbus.llmSaveConfig(null, 'project');
+    if (result.success) {
+        addMessage('🗑️ This project now uses the default model settings', 'system');
+    }
+    await refreshLlmSettings();
+}
+
+// Token usage for this project from the ledger in .graphbus, and the budget
+// that applies to every project
+function formatUsage(totals) {
+    const tokens = (totals.inputTokens + totals.outputTokens).toLocaleString();
+    const unpriced = totals.unpricedTokens > 0 ? ` (${totals.unpricedTokens.toLocaleString()} unpriced)` : '';
+    return `$${totals.cost.toFixed(2)} · ${tokens} tokens${unpriced} · ${totals.calls} call(s)`;
+}
+
+async function refreshUsageSettings() {
+    const badge = document.getElementById('usageStatusBadge');
+    const totals = document.getElementById('usageTotals');
+    const days = document.getElementById('usageDays');
+    const result = await window.graphbus.usageSummary();
+    if (!result.success) {
+        badge.className = 'status-badge not-configured';
+        badge.textContent = 'Unavailable';
+        totals.textContent = result.error;
+        days.textContent = '';
+        return;
+    }
+
+    const usage = result.result;
+    const budget = usage.budget;
+    badge.className = `status-badge ${budget.exceeded ? 'not-configured' : 'connected'}`;
+    badge.textContent = budget.exceeded ? 'Over Budget' : (budget.daily || budget.monthly ? 'Within Budget' : 'No Budget');
+
+    totals.innerHTML = '';
+    [['Today', usage.today], ['This month', usage.month], ['All time', usage.all]].forEach(([label, period]) => {
+        const line = document.createElement('div');
+        line.textContent = `${label}: ${formatUsage(period)}`;
+        totals.appendChild(line);
+    });
+    if (budget.message) {
+        const warning = document.createElement('div');
+        warning.style.color = '#f0ad4e';
+        warning.textContent = `⚠️ ${budget.message}`;
+        totals.appendChild(warning);
+    }
+
+    days.innerHTML = '';
+    usage.days.slice(0, 7).forEach(day => {
+        const line = document.createElement('div');
+        line.textContent = `${day.date} — coach $${day.coach.cost.toFixed(2)}, negotiation $${day.negotiation.cost.toFixed(2)} (${(day.total.inputTokens + day.total.outputTokens).toLocaleString()} tokens)`;
+        days.appendChild(line);
+    });
+    if (usage.days.length === 0) {
+        days.textContent = 'No model calls recorded for this project yet';
+    }
+
+    document.getElementById('budgetDailyInput').value = budget.daily || '';
+    document.getElementById('budgetMonthlyInput').value = budget.monthly || '';
+    document.getElementById('budgetActionSelect').value = budget.action;
+}
+
+async function saveUsageBudget() {
+    const result = await window.graphbus.usageSaveBudget({
+        daily: document.getElementById('budgetDailyInput').value,
+        monthly: document.getElementById('budgetMonthlyInput').value,
+        action: document.getElementById('budgetActionSelect').value
+    });
+    addMessage(result.success ? '💾 Budget saved to ~/.graphbus/usage_config.json' : `✗ Could not save the budget: ${result.error}`, 'system');
+    await refreshUsageSettings();
+}
+
+// Git hosting settings: which provider negotiation PRs are opened with.
+// The saved token never comes back from the main process, so the input
+// stays empty and saving with it empty keeps the existing one.
+async function refreshHostingSettings() {
+    const config = await window.graphbus.hostingLoadConfig();
+    if (config.success) {
+        document.getElementById('hostingProviderSelect').value = config.result.provider || 'auto';
+        document.getElementById('hostingApiUrlInput').value = config.result.apiUrl || '';
+        document.getElementById('hostingTokenInput').placeholder = config.result.hasToken ? 'Access token (saved)' : 'Access token';
+    }
+
+    const badge = document.getElementById('hostingStatusBadge');
+    const details = document.getElementById('hostingDetails');
+    const info = await window.graphbus.hostingInfo();
+    if (!info.success) {
+        badge.className = 'status-badge not-configured';
+        badge.textContent = 'Unavailable';
+        details.textContent = info.error;
+        return;
+    }
+
+    const provider = info.result;
+    const ready = !provider.pushes || provider.hasToken;
+    badge.className = `status-badge ${ready ? 'connected' : 'not-configured'}`;
+    badge.textContent = provider.label;
+    details.textContent = provider.pushes
+        ? `${provider.repo} on ${provider.host}${provider.hasToken ? '' : ' — no token configured'}`
+        : 'Negotiation branches are written to .graphbus/patches/ instead of being pushed';
+}
+
+async function saveHostingSettings() {
+    const tokenInput = document.getElementById('hostingTokenInput');
+    const result = await window.graphbus.hostingSaveConfig({
+        provider: document.getElementById('hostingProviderSelect').value,
+        apiUrl: document.getElementById('hostingApiUrlInput').value,
+        token: tokenInput.value.trim()
+    });
+    tokenInput.value = '';
+
+    addMessage(result.success ? '💾 Git hosting settings saved' : `✗ Could not save git hosting settings: ${result.error}`, 'system');
+    await refreshHostingSettings();
+}
+
+async function clearHostingToken() {
+    const result = await window.graphbus.hostingSaveConfig({
+        provider: document.getElementById('hostingProviderSelect').value,
+        apiUrl: document.getElementById('hostingApiUrlInput').value,
+        token: null
+    });
+    if (result.success) {
+        addMessage('🗑️ Git hosting token deleted', 'system');
+    }
+    await refreshHostingSettings();
 }
 
 // Initialize Claude with API key
@@ -315,27 +672,12 @@ async function orchestrateWorkflow() {
             } else {
                 welcomePrompt += ' They don\'t have any agents built yet. Ask them what they would like to do.';
             }
-            welcomePrompt += ' Do NOT include any action - just welcome them and set context.';
-
-            const response = await window.graphbus.claudeChat(
-                welcomePrompt,
-                {
-                    hasBuilt: workflowState.hasBuilt,
-                    isRunning: workflowState.isRunning,
-                    phase: workflowState.phase,
-                    workingDirectory: workingDirectory
-                }
-            );
-
-            if (response.success) {
-                const { message, action, params } = response.result;
-                addMessage(message, 'assistant');
+            welcomePrompt += ' Do NOT call any tools - just welcome them and set context.';
 
-                // Don't execute actions on initial welcome
-                if (action && workflowState.conversationHistory.length > 2) {
-                    await executeClaudeAction(action, params);
-                }
+            // Don't execute actions on initial welcome
+            const response = await runClaudeTurn(welcomePrompt, { allowTools: false });
 
+            if (response.success || response.aborted) {
                 workflowState.phase = 'awaiting_build_confirmation';
                 updateSystemStateDisplay();
             } else {
@@ -363,7 +705,7 @@ I'm powered by Claude AI for natural conversational assistance.
 Enter your Anthropic API key in the ⚙️ Settings panel (bottom-right) to get started.
 
 Get your API key from: https://console.anthropic.com/
-💾 It will be saved to ~/.graphbus/claude_config.json
+🔐 It will be stored encrypted (OS keychain where available)
 💡 Or set the ANTHROPIC_API_KEY environment variable
 
 **Alternative:** Type "skip" to use basic pattern matching mode.`, 'system');
@@ -497,10 +839,11 @@ async function autoBuildAgents() {
         addMessage(`Building agents in ${workingDirectory}/${agentsDir}...`, 'assistant');
 
         // Use the CLI command which will automatically use ANTHROPIC_API_KEY from environment
-        await runShellCommand(buildCommand);
+        const outcome = await runShellCommand(buildCommand);
 
-        // The rest is handled by runShellCommand's build detection
-        // which auto-loads the graph and updates state
+        // runShellCommand's build detection auto-loads the graph and updates
+        // state; Claude didn't start this build, so tell it what happened
+        await window.graphbus.claudeAddSystemMessage(`User started a build: ${outcome.content}`);
     } catch (error) {
         addMessage(`✗ Error: ${error.message}`, 'assistant');
         addMessage(`I looked for agents in ${workingDirectory}/${agentsDir} but couldn't find them. You can:
@@ -524,6 +867,7 @@ async function autoStartRuntime() {
             addMessage(`✓ Runtime started!`, 'assistant');
             updateSystemStateDisplay();
             startStatusPolling();
+            refreshMethodSignatures();
 
             // Auto-load graph
             setTimeout(async () => {
@@ -554,7 +898,7 @@ async function autoLoadGraph() {
             const graphData = result.result;
 
             if (graphData.nodes && graphData.nodes.length > 0) {
-                displayAgents(graphData.nodes, graphData.edges || []);
+                displayAgents(graphData.nodes, graphData.edges || [], graphData.topics || [], graphData.topicEdges || []);
 
                 // Update graph panel header with working directory
                 updateGraphPanelHeader();
@@ -600,9 +944,18 @@ async function intelligentMethodCall(command) {
 
     const [_, agent, method] = match;
 
+    // Methods with required arguments can't be called blind — open the form
+    const signature = await lookupMethodSignature(agent, method);
+    if (signature && signature.params.some(param => param.required)) {
+        selectMethod(agent, method);
+        addMessage(`${agent}.${signature.name} needs arguments: ${formatMethodSignature(signature)}\nFill them in on the Runtime Console tab.`, 'assistant');
+        return;
+    }
+
     try {
         addMessage(`Calling ${agent}.${method}...`, 'assistant');
         const result = await window.graphbus.callMethod(agent, method, {});
+        recordMethodInvocation(agent, method, {}, result);
 
         if (result.success) {
             addMessage(`✓ Result: ${result.result.message}`, 'assistant');
@@ -678,6 +1031,33 @@ async function saveConversation() {
     }
 }
 
+// Says whether Claude picked the conversation up too (its history is saved
+// per project alongside this log), or only the log came back
+async function coachMemoryNote() {
+    const info = await window.graphbus.claudeContextInfo();
+    if (!info.success || (info.result.turns === 0 && !info.result.summarised)) {
+        return '✓ Conversation history restored';
+    }
+    const earlier = info.result.summarised ? ' plus a summary of what came before' : '';
+    return `✓ Conversation history restored — Claude remembers the last ${info.result.turns} exchange(s)${earlier}. Use 🆕 Start Fresh to forget them.`;
+}
+
+// Clears the chat and Claude's memory of it for this project
+async function startFreshConversation() {
+    if (!confirm('Start a fresh conversation? Claude will forget everything said in this project so far, and the chat log will be cleared.')) {
+        return;
+    }
+    const result = await window.graphbus.claudeStartFresh();
+    if (!result.success) {
+        addMessage(`✗ Could not start fresh: ${result.error}`, 'system');
+        return;
+    }
+
+    document.getElementById('messages').innerHTML = '';
+    workflowState.conversationHistory = [];
+    addMessage('🆕 Fresh conversation — Claude has forgotten the earlier one', 'system');
+}
+
 // Load conversation from .graphbus directory
 async function loadConversation() {
     try {
@@ -773,41 +1153,9 @@ async function sendCommand() {
         // Use Claude for conversational response
         addMessage('...', 'assistant'); // Show thinking indicator
 
-        const response = await window.graphbus.claudeChat(command, {
-            hasBuilt: workflowState.hasBuilt,
-            isRunning: workflowState.isRunning,
-            phase: workflowState.phase,
-            workingDirectory: workingDirectory
-        });
-
-        // Remove thinking indicator.
-        // addMessage() wraps every message in a .message-wrapper div that
-        // contains both the text div AND a copy button (📋), so
-        // lastChild.textContent is "...📋", not "..." — the naive equality
-        // check always failed and the spinner accumulated in the DOM.
-        // Query into the wrapper for the actual .message element instead.
-        const messages = document.getElementById('messages');
-        const lastWrapper = messages.lastChild;
-        if (lastWrapper) {
-            const lastMsg = lastWrapper.querySelector('.message.assistant');
-            if (lastMsg && lastMsg.textContent === '...') {
-                messages.removeChild(lastWrapper);
-            }
-        }
-
-        if (response.success) {
-            const { message, action, params } = response.result;
-
-            // Show Claude's message
-            if (message) {
-                addMessage(message, 'assistant');
-            }
+        const response = await runClaudeTurn(command);
 
-            // Execute action if requested
-            if (action) {
-                await executeClaudeAction(action, params);
-            }
-        } else {
+        if (!response.success && !response.aborted) {
             // Show user-friendly error message
             addMessage(`I encountered an error: ${response.error}`, 'assistant');
 
@@ -824,19 +1172,165 @@ async function sendCommand() {
     }
 }
 
-// Execute actions requested by Claude
+// System state sent with every Claude turn
+function getClaudeSystemState() {
+    return {
+        hasBuilt: workflowState.hasBuilt,
+        isRunning: workflowState.isRunning,
+        phase: workflowState.phase,
+        workingDirectory: workingDirectory
+    };
+}
+
+function removeThinkingIndicator() {
+    // addMessage() wraps every message in a .message-wrapper div that
+    // contains both the text div AND a copy button (📋), so
+    // lastChild.textContent is "...📋", not "..." — the naive equality
+    // check always failed and the spinner accumulated in the DOM.
+    // Query into the wrapper for the actual .message element instead.
+    const messages = document.getElementById('messages');
+    const lastWrapper = messages.lastChild;
+    if (lastWrapper) {
+        const lastMsg = lastWrapper.querySelector('.message.assistant');
+        if (lastMsg && lastMsg.textContent === '...') {
+            messages.removeChild(lastWrapper);
+        }
+    }
+}
+
+// Streaming replies
+//
+// Reply text arrives over window.graphbus.onClaudeStream while a request is
+// in flight and is shown in a temporary bubble.  When the request settles the
+// bubble is swapped for a regular addMessage() so the copy button and the
+// saved conversation get the final text.
+let claudeTurnActive = false;
+let claudeTurnStopped = false;
+let streamingBubble = null;
+
+function handleClaudeStream({ delta }) {
+    if (!claudeTurnActive) return;
+
+    const messages = document.getElementById('messages');
+    if (!streamingBubble) {
+        removeThinkingIndicator();
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'message-wrapper assistant';
+        const msg = document.createElement('div');
+        msg.className = 'message assistant';
+        msg.style.whiteSpace = 'pre-wrap';
+        wrapper.appendChild(msg);
+        messages.appendChild(wrapper);
+        streamingBubble = { wrapper, msg, text: '' };
+    }
+
+    streamingBubble.text += delta;
+    streamingBubble.msg.textContent = streamingBubble.text;
+    messages.scrollTop = messages.scrollHeight;
+}
+
+// Removes the temporary bubble and returns whatever text it had streamed
+function takeStreamingBubble() {
+    if (!streamingBubble) return '';
+    const { wrapper, text } = streamingBubble;
+    wrapper.remove();
+    streamingBubble = null;
+    return text;
+}
+
+function setClaudeTurnActive(active) {
+    claudeTurnActive = active;
+    document.getElementById('sendBtn').style.display = active ? 'none' : '';
+    document.getElementById('stopBtn').style.display = active ? '' : 'none';
+}
+
+// Stop button: aborts the request in flight (ClaudeService rolls its history
+// back) and keeps runClaudeTurn from sending any further tool results.
+async function stopClaudeTurn() {
+    if (!claudeTurnActive) return;
+    claudeTurnStopped = true;
+    await window.graphbus.claudeAbort();
+}
+
+// Runs one user turn through Claude.  Every tool the model calls is executed
+// here and its result fed straight back, until a reply comes with no tool
+// calls — so compound requests ("build then negotiate") finish in one turn.
+// Returns the last IPC response so callers can handle errors; a stopped turn
+// comes back as { success: false, aborted: true }.
+async function runClaudeTurn(prompt, { systemState = getClaudeSystemState(), allowTools = true } = {}) {
+    if (claudeTurnActive) {
+        removeThinkingIndicator();
+        addMessage('⏳ Still working on the previous request — wait for it or press Stop.', 'system');
+        return { success: false, aborted: true, error: 'Another request is in progress' };
+    }
+
+    setClaudeTurnActive(true);
+    claudeTurnStopped = false;
+    let budgetWarned = false;
+
+    try {
+        let response = await window.graphbus.claudeChat(prompt, systemState, { allowTools });
+
+        while (true) {
+            removeThinkingIndicator();
+            const streamedText = takeStreamingBubble();
+
+            if (!response.success) {
+                if (response.aborted) {
+                    addMessage(streamedText
+                        ? `${streamedText}\n\n⏹ Stopped — this reply was discarded.`
+                        : '⏹ Stopped', 'system');
+                }
+                return response;
+            }
+
+            const { message, toolCalls, budgetWarning } = response.result;
+            if (message) {
+                addMessage(message, 'assistant');
+            }
+            // Once per turn, not after every tool round trip
+            if (budgetWarning && !budgetWarned) {
+                budgetWarned = true;
+                addMessage(`💰 ${budgetWarning}`, 'system');
+            }
+            if (!toolCalls || toolCalls.length === 0) return response;
+
+            const results = [];
+            for (const call of toolCalls) {
+                const outcome = await executeClaudeAction(call.name, call.input);
+                results.push({ toolUseId: call.id, content: outcome.content, isError: outcome.isError });
+            }
+
+            // Stopped while the tools ran: don't start another request.  The
+            // unanswered tool calls are closed out on the next chat turn.
+            if (claudeTurnStopped) {
+                addMessage('⏹ Stopped — tool results were not sent back to Claude.', 'system');
+                return { success: false, aborted: true, error: 'Stopped by user' };
+            }
+
+            response = await window.graphbus.claudeSubmitToolResults(results, getClaudeSystemState());
+        }
+    } finally {
+        takeStreamingBubble();
+        setClaudeTurnActive(false);
+    }
+}
+
+// Execute actions requested by Claude.  Returns { content, isError } — the
+// tool_result handed back to the model.
 async function executeClaudeAction(action, params) {
     try {
-        // Show action being executed (but not for execute_python - it shows its own message)
+        // Show action being executed
         const actionMessages = {
             'run_command': `→ Running: ${params.command}`,
-            'build_agents': '→ Building agents and analyzing dependencies...',
             'start_runtime': '→ Starting GraphBus runtime...',
             'stop_runtime': '→ Stopping runtime...',
             'list_agents': '→ Listing available agents...',
             'call_method': `→ Calling ${params.agent}.${params.method}...`,
             'publish_event': `→ Publishing event to ${params.topic}...`,
-            'change_directory': '→ Changing working directory...'
+            'change_directory': '→ Changing working directory...',
+            'send_to_terminal': `→ Typing into the terminal: ${params.command}`
         };
 
         if (actionMessages[action]) {
@@ -845,53 +1339,55 @@ async function executeClaudeAction(action, params) {
 
         switch (action) {
             case 'run_command':
-                if (params.command) {
-                    await runShellCommand(params.command);
+                if (!params.command) {
+                    return { content: 'Missing required input: command', isError: true };
                 }
-                break;
+                return await runShellCommand(params.command);
+
+            case 'send_to_terminal':
+                if (!params.command) {
+                    return { content: 'Missing required input: command', isError: true };
+                }
+                return await sendToTerminal(params.command);
 
             case 'start_runtime':
                 await autoStartRuntime();
-                await window.graphbus.claudeAddSystemMessage('Runtime started - DAG orchestrator active');
-                break;
+                return workflowState.isRunning
+                    ? { content: 'Runtime started - DAG orchestrator active', isError: false }
+                    : { content: 'Runtime failed to start (see the chat for the error)', isError: true };
 
             case 'stop_runtime':
                 await stopRuntime();
-                await window.graphbus.claudeAddSystemMessage('Runtime stopped');
-                break;
+                return workflowState.isRunning
+                    ? { content: 'Runtime failed to stop', isError: true }
+                    : { content: 'Runtime stopped', isError: false };
 
             case 'list_agents':
-                await listAgentsCommand();
-                break;
+                return await listAgentsCommand();
 
             case 'call_method':
-                if (params.agent && params.method) {
-                    await callMethodWithParams(params.agent, params.method, params.args || {});
+                if (!params.agent || !params.method) {
+                    return { content: 'Missing required input: agent and method', isError: true };
                 }
-                break;
+                return await callMethodWithParams(params.agent, params.method, params.args || {});
 
             case 'publish_event':
-                if (params.topic && params.payload) {
-                    await publishEvent(params.topic, params.payload);
+                if (!params.topic || !params.payload) {
+                    return { content: 'Missing required input: topic and payload', isError: true };
                 }
-                break;
+                return await publishEvent(params.topic, params.payload);
 
             case 'change_directory':
                 await changeWorkingDirectory();
-                break;
-
-            case 'execute_python':
-                if (params.code) {
-                    await executePythonCode(params.code);
-                }
-                break;
+                return { content: `Working directory is now ${workingDirectory}`, isError: false };
 
             default:
                 console.log('Unknown action:', action);
+                return { content: `Unknown tool: ${action}`, isError: true };
         }
     } catch (error) {
         addMessage(`✗ Action failed: ${error.message}`, 'system');
-        await window.graphbus.claudeAddSystemMessage(`Action failed: ${error.message}`);
+        return { content: `Action failed: ${error.message}`, isError: true };
     }
 }
 
@@ -899,17 +1395,18 @@ async function executeClaudeAction(action, params) {
 async function callMethodWithParams(agent, method, args) {
     try {
         const result = await window.graphbus.callMethod(agent, method, args);
+        recordMethodInvocation(agent, method, args, result);
 
         if (result.success) {
             addMessage(`✓ ${agent}.${method} executed`, 'system');
             addMessage(`Result: ${JSON.stringify(result.result, null, 2)}`, 'assistant');
-            await window.graphbus.claudeAddSystemMessage(`Method executed successfully: ${JSON.stringify(result.result)}`);
-        } else {
-            addMessage(`✗ ${result.error}`, 'assistant');
-            await window.graphbus.claudeAddSystemMessage(`Method failed: ${result.error}`);
+            return { content: `Method executed successfully: ${JSON.stringify(result.result)}`, isError: false };
         }
+        addMessage(`✗ ${result.error}`, 'assistant');
+        return { content: `Method failed: ${result.error}`, isError: true };
     } catch (error) {
         addMessage(`✗ ${error.message}`, 'assistant');
+        return { content: `Method failed: ${error.message}`, isError: true };
     }
 }
 
@@ -920,83 +1417,36 @@ async function publishEvent(topic, payload) {
 
         if (result.success) {
             addMessage(`✓ Event published to ${topic}`, 'system');
-            await window.graphbus.claudeAddSystemMessage(`Event published to ${topic}`);
-        } else {
-            addMessage(`✗ ${result.error}`, 'assistant');
-            await window.graphbus.claudeAddSystemMessage(`Event publish failed: ${result.error}`);
+            return { content: `Event published to ${topic}`, isError: false };
         }
+        addMessage(`✗ ${result.error}`, 'assistant');
+        return { content: `Event publish failed: ${result.error}`, isError: true };
     } catch (error) {
         addMessage(`✗ ${error.message}`, 'assistant');
+        return { content: `Event publish failed: ${error.message}`, isError: true };
     }
 }
 
-// Execute Python code
-async function executePythonCode(code) {
-    try {
-        // Show the actual code being executed
-        addMessage(`📝 Executing Python:\n${code}`, 'system');
-
-        const result = await window.graphbus.executePython(code);
-
-        if (result.success) {
-            const output = Array.isArray(result.result) ? result.result.join('\n') : result.result;
-
-            if (output && output.trim()) {
-                addMessage(`✓ Result:\n${output}`, 'assistant');
-                await window.graphbus.claudeAddSystemMessage(`Python execution completed. Output: ${output}`);
-            } else {
-                addMessage('✓ Completed (no output)', 'system');
-                await window.graphbus.claudeAddSystemMessage('Python execution completed successfully');
-            }
-        } else {
-            addMessage(`✗ Error:\n${result.error}`, 'assistant');
-            await window.graphbus.claudeAddSystemMessage(`Python execution failed: ${result.error}`);
-        }
-    } catch (error) {
-        addMessage(`✗ Exception:\n${error.message}`, 'assistant');
-        await window.graphbus.claudeAddSystemMessage(`Python execution error: ${error.message}`);
-    }
-}
-
-// Check if Claude needs to continue with compound request
-async function checkForCompoundRequestContinuation() {
-    if (!workflowState.claudeInitialized) return;
-
-    try {
-        // Invoke Claude with empty prompt - it will check its history for pending actions
-        const response = await window.graphbus.claudeChat('', {
-            hasBuilt: workflowState.hasBuilt,
-            isRunning: workflowState.isRunning,
-            phase: workflowState.phase,
-            workingDirectory: workingDirectory
-        });
-
-        if (response.success) {
-            const { message, action, params } = response.result;
-
-            // Only show message if Claude has something to say (continuation of compound request)
-            if (message && message.trim()) {
-                addMessage(message, 'assistant');
-            }
-
-            // Execute next action if Claude determined there's more to do
-            if (action) {
-                await executeClaudeAction(action, params);
-            }
-        }
-    } catch (error) {
-        // Silent fail - this is auto-continuation, not user-initiated
-        console.log('Auto-continuation check:', error);
-    }
-}
-
-// Execute shell command
+// Execute shell command.  Returns { content, isError } so the result can be
+// handed back to Claude as a tool_result.  The main process applies the
+// command approval policy to every command.
 async function runShellCommand(command) {
-    // Use streaming for negotiation commands
+    // Use streaming for negotiation commands, once the working tree is safe
+    // to negotiate in
     if (command.includes('graphbus negotiate')) {
+        const workspace = await prepareNegotiationWorkspace();
+        if (!workspace.ready) {
+            return { content: `Negotiation not started: ${workspace.reason}`, isError: true };
+        }
         return runStreamingCommand(command);
     }
 
+    // Watchers and the CLI runtime never exit on their own, so they stream
+    // in the background as their own job instead of holding up the turn
+    if (isLongRunningCommand(command)) {
+        return runStreamingCommand(command, { background: true });
+    }
+
     try {
         const result = await window.graphbus.runCommand(command);
 
@@ -1026,23 +1476,16 @@ async function runShellCommand(command) {
                 workflowState.phase = 'built';
 
                 // Give build a moment to finish writing files
-                setTimeout(async () => {
-                    await autoLoadGraph();
-
-                    // Update system state display after graph loads
-                    updateSystemStateDisplay();
-
-                    await window.graphbus.claudeAddSystemMessage(`Build completed successfully. Graph loaded with agents visible in UI. If this was part of a compound request, continue with the next action now.`);
+                await new Promise(resolve => setTimeout(resolve, 500));
+                await autoLoadGraph();
 
-                    // Auto-trigger Claude to continue compound requests
-                    setTimeout(() => checkForCompoundRequestContinuation(), 1000);
-                }, 500);
-            } else {
-                await window.graphbus.claudeAddSystemMessage(`Command completed. Output: ${combinedOutput || '(no output)'}. Check if there are more actions to complete from the user's request.`);
+                // Update system state display after graph loads
+                updateSystemStateDisplay();
 
-                // Auto-trigger Claude to continue compound requests
-                setTimeout(() => checkForCompoundRequestContinuation(), 500);
+                return { content: `Build completed successfully. Graph loaded with agents visible in UI.\n${combinedOutput}`, isError: false };
             }
+
+            return { content: `Command completed. Output: ${combinedOutput || '(no output)'}`, isError: false };
         } else {
             let errorMsg = result.error || 'Command failed';
 
@@ -1055,110 +1498,244 @@ async function runShellCommand(command) {
                 addMessage(`Stdout:\n${result.stdout}`, 'system');
             }
 
-            await window.graphbus.claudeAddSystemMessage(`Command failed: ${errorMsg}`);
+            const details = [result.stderr, result.stdout].filter(x => x && x.trim()).join('\n');
+            return { content: `Command failed: ${errorMsg}${details ? `\n${details}` : ''}`, isError: true };
         }
     } catch (error) {
         addMessage(`✗ Exception:\n${error.message}`, 'assistant');
-        await window.graphbus.claudeAddSystemMessage(`Command error: ${error.message}`);
+        return { content: `Command error: ${error.message}`, isError: true };
     }
 }
 
-// Handle PR creation after negotiation completes
-async function handleNegotiationPR(command, output, messageElement) {
-    try {
-        // Generate UUID for this negotiation
-        const negotiationId = crypto.randomUUID().split('-')[0];
+// After a negotiation that changed files, hand its edits to the Review view
+// instead of committing them.  The branch, commit, push and PR only happen
+// once the user has picked which changes to keep (see
+// commitReviewedChanges), so unreviewed LLM edits never reach a remote.
+// followUp is the tracked PR a follow-up negotiation belongs to: its changes
+// go onto that PR's branch instead of a new one.
+function handleNegotiationPR(command, output, messageElement, followUp = null) {
+    // Extract commit count
+    const commitMatch = output.match(/Total commits: (\d+)/);
+    const commitCount = commitMatch ? parseInt(commitMatch[1]) : 0;
+
+    if (followUp) {
+        setPendingNegotiationReview({
+            negotiationId: followUp.pr.negotiationId,
+            intent: followUp.intent,
+            branchName: followUp.pr.branchName,
+            commitCount,
+            branchCreated: true,
+            followUp
+        });
+        if (messageElement) {
+            messageElement.textContent += `\n🔍 ${commitCount} follow-up commit(s) for PR #${followUp.pr.prNumber} are waiting for review.\n`;
+        }
+        switchView('review');
+        return;
+    }
 
-        // Extract intent from command or output
-        const intentMatch = command.match(/--intent\s+"([^"]+)"/) || command.match(/--intent\s+(\S+)/);
-        const intent = intentMatch ? intentMatch[1] : 'code-improvements';
+    // Generate UUID for this negotiation
+    const negotiationId = crypto.randomUUID().split('-')[0];
 
-        // Create branch name
-        const branchName = `graphbus/negotiate-${intent.replace(/\s+/g, '-').toLowerCase()}-${negotiationId}`;
+    // Extract intent from command or output
+    const intentMatch = command.match(/--intent\s+"([^"]+)"/) || command.match(/--intent\s+(\S+)/);
+    const intent = intentMatch ? intentMatch[1] : 'code-improvements';
 
-        // Extract commit count
-        const commitMatch = output.match(/Total commits: (\d+)/);
-        const commitCount = commitMatch ? parseInt(commitMatch[1]) : 0;
+    // Create branch name
+    const branchName = `graphbus/negotiate-${intent.replace(/\s+/g, '-').toLowerCase()}-${negotiationId}`;
 
-        if (messageElement) {
-            messageElement.textContent += `\n🔀 Creating Git branch: ${branchName}...\n`;
-        }
+    setPendingNegotiationReview({ negotiationId, intent, branchName, commitCount });
+
+    if (messageElement) {
+        messageElement.textContent += `\n🔍 ${commitCount} negotiation commit(s) are waiting for review — nothing has been committed to git yet.\n`;
+    }
+    switchView('review');
+}
 
-        // Create branch
+// Creates the negotiation's branch, commits the accepted changes on it,
+// then hands it to the configured hosting provider: pushed and opened as a
+// PR on GitHub/GitLab/Gitea, or written to a patch file when the project is
+// local only.  Returns true once the commit has been made.
+async function publishNegotiationReview(review, selection, options) {
+    const { negotiationId, intent, branchName, commitCount } = review;
+
+    if (!review.branchCreated) {
+        addMessage(`🔀 Creating Git branch: ${branchName}...`, 'system');
         const branchResult = await window.graphbus.gitCreateBranch(branchName);
         if (!branchResult.success) {
-            if (messageElement) {
-                messageElement.textContent += `✗ Failed to create branch: ${branchResult.error}\n`;
-            }
-            return;
+            addMessage(`✗ Failed to create branch: ${branchResult.error}`, 'system');
+            return false;
         }
+        review.branchCreated = true;
+        review.baseBranch = branchResult.base;
+        await setPendingNegotiationReview(review);
+    }
 
-        if (messageElement) {
-            messageElement.textContent += `✓ Branch created\n`;
-            messageElement.textContent += `📤 Committing and pushing changes...\n`;
-        }
+    const commitMessage = review.followUp
+        ? `GraphBus follow-up negotiation: ${intent}\n\nNegotiation ID: ${negotiationId}\nAddresses ${review.followUp.commentIds.length} PR comment(s)\nCommits applied: ${commitCount}`
+        : `GraphBus negotiation: ${intent}\n\nNegotiation ID: ${negotiationId}\nCommits applied: ${commitCount}`;
+    const commitResult = await window.graphbus.reviewCommit(commitMessage, selection, options);
+    if (!commitResult.success) {
+        addMessage(`✗ Commit failed: ${commitResult.error}`, 'system');
+        return false;
+    }
+    addMessage(`✓ Committed ${commitResult.result.accepted} accepted change(s) on ${branchName}`, 'system');
 
-        // Commit and push
-        const commitMessage = `GraphBus negotiation: ${intent}\n\nNegotiation ID: ${negotiationId}\nCommits applied: ${commitCount}`;
-        const pushResult = await window.graphbus.gitCommitAndPush(commitMessage, branchName);
+    const hosting = await window.graphbus.hostingInfo();
+    if (!hosting.success) {
+        addMessage(`✗ No git hosting provider available: ${hosting.error}\nThe commit is on the local branch ${branchName}.`, 'system');
+        return true;
+    }
+    const provider = hosting.result;
 
+    if (provider.pushes) {
+        addMessage(`📤 Pushing ${branchName} to ${provider.host}...`, 'system');
+        const pushResult = await window.graphbus.gitPush(branchName);
         if (!pushResult.success) {
-            if (messageElement) {
-                messageElement.textContent += `✗ Failed to push: ${pushResult.error}\n`;
-            }
-            return;
+            addMessage(`✗ Failed to push: ${pushResult.error}\nThe commit is on the local branch ${branchName}.`, 'system');
+            return true;
         }
+    }
 
-        if (messageElement) {
-            messageElement.textContent += `✓ Changes pushed to ${branchName}\n`;
-            messageElement.textContent += `🔨 Creating GitHub PR...\n`;
-        }
+    if (review.followUp) {
+        // The push updated the existing PR; remember which comments it answered
+        const { pr, commentIds } = review.followUp;
+        await window.graphbus.prUpdateTracking(negotiationId, {
+            seenCommentIds: [...(pr.seenCommentIds || []), ...commentIds],
+            followUps: [...(pr.followUps || []), { intent, commitCount, commentIds, timestamp: Date.now() }]
+        });
+        addMessage(`🎉 Follow-up pushed to PR #${pr.prNumber} (${pr.prUrl})\n\n📋 ${intent}`, 'system');
+        return true;
+    }
 
-        // Create PR
-        const prTitle = `GraphBus: ${intent}`;
-        const prBody = `## Negotiation Summary\n\n**Intent:** ${intent}\n**Negotiation ID:** ${negotiationId}\n**Commits:** ${commitCount}\n\n### Changes\n\nThis PR was automatically generated by GraphBus multi-agent negotiation.\n\n---\n\n*To trigger another negotiation round, comment on this PR with your feedback.*`;
+    addMessage(provider.pushes
+        ? `✓ Changes pushed to ${branchName}\n🔨 Creating ${provider.label} pull request...`
+        : `📝 Local-only project — writing ${branchName} to a patch file...`, 'system');
 
-        const prResult = await window.graphbus.githubCreatePR(prTitle, prBody, branchName);
+    const prTitle = `GraphBus: ${intent}`;
+    const prBody = `## Negotiation Summary\n\n**Intent:** ${intent}\n**Negotiation ID:** ${negotiationId}\n**Commits:** ${commitCount}\n\n### Changes\n\nThis PR was generated by GraphBus multi-agent negotiation; its changes were reviewed and selectively accepted before committing.\n\n---\n\n*To trigger another negotiation round, comment on this PR with your feedback.*`;
 
-        if (!prResult.success) {
-            if (messageElement) {
-                messageElement.textContent += `✗ Failed to create PR: ${prResult.error}\n`;
-            }
-            return;
-        }
+    const prResult = await window.graphbus.hostingCreatePR(prTitle, prBody, branchName, review.baseBranch);
+    if (!prResult.success) {
+        addMessage(`✗ Failed to create PR: ${prResult.error}`, 'system');
+        return true;
+    }
+    const pr = prResult.result;
+
+    // Track PR (local patches too, so there is a record of where each went)
+    await window.graphbus.prSaveTracking({
+        negotiationId,
+        intent,
+        branchName,
+        baseBranch: review.baseBranch,
+        provider: pr.provider,
+        prNumber: pr.number,
+        prUrl: pr.url,
+        patchFile: pr.patchFile,
+        commitCount
+    });
 
-        if (messageElement) {
-            messageElement.textContent += `✓ PR created: ${prResult.url}\n`;
+    if (pr.patchFile) {
+        addMessage(`🎉 Patch written!\n\n📋 Intent: ${intent}\n📄 Patch: ${pr.patchFile}\n🌿 Branch: ${branchName} (from ${review.baseBranch})`, 'system');
+    } else {
+        addMessage(`🎉 Pull Request created on ${provider.label}!\n\n📋 Intent: ${intent}\n🔗 URL: ${pr.url}\n🌿 Branch: ${branchName}\n\nReview the PR and add comments to trigger the next negotiation round.`, 'system');
+    }
+    return true;
+}
+
+// Pre-flight for every negotiation (see git:prepare-negotiation in main.js).
+// Uncommitted work is only stashed with the user's say-so; otherwise the
+// negotiation doesn't start, so its edits never mix with the user's own.
+async function prepareNegotiationWorkspace() {
+    const status = await window.graphbus.gitStatus();
+    if (!status.success) {
+        // Not a git repository: nothing to protect, and nothing gets committed
+        addMessage(`⚠️ Git safety checks skipped: ${status.error}`, 'system');
+        return { ready: true };
+    }
+
+    const { branch, changes } = status.result;
+    let stash = false;
+    if (changes.length > 0) {
+        const listed = changes.slice(0, 10).join('\n') + (changes.length > 10 ? `\n…and ${changes.length - 10} more` : '');
+        stash = confirm(`${changes.length} uncommitted change(s) on ${branch || 'a detached HEAD'}:\n\n${listed}\n\nStash them before negotiating? GraphBus → Roll Back Negotiation brings them back.\n\nCancel leaves them alone and doesn't start the negotiation.`);
+        if (!stash) {
+            addMessage(`✗ Negotiation not started: ${changes.length} uncommitted change(s) on ${branch}. Commit or stash them first.`, 'system');
+            return { ready: false, reason: 'the working tree has uncommitted changes and the user chose not to stash them' };
         }
+    }
 
-        // Track PR
-        await window.graphbus.prSaveTracking({
-            negotiationId,
-            intent,
-            branchName,
-            prNumber: prResult.number,
-            prUrl: prResult.url,
-            commitCount
-        });
+    const result = await window.graphbus.gitPrepareNegotiation({ stash });
+    if (!result.success) {
+        addMessage(`✗ Negotiation not started: ${result.error}`, 'system');
+        return { ready: false, reason: result.error };
+    }
 
-        addMessage(`🎉 Pull Request created!\n\n📋 Intent: ${intent}\n🔗 URL: ${prResult.url}\n🌿 Branch: ${branchName}\n\nReview the PR and add comments to trigger the next negotiation round.`, 'system');
+    const { stashed, gitignoreUpdated } = result.result;
+    if (gitignoreUpdated) {
+        addMessage('🙈 Added .graphbus/ to .gitignore so GraphBus artefacts stay out of commits', 'system');
+    }
+    if (stashed.length > 0) {
+        addMessage(`📦 Stashed ${stashed.length} uncommitted change(s) on ${branch}`, 'system');
+    }
+    return { ready: true };
+}
 
-    } catch (error) {
-        console.error('Error creating PR:', error);
-        if (messageElement) {
-            messageElement.textContent += `\n✗ Error: ${error.message}\n`;
+// Undoes the git side of the current negotiation session: back to the
+// branch it started from, with any stashed work re-applied.  Uncommitted
+// changes (e.g. unreviewed negotiation edits) are only discarded after a
+// second confirmation.
+async function rollbackNegotiation() {
+    const status = await window.graphbus.gitStatus();
+    if (!status.success || !status.result.session) {
+        addMessage(`↩ Nothing to roll back${status.success ? '' : `: ${status.error}`}`, 'system');
+        return;
+    }
+
+    const { previousBranch, stashes } = status.result.session;
+    if (!confirm(`Return to ${previousBranch}${stashes.length > 0 ? ` and restore ${stashes.length} stash(es)` : ''}? Negotiation branches are kept.`)) {
+        return;
+    }
+
+    let result = await window.graphbus.gitRollback({});
+    if (!result.success && result.changes) {
+        if (!confirm(`${result.error}:\n\n${result.changes.slice(0, 10).join('\n')}\n\nSet them aside in a git stash and roll back anyway?`)) {
+            return;
         }
+        result = await window.graphbus.gitRollback({ discardChanges: true });
+    }
+
+    if (!result.success) {
+        addMessage(`✗ Rollback failed: ${result.error}`, 'system');
+        return;
     }
+
+    await setPendingNegotiationReview(null);
+    const { branch, branches, restoredStashes, discardedStash } = result.result;
+    addMessage(`↩ Rolled back to ${branch}${restoredStashes.length > 0 ? `, restored ${restoredStashes.length} stash(es)` : ''}${branches.length > 0 ? `\nNegotiation branch(es) kept: ${branches.join(', ')}` : ''}${discardedStash ? `\nDiscarded changes are in the stash "${discardedStash}" (git stash list)` : ''}`, 'system');
+    await refreshReview();
+}
+
+function isLongRunningCommand(command) {
+    return /\bgraphbus\s+run\b/.test(command) || /--watch\b/.test(command);
 }
 
-// Execute command with streaming output
-async function runStreamingCommand(command) {
+// Execute command with streaming output into its own message bubble.  Each
+// stream is a separate job with its own handlers, so several can run at once.
+// Resolves with { content, isError } once the command has finished (including
+// any PR workflow that follows a negotiation) — or, with options.background,
+// as soon as it has started.
+async function runStreamingCommand(command, options = {}) {
+    const { background = false, followUp = null } = options;
+    const isNegotiation = command.includes('graphbus negotiate');
     let streamingMessageElement = null;
     let streamingMessageWrapper = null;
     let streamingCopyBtn = null;
     let fullOutput = '';
     let currentRound = 0;
     let currentPhase = '';
+    let finishStream;
+    const streamFinished = new Promise(resolve => { finishStream = resolve; });
 
     // Create initial message with wrapper and copy button
     const messagesContainer = document.getElementById('messages');
@@ -1171,7 +1748,7 @@ async function runStreamingCommand(command) {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message assistant';
     messageDiv.style.whiteSpace = 'pre-wrap';
-    messageDiv.textContent = '🔄 Starting negotiation...\n';
+    messageDiv.textContent = isNegotiation ? '🔄 Starting negotiation...\n' : `🔄 $ ${command}\n`;
 
     // Create copy button
     const copyBtn = document.createElement('button');
@@ -1210,6 +1787,13 @@ async function runStreamingCommand(command) {
         const { type, line } = data;
         fullOutput += line + '\n';
 
+        // Only negotiation output gets the step-by-step formatting below
+        if (!isNegotiation) {
+            streamingMessageElement.textContent += (type === 'stderr' ? `⚠️ ${line}` : line) + '\n';
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            return;
+        }
+
         // Skip verbose log lines that clutter the output
         if (line.includes('[Orchestrator]') ||
             line.includes('[CodeWriter]') ||
@@ -1358,219 +1942,68 @@ async function runStreamingCommand(command) {
 
     const completeHandler = async (data) => {
         if (streamingMessageElement) {
-            streamingMessageElement.textContent += '\n✓ Command completed\n';
+            streamingMessageElement.textContent += data.code === 0
+                ? '\n✓ Command completed\n'
+                : `\n✗ Command exited with code ${data.code}\n`;
         }
 
-        // Cleanup listeners
-        window.graphbus.onCommandOutput(() => {});
-        window.graphbus.onCommandComplete(() => {});
-        window.graphbus.onCommandError(() => {});
+        // Check if negotiation resulted in commits and queue them for review
+        const commitMatch = isNegotiation && fullOutput.match(/Total commits: (\d+)/);
+        const awaitingReview = commitMatch && parseInt(commitMatch[1]) > 0;
+        if (awaitingReview) {
+            handleNegotiationPR(command, fullOutput, streamingMessageElement, followUp);
+        }
 
-        // Check if negotiation resulted in commits and handle Git/PR workflow
-        const commitMatch = fullOutput.match(/Total commits: (\d+)/);
-        if (commitMatch && parseInt(commitMatch[1]) > 0) {
-            await handleNegotiationPR(command, fullOutput, streamingMessageElement);
+        if (isNegotiation && streamingMessageElement) {
+            streamingMessageElement.textContent += '\n🤝 Review rounds, evaluations and commits in the Negotiations tab\n';
         }
 
-        await window.graphbus.claudeAddSystemMessage(`Negotiation completed. Output: ${fullOutput}`);
-        setTimeout(() => checkForCompoundRequestContinuation(), 500);
+        const reviewNote = awaitingReview
+            ? ' The changed files are waiting for the user in the Review tab; nothing is committed or pushed until they accept changes there.'
+            : '';
+        finishStream({
+            content: `${isNegotiation ? 'Negotiation' : 'Command'} ${data.code === 0 ? 'completed' : `exited with code ${data.code}`}.${reviewNote} Output: ${fullOutput}`,
+            isError: data.code !== 0
+        });
     };
 
     const errorHandler = (data) => {
         if (streamingMessageElement) {
             streamingMessageElement.textContent += `\n✗ Error: ${data.error}\n`;
         }
+        finishStream({ content: `Command failed: ${data.error}\n${fullOutput}`, isError: true });
     };
 
-    // Register handlers
-    window.graphbus.onCommandOutput(outputHandler);
-    window.graphbus.onCommandComplete(completeHandler);
-    window.graphbus.onCommandError(errorHandler);
-
-    // Start streaming command
+    // Start streaming command; output for this job only reaches these handlers
     try {
-        await window.graphbus.runCommandStreaming(command);
+        const result = await window.graphbus.runCommandStreaming(command, {
+            onOutput: outputHandler,
+            onComplete: completeHandler,
+            onError: errorHandler
+        });
+        if (!result.success) {
+            if (streamingMessageElement) {
+                streamingMessageElement.textContent += `\n✗ ${result.error}\n`;
+            }
+            finishStream({ content: `Command failed: ${result.error}`, isError: true });
+        } else {
+            const { jobId } = result.result;
+            if (background) {
+                streamingMessageElement.textContent += `(running in the background as job #${jobId} — stop it from the Jobs tab)\n`;
+                return {
+                    content: `Started in the background as job #${jobId}; its output streams into the conversation and it keeps running until stopped from the Jobs tab.`,
+                    isError: false
+                };
+            }
+        }
     } catch (error) {
         if (streamingMessageElement) {
             streamingMessageElement.textContent += `\n✗ Exception: ${error.message}\n`;
         }
+        finishStream({ content: `Command error: ${error.message}`, isError: true });
     }
-}
-
-// Parse and display negotiation output as individual messages
-function parseAndDisplayNegotiation(output) {
-    const lines = output.split('\n');
-    let totalRounds = 0;
-    let totalCommits = 0;
-    let filesModified = 0;
-
-    // Extract header info
-    const intentMatch = output.match(/User intent: (.+)/);
-    const userIntent = intentMatch ? intentMatch[1] : null;
-
-    if (userIntent) {
-        addMessage(`🎯 Negotiation Intent: ${userIntent}`, 'system');
-    }
-
-    // Parse round headers
-    const roundMatches = [...output.matchAll(/NEGOTIATION ROUND (\d+)\/(\d+)/g)];
-    if (roundMatches.length > 0) {
-        totalRounds = parseInt(roundMatches[roundMatches.length - 1][2]);
-    }
-
-    // Parse agent proposals with full context
-    const proposalMatches = [...output.matchAll(/(\w+): Proposing '(.+?)'\.\.\./g)];
-    const proposalsByRound = {};
-
-    for (const match of proposalMatches) {
-        const [_, agent, proposal] = match;
-        const roundNum = output.substring(0, match.index).match(/NEGOTIATION ROUND (\d+)/g);
-        const round = roundNum ? parseInt(roundNum[roundNum.length - 1].match(/\d+/)[0]) : 1;
-
-        if (!proposalsByRound[round]) {
-            proposalsByRound[round] = [];
-        }
-        proposalsByRound[round].push({ agent, proposal });
-    }
-
-    // Display by round with much more granular detail
-    for (let round = 1; round <= totalRounds; round++) {
-        addMessage(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n📊 ROUND ${round}/${totalRounds}\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`, 'system');
-
-        const roundSection = getRoundSection(output, round);
-        if (!roundSection) continue;
-
-        // 1. Show proposals for this round
-        const proposals = proposalsByRound[round] || [];
-        if (proposals.length > 0) {
-            addMessage(`\n💡 Phase 1: Proposal Generation (${proposals.length} proposals)`, 'system');
-            proposals.forEach(({ agent, proposal }) => {
-                addMessage(`  🤖 ${agent} proposes:\n     "${proposal}"`, 'assistant');
-            });
-        }
-
-        // 2. Show individual agent evaluations with details
-        const evaluationLines = roundSection.split('\n').filter(line =>
-            line.includes('evaluated') && (line.includes('accept') || line.includes('reject'))
-        );
-
-        if (evaluationLines.length > 0) {
-            addMessage(`\n📋 Phase 2: Peer Evaluation (${evaluationLines.length} evaluations)`, 'system');
-
-            evaluationLines.forEach(line => {
-                // Parse: "AgentA evaluated proposal_id: accept" or "AgentA evaluated proposal_id: reject"
-                const evalMatch = line.match(/(\w+) evaluated (\w+): (accept|reject)/);
-                if (evalMatch) {
-                    const [_, evaluator, proposalId, decision] = evalMatch;
-                    const emoji = decision === 'accept' ? '✅' : '❌';
-                    addMessage(`  ${emoji} ${evaluator} → ${proposalId}: ${decision.toUpperCase()}`, 'assistant');
-                }
-            });
-        }
-
-        // 3. Show validation checks
-        const validationLines = roundSection.split('\n').filter(line =>
-            line.includes('Validating') || line.includes('Schema') || line.includes('valid')
-        );
-
-        if (validationLines.length > 0) {
-            addMessage(`\n🔍 Phase 3: Schema Validation`, 'system');
-            validationLines.forEach(line => {
-                if (line.trim()) {
-                    addMessage(`  ${line.trim()}`, 'assistant');
-                }
-            });
-        }
-
-        // 4. Show consensus decisions with detailed vote counts
-        const commitMatches = [...roundSection.matchAll(/✓ Commit created for (\w+) \((\d+) accepts, (\d+) rejects\)/g)];
-        if (commitMatches.length > 0) {
-            addMessage(`\n✅ Phase 4: Consensus & Commit`, 'system');
-            commitMatches.forEach(match => {
-                const [_, proposalId, accepts, rejects] = match;
-                const totalVotes = parseInt(accepts) + parseInt(rejects);
-                const acceptRate = totalVotes > 0 ? Math.round((parseInt(accepts) / totalVotes) * 100) : 0;
-                addMessage(`  🎯 Proposal ${proposalId}:`, 'assistant');
-                addMessage(`     Votes: ${accepts} accepts, ${rejects} rejects (${acceptRate}% approval)`, 'assistant');
-                addMessage(`     Status: ✓ COMMITTED`, 'assistant');
-                totalCommits++;
-            });
-        }
-
-        // 5. Show file modifications with details
-        const fileMatches = [...roundSection.matchAll(/✓ Modified (.+)/g)];
-        if (fileMatches.length > 0) {
-            addMessage(`\n📝 Phase 5: File Modifications (${fileMatches.length} files)`, 'system');
-            const uniqueFiles = new Set(fileMatches.map(m => m[1].split('\n')[0]));
-            uniqueFiles.forEach(file => {
-                addMessage(`  📄 ${file}`, 'assistant');
-                filesModified++;
-            });
-        }
-
-        // 6. Show any errors or warnings for this round
-        const errorLines = roundSection.split('\n').filter(line =>
-            line.includes('Error:') || line.includes('Failed:') || line.includes('Warning:')
-        );
-
-        if (errorLines.length > 0) {
-            addMessage(`\n⚠️ Issues Detected:`, 'system');
-            errorLines.forEach(line => {
-                if (line.trim()) {
-                    addMessage(`  ${line.trim()}`, 'system');
-                }
-            });
-        }
-
-        // 7. Show any rejected proposals with reasons
-        const rejectLines = roundSection.split('\n').filter(line =>
-            line.includes('Rejected:') || (line.includes('reject') && line.includes('reason'))
-        );
-
-        if (rejectLines.length > 0) {
-            addMessage(`\n🚫 Rejected Proposals:`, 'system');
-            rejectLines.forEach(line => {
-                if (line.trim()) {
-                    addMessage(`  ${line.trim()}`, 'assistant');
-                }
-            });
-        }
-    }
-
-    // Final summary
-    const summaryMatch = output.match(/ORCHESTRATION COMPLETE[\s\S]*?Total rounds: (\d+)[\s\S]*?Total commits: (\d+)[\s\S]*?Files modified: (\d+)/);
-    if (summaryMatch) {
-        const [_, rounds, commits, files] = summaryMatch;
-        addMessage(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n🎉 NEGOTIATION COMPLETE\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`, 'system');
-        addMessage(`📊 Summary:\n  • Rounds: ${rounds}\n  • Commits: ${commits}\n  • Files Modified: ${files}`, 'assistant');
-    } else if (totalCommits > 0) {
-        addMessage(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n🎉 NEGOTIATION COMPLETE\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`, 'system');
-        addMessage(`📊 Summary:\n  • Rounds: ${totalRounds}\n  • Commits: ${totalCommits}\n  • Files Modified: ${filesModified}`, 'assistant');
-    }
-
-    // Show any warnings or errors
-    const warningMatches = [...output.matchAll(/Warning: (.+)/g)];
-    if (warningMatches.length > 0) {
-        addMessage(`\n⚠️ Warnings (${warningMatches.length}):`, 'system');
-        warningMatches.slice(0, 3).forEach(match => {
-            addMessage(`  • ${match[1]}`, 'system');
-        });
-        if (warningMatches.length > 3) {
-            addMessage(`  • ...and ${warningMatches.length - 3} more`, 'system');
-        }
-    }
-}
-
-// Helper to extract a specific round's section from output
-function getRoundSection(output, roundNum) {
-    const roundStart = output.indexOf(`NEGOTIATION ROUND ${roundNum}/`);
-    if (roundStart === -1) return null;
 
-    const nextRound = output.indexOf(`NEGOTIATION ROUND ${roundNum + 1}/`, roundStart + 1);
-    const orchestrationComplete = output.indexOf('ORCHESTRATION COMPLETE', roundStart);
-
-    const endPos = nextRound !== -1 ? nextRound : (orchestrationComplete !== -1 ? orchestrationComplete : output.length);
-    return output.substring(roundStart, endPos);
+    return streamFinished;
 }
 
 // GraphBus operations (legacy - kept for backward compatibility)
@@ -1601,6 +2034,8 @@ async function buildAgents() {
     await autoBuildAgents();
 }
 
+// Returns { content, isError } for the list_agents tool; the full signatures
+// (including docstrings) go to Claude, the chat gets a compact summary.
 async function listAgentsCommand() {
     try {
         const result = await window.graphbus.listAgents();
@@ -1614,23 +2049,31 @@ async function listAgentsCommand() {
                     addMessage('The runtime needs to be started first. Want me to start it?', 'assistant');
                     workflowState.phase = 'awaiting_runtime_confirmation';
                 }
-            } else {
-                workflowState.agentsLoaded = true;
-                let message = `Here are your available agents:\n\n`;
-                agents.forEach(agent => {
-                    message += `• **${agent.name}**\n`;
-                    if (agent.methods.length > 0) {
-                        message += `  Methods: ${agent.methods.join(', ')}\n`;
-                    }
-                });
-                message += `\nYou can call any method like: "${agents[0].name}.${agents[0].methods[0]}"`;
-                addMessage(message, 'assistant');
+                return {
+                    content: workflowState.isRunning ? 'No agents loaded.' : 'No agents loaded - the runtime is not running.',
+                    isError: false
+                };
             }
-        } else {
-            addMessage(`✗ ${result.error}`, 'assistant');
+
+            workflowState.agentsLoaded = true;
+            let message = `Here are your available agents:\n\n`;
+            agents.forEach(agent => {
+                message += `• **${agent.name}**\n`;
+                agent.methods.forEach(method => {
+                    const signature = (agent.signatures || {})[method];
+                    message += `  - ${signature ? formatMethodSignature(signature) : method}\n`;
+                });
+            });
+            message += `\nYou can call any method like: "${agents[0].name}.${agents[0].methods[0]}"`;
+            addMessage(message, 'assistant');
+            return { content: JSON.stringify(agents, null, 2), isError: false };
         }
+
+        addMessage(`✗ ${result.error}`, 'assistant');
+        return { content: `Listing agents failed: ${result.error}`, isError: true };
     } catch (error) {
         addMessage(`✗ ${error.message}`, 'assistant');
+        return { content: `Listing agents failed: ${error.message}`, isError: true };
     }
 }
 
@@ -1649,10 +2092,21 @@ async function loadGraph() {
 }
 
 // Store current graph data for interactions
-let currentGraphData = { nodes: [], edges: [] };
+let currentGraphData = { nodes: [], edges: [], topics: [], topicEdges: [] };
 let graphNetwork = null;
 
-function displayAgents(nodes, edges = []) {
+// Topic nodes share the vis.js data sets with agents, so their ids are
+// prefixed to keep a topic and an agent with the same name apart.
+const TOPIC_NODE_PREFIX = 'topic:';
+let graphNodeSet = null;
+let graphEdgeSet = null;
+let showTopicNodes = true;
+
+function topicNodeId(topic) {
+    return TOPIC_NODE_PREFIX + topic;
+}
+
+function displayAgents(nodes, edges = [], topics = [], topicEdges = []) {
     if (!nodes || nodes.length === 0) {
         const graphCanvas = document.getElementById('graphCanvas');
         graphCanvas.innerHTML = '<p class="placeholder" style="padding: 20px; text-align: center;">No agents to display</p>';
@@ -1675,7 +2129,7 @@ function displayAgents(nodes, edges = []) {
     updateSystemStateDisplay();
 
     // Store graph data
-    currentGraphData = { nodes, edges };
+    currentGraphData = { nodes, edges, topics, topicEdges };
 
     // Prepare vis.js data
     const visNodes = nodes.map(node => ({
@@ -1727,12 +2181,55 @@ function displayAgents(nodes, edges = []) {
         }
     }));
 
+    // Topic nodes and pub/sub edges — hidden rather than omitted when the
+    // legend toggle is off, so switching back doesn't re-run the layout.
+    topics.forEach(topic => {
+        const subscribers = topicEdges.filter(e => e.type === 'subscribes' && e.source === topic).map(e => e.target);
+        visNodes.push({
+            id: topicNodeId(topic),
+            label: topic,
+            title: `<b>Topic ${topic}</b><br/>Subscribers: ${subscribers.join(', ') || 'none'}`,
+            color: {
+                background: '#0e7490',
+                border: '#22d3ee',
+                highlight: {
+                    background: '#0891b2',
+                    border: '#67e8f9'
+                }
+            },
+            font: { color: '#ffffff', size: 12 },
+            shape: 'diamond',
+            size: 14,
+            hidden: !showTopicNodes,
+            isTopic: true
+        });
+    });
+
+    topicEdges.forEach(edge => {
+        const isSubscribe = edge.type === 'subscribes';
+        visEdges.push({
+            from: isSubscribe ? topicNodeId(edge.source) : edge.source,
+            to: isSubscribe ? edge.target : topicNodeId(edge.target),
+            arrows: { to: { enabled: true, scaleFactor: 0.7, type: 'arrow' } },
+            color: { color: '#22d3ee', highlight: '#67e8f9', hover: '#67e8f9', opacity: 0.8 },
+            dashes: isSubscribe,
+            width: 1.5,
+            label: edge.type,
+            font: { color: '#888', size: 10, align: 'middle', background: 'rgba(0, 0, 0, 0.6)', strokeWidth: 0 },
+            hidden: !showTopicNodes,
+            isTopic: true
+        });
+    });
+
     // Debug: Log vis.js formatted edges
     console.log('vis.js edges:', visEdges);
 
-    // Create network
+    // Create network.  DataSets (rather than plain arrays) let the topic
+    // toggle update visibility in place.
     const container = document.getElementById('graphCanvas');
-    const data = { nodes: visNodes, edges: visEdges };
+    graphNodeSet = new vis.DataSet(visNodes);
+    graphEdgeSet = new vis.DataSet(visEdges);
+    const data = { nodes: graphNodeSet, edges: graphEdgeSet };
 
     console.log('Creating vis.js network with data:', data);
     const options = {
@@ -1791,17 +2288,235 @@ function displayAgents(nodes, edges = []) {
     graphNetwork.on('click', (params) => {
         if (params.nodes.length > 0) {
             const nodeId = params.nodes[0];
-            showAgentActions(nodeId);
+            if (nodeId.startsWith(TOPIC_NODE_PREFIX)) {
+                showTopicDetails(nodeId.substring(TOPIC_NODE_PREFIX.length));
+            } else {
+                showAgentActions(nodeId);
+            }
         }
     });
 
     // Add double-click for negotiation
     graphNetwork.on('doubleClick', (params) => {
-        if (params.nodes.length > 0) {
+        if (params.nodes.length > 0 && !params.nodes[0].startsWith(TOPIC_NODE_PREFIX)) {
             const nodeId = params.nodes[0];
             negotiateAgent(nodeId);
         }
     });
+
+    // Message flow animations are painted on top of the network each frame
+    graphNetwork.on('afterDrawing', drawFlowOverlay);
+}
+
+// Show or hide topic nodes and pub/sub edges (legend checkbox)
+function toggleTopicNodes(show) {
+    showTopicNodes = show;
+    if (!graphNodeSet || !graphEdgeSet) return;
+
+    graphNodeSet.update(graphNodeSet.get({ filter: n => n.isTopic }).map(n => ({ id: n.id, hidden: !show })));
+    graphEdgeSet.update(graphEdgeSet.get({ filter: e => e.isTopic }).map(e => ({ id: e.id, hidden: !show })));
+}
+
+// Show publishers and subscribers for a clicked topic node
+function getTopicSubscribers(topic) {
+    return currentGraphData.topicEdges.filter(e => e.type === 'subscribes' && e.source === topic).map(e => e.target);
+}
+
+function showTopicDetails(topic) {
+    const subscribers = getTopicSubscribers(topic);
+    const publishers = currentGraphData.topicEdges.filter(e => e.type === 'publishes' && e.target === topic).map(e => e.source);
+
+    addMessage(`**Topic ${topic}**\n\nPublishers: ${publishers.join(', ') || 'none declared'}\nSubscribers: ${subscribers.join(', ') || 'none'}`, 'system');
+}
+
+// Message flow overlay
+//
+// Published events and method calls from the runtime are animated on the
+// graph: the source node pulses, a dot travels along the edges to each
+// subscriber, and the subscriber flashes on arrival.  Nothing is added to the
+// vis.js data set — everything is painted in the network's afterDrawing hook,
+// which shares the coordinate space returned by getPositions() and by the
+// edges' own getPoint().
+const FLOW_HISTORY_MS = 10 * 60 * 1000;  // how far back the replay slider reaches
+const FLOW_ANIMATION_MS = 1200;
+const FLOW_REPLAY_SPEEDUP = 10;           // replay 10 minutes of traffic in one
+let flowHistory = [];
+let activeFlowAnimations = [];
+let flowAnimationFrame = null;
+let flowReplayTimers = [];
+
+function recordFlowEvent(event) {
+    flowHistory.push(event);
+
+    const cutoff = Date.now() - FLOW_HISTORY_MS;
+    flowHistory = flowHistory.filter(e => e.time >= cutoff);
+
+    const counter = document.getElementById('flowEventCount');
+    if (counter) {
+        counter.textContent = `${flowHistory.length} events recorded`;
+    }
+
+    animateFlowEvent(event);
+}
+
+function animateFlowEvent(event) {
+    if (!graphNetwork) return;
+
+    const knownNodes = new Set(currentGraphData.nodes.map(n => n.name));
+    const now = performance.now();
+
+    if (event.type === 'method_call') {
+        if (knownNodes.has(event.agent)) {
+            activeFlowAnimations.push({ kind: 'pulse', node: event.agent, color: '#f472b6', start: now, duration: FLOW_ANIMATION_MS });
+        }
+    } else if (event.type === 'publish') {
+        const hasSource = knownNodes.has(event.source);
+        if (hasSource) {
+            activeFlowAnimations.push({ kind: 'pulse', node: event.source, color: '#10b981', start: now, duration: FLOW_ANIMATION_MS });
+        }
+
+        // With topic nodes visible the dot goes source → topic → subscriber;
+        // otherwise it travels straight from source to subscriber.
+        const viaTopic = showTopicNodes && currentGraphData.topics.includes(event.topic)
+            ? topicNodeId(event.topic)
+            : null;
+        const legMs = FLOW_ANIMATION_MS * 0.35;
+
+        let arrival = now;
+        if (viaTopic && hasSource) {
+            activeFlowAnimations.push({ kind: 'travel', from: event.source, to: viaTopic, color: '#10b981', start: now, duration: legMs });
+            arrival += legMs;
+        }
+        if (viaTopic) {
+            activeFlowAnimations.push({ kind: 'flash', node: viaTopic, color: '#22d3ee', start: arrival, duration: legMs });
+        }
+
+        (event.subscribers || []).filter(sub => knownNodes.has(sub)).forEach(sub => {
+            const origin = viaTopic || (hasSource ? event.source : null);
+            let subArrival = arrival;
+            if (origin && sub !== origin) {
+                const duration = viaTopic || !hasSource ? legMs : legMs * 2;
+                activeFlowAnimations.push({ kind: 'travel', from: origin, to: sub, color: '#10b981', start: arrival, duration });
+                subArrival += duration;
+            }
+            activeFlowAnimations.push({ kind: 'flash', node: sub, color: '#10b981', start: subArrival, duration: FLOW_ANIMATION_MS / 2 });
+        });
+    }
+
+    if (!flowAnimationFrame) {
+        flowAnimationFrame = requestAnimationFrame(tickFlowAnimations);
+    }
+}
+
+function tickFlowAnimations() {
+    const now = performance.now();
+    activeFlowAnimations = activeFlowAnimations.filter(a => now < a.start + a.duration);
+
+    if (graphNetwork) {
+        graphNetwork.redraw();
+    }
+
+    flowAnimationFrame = activeFlowAnimations.length > 0
+        ? requestAnimationFrame(tickFlowAnimations)
+        : null;
+}
+
+function drawFlowOverlay(ctx) {
+    if (activeFlowAnimations.length === 0) return;
+
+    const now = performance.now();
+    const positions = graphNetwork.getPositions();
+
+    activeFlowAnimations.forEach(anim => {
+        const progress = (now - anim.start) / anim.duration;
+        if (progress < 0 || progress > 1) return;
+
+        ctx.save();
+        if (anim.kind === 'pulse' && positions[anim.node]) {
+            const { x, y } = positions[anim.node];
+            ctx.strokeStyle = anim.color;
+            ctx.globalAlpha = 1 - progress;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(x, y, 25 + 35 * progress, 0, 2 * Math.PI);
+            ctx.stroke();
+        } else if (anim.kind === 'travel' && positions[anim.from] && positions[anim.to]) {
+            const { x, y } = flowPointBetween(anim.from, anim.to, progress, positions);
+            ctx.fillStyle = anim.color;
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, 2 * Math.PI);
+            ctx.fill();
+        } else if (anim.kind === 'flash' && positions[anim.node]) {
+            const { x, y } = positions[anim.node];
+            ctx.fillStyle = anim.color;
+            ctx.globalAlpha = 0.5 * (1 - progress);
+            ctx.beginPath();
+            ctx.arc(x, y, 40, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+        ctx.restore();
+    });
+}
+
+// The point a fraction t of the way from one node to another along the edge
+// vis.js drew between them, curves included.  Where no visible edge joins
+// them (publisher straight to subscriber with topic nodes hidden) the dot
+// takes a straight line.
+function flowPointBetween(from, to, t, positions) {
+    const a = positions[from];
+    const b = positions[to];
+    return flowPointOnEdge(from, to, t) || { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+// The curve lookup goes through vis-network internals (body.edges,
+// edgeType.getPoint) that aren't part of its documented API, and index.html
+// loads whatever version unpkg serves, so anything unexpected there returns
+// null and the caller falls back to the straight line.
+function flowPointOnEdge(from, to, t) {
+    try {
+        const edges = graphNetwork.body && graphNetwork.body.edges;
+        if (!edges) return null;
+
+        const edgeId = graphNetwork.getConnectedEdges(from).find(id => {
+            const edge = edges[id];
+            return edge && !(edge.options && edge.options.hidden)
+                && ((edge.fromId === from && edge.toId === to) || (edge.fromId === to && edge.toId === from));
+        });
+        const edge = edgeId && edges[edgeId];
+        if (!edge || !edge.edgeType || typeof edge.edgeType.getPoint !== 'function') return null;
+
+        const point = edge.edgeType.getPoint(edge.fromId === from ? t : 1 - t);
+        return point && Number.isFinite(point.x) && Number.isFinite(point.y) ? point : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function updateFlowReplayLabel() {
+    const minutes = document.getElementById('flowReplaySlider').value;
+    document.getElementById('flowReplayLabel').textContent = `${minutes} min`;
+}
+
+// Re-animate the recorded events from the last N minutes, preserving their
+// relative spacing but compressed by FLOW_REPLAY_SPEEDUP.
+function replayFlowHistory() {
+    flowReplayTimers.forEach(clearTimeout);
+    flowReplayTimers = [];
+
+    const minutes = parseInt(document.getElementById('flowReplaySlider').value) || 5;
+    const from = Date.now() - minutes * 60 * 1000;
+    const events = flowHistory.filter(e => e.time >= from);
+
+    if (events.length === 0) {
+        addMessage(`⏪ No message flow recorded in the last ${minutes} minute(s)`, 'system');
+        return;
+    }
+
+    const firstTime = events[0].time;
+    events.forEach(event => {
+        const delay = (event.time - firstTime) / FLOW_REPLAY_SPEEDUP;
+        flowReplayTimers.push(setTimeout(() => animateFlowEvent(event), delay));
+    });
 }
 
 // Show actions for selected agent
@@ -1821,14 +2536,10 @@ let currentStateFileContent = '';
 
 async function loadStateFile(filename) {
     try {
-        const graphbusDir = `${workingDirectory}/.graphbus`;
-        const filePath = `${graphbusDir}/${filename}`;
-
-        // Read file using command
-        const result = await window.graphbus.runCommand(`cat "${filePath}"`);
+        const result = await window.graphbus.readStateFile(filename);
 
-        if (result.success && result.result.stdout) {
-            const rawContent = result.result.stdout;
+        if (result.success && result.result) {
+            const rawContent = result.result;
 
             // Try to parse and format based on file type
             try {
@@ -2096,18 +2807,7 @@ async function submitNegotiation() {
     const command = `Negotiate ${currentNegotiationAgent} with the intent to "${intent}". Run: graphbus negotiate .graphbus --intent "${intent}" --rounds ${rounds}`;
 
     try {
-        const response = await window.graphbus.claudeChat(command, {
-            hasBuilt: workflowState.hasBuilt,
-            isRunning: workflowState.isRunning,
-            phase: workflowState.phase,
-            workingDirectory: workingDirectory
-        });
-
-        if (response.success) {
-            const { message, action, params } = response.result;
-            if (message) addMessage(message, 'assistant');
-            if (action) await executeClaudeAction(action, params);
-        }
+        await runClaudeTurn(command);
     } catch (error) {
         addMessage(`Error: ${error.message}`, 'assistant');
     }
@@ -2200,84 +2900,1696 @@ async function updateStatus() {
     }
 }
 
-// Alert system (deprecated - using chat messages now)
-function showAlert(message, type) {
-    // Toast notifications still work but chat is primary
-    console.log(`[${type}] ${message}`);
-}
+// Bus Monitor
+//
+// Every message published on the runtime's bus arrives here via
+// window.graphbus.onBusMessage.  Messages keep accumulating while paused —
+// pausing only freezes the list so a burst doesn't scroll the message you're
+// inspecting out of view.  The list is only redrawn while the view is shown,
+// at most once per animation frame however many messages arrive in it.
+const BUS_MONITOR_MAX_MESSAGES = 1000;
+let busMessages = [];
+let busMessageSeq = 0;
+let busMonitorPaused = false;
+let busMessagesWhilePaused = 0;
+let selectedBusMessageId = null;
+let busMonitorRenderFrame = null;
+
+function handleBusMessage(message) {
+    recordFlowEvent({
+        type: 'publish',
+        time: message.timestamp * 1000,
+        topic: message.topic,
+        source: message.source,
+        subscribers: message.subscribers || []
+    });
 
-// Initialize working directory
-async function initializeWorkingDirectory() {
-    try {
-        const result = await window.graphbus.getWorkingDirectory();
-        if (result.success) {
-            workingDirectory = result.result;
-            updateWorkingDirectoryDisplay();
+    busMessages.push({ ...message, id: ++busMessageSeq });
+    if (busMessages.length > BUS_MONITOR_MAX_MESSAGES) {
+        busMessages.splice(0, busMessages.length - BUS_MONITOR_MAX_MESSAGES);
+    }
 
-            // Set default artifacts directory relative to working directory
-            currentArtifactsDir = `${workingDirectory}/.graphbus`;
-        }
-    } catch (error) {
-        console.error('Failed to get working directory:', error);
-        workingDirectory = '/';
+    if (busMonitorPaused) {
+        busMessagesWhilePaused++;
+        updateBusMonitorStatus();
+        return;
     }
+    scheduleBusMonitorRender();
 }
 
-// Update working directory display
-function updateWorkingDirectoryDisplay() {
-    const pathElement = document.getElementById('workingDirPath');
-    if (!pathElement) return;
-
-    // Show shortened path (last 2 segments)
-    const segments = workingDirectory.split('/').filter(s => s);
-    const shortPath = segments.length > 2
-        ? '.../' + segments.slice(-2).join('/')
-        : workingDirectory;
+function scheduleBusMonitorRender() {
+    const view = document.getElementById('busView');
+    if (busMonitorRenderFrame || !view || !view.classList.contains('active')) return;
 
-    pathElement.textContent = shortPath;
-    pathElement.title = `Click to change\nFull path: ${workingDirectory}`;
+    busMonitorRenderFrame = requestAnimationFrame(() => {
+        busMonitorRenderFrame = null;
+        renderBusMonitor();
+    });
 }
 
-// Handle working directory click
-async function changeWorkingDirectory() {
-    try {
-        // Save current conversation before changing
-        await saveConversation();
+function getFilteredBusMessages() {
+    const topicFilter = document.getElementById('busTopicFilter').value.trim().toLowerCase();
+    const agentFilter = document.getElementById('busAgentFilter').value.trim().toLowerCase();
 
-        const result = await window.graphbus.browseDirectory();
+    return busMessages.filter(msg => {
+        if (topicFilter && !(msg.topic || '').toLowerCase().includes(topicFilter)) {
+            return false;
+        }
+        if (agentFilter) {
+            const agents = [msg.source, ...(msg.subscribers || [])].filter(Boolean);
+            return agents.some(agent => agent.toLowerCase().includes(agentFilter));
+        }
+        return true;
+    });
+}
 
-        if (result.success) {
-            workingDirectory = result.result;
-            currentArtifactsDir = `${workingDirectory}/.graphbus`;
-            updateWorkingDirectoryDisplay();
+function renderBusMonitor() {
+    const list = document.getElementById('busMessageList');
+    if (!list) return;
 
-            // Clear conversation UI
-            document.getElementById('messages').innerHTML = '';
-            workflowState.conversationHistory = [];
+    const visible = getFilteredBusMessages();
+    list.innerHTML = '';
 
-            // Check for existing state in new directory
-            const hasState = await checkAndLoadExistingState();
+    if (visible.length === 0) {
+        list.innerHTML = `<p class="placeholder">${busMessages.length === 0 ? 'No messages yet. Start the runtime and publish an event.' : 'No messages match the current filters.'}</p>`;
+    }
 
-            // Load conversation from new directory
-            if (hasState) {
-                await loadConversation();
-            }
+    // Newest first — the interesting message is almost always the latest one
+    [...visible].reverse().forEach(msg => {
+        const item = document.createElement('div');
+        item.className = 'bus-message-item' + (msg.id === selectedBusMessageId ? ' active' : '');
+
+        const topic = document.createElement('div');
+        topic.className = 'bus-message-topic';
+        topic.textContent = msg.topic;
+
+        const meta = document.createElement('div');
+        meta.className = 'bus-message-meta';
+        const time = new Date(msg.timestamp * 1000).toLocaleTimeString();
+        const subscribers = (msg.subscribers || []).join(', ') || 'no subscribers';
+        meta.textContent = `${time} · from ${msg.source || 'unknown'} → ${subscribers}`;
+
+        item.appendChild(topic);
+        item.appendChild(meta);
+        item.onclick = () => inspectBusMessage(msg.id);
+        list.appendChild(item);
+    });
 
-            // Update Claude with new directory
-            if (workflowState.claudeInitialized) {
-                await window.graphbus.claudeUpdateDirectory(workingDirectory);
-            }
+    updateBusMonitorStatus();
+}
+
+function inspectBusMessage(id) {
+    const msg = busMessages.find(m => m.id === id);
+    if (!msg) return;
+
+    selectedBusMessageId = id;
+    document.getElementById('busInspectorTitle').textContent = msg.topic;
+    document.getElementById('busPayloadViewer').textContent = JSON.stringify({
+        topic: msg.topic,
+        source: msg.source,
+        timestamp: new Date(msg.timestamp * 1000).toISOString(),
+        subscribers: msg.subscribers || [],
+        payload: msg.payload
+    }, null, 2);
+    renderBusMonitor();
+}
 
-            addMessage(`📁 Working directory changed to: ${workingDirectory}`, 'system');
+function updateBusMonitorStatus() {
+    const status = document.getElementById('busMonitorStatus');
+    if (!status) return;
 
-            // Reset workflow if directory changed
-            workflowState.phase = 'initial';
-            workflowState.hasBuilt = hasState;
-            workflowState.isRunning = false;
-            updateSystemStateDisplay();
-        }
-    } catch (error) {
-        console.error('Failed to change directory:', error);
+    if (busMonitorPaused) {
+        status.textContent = `Paused — ${busMessagesWhilePaused} new message(s)`;
+    } else {
+        status.textContent = `${busMessages.length} message(s)`;
+    }
+}
+
+function toggleBusMonitorPause() {
+    busMonitorPaused = !busMonitorPaused;
+    document.getElementById('busPauseBtn').textContent = busMonitorPaused ? '▶ Resume' : '⏸ Pause';
+
+    if (!busMonitorPaused) {
+        busMessagesWhilePaused = 0;
+        renderBusMonitor();
+    } else {
+        updateBusMonitorStatus();
+    }
+}
+
+function clearBusMonitor() {
+    busMessages = [];
+    busMessagesWhilePaused = 0;
+    selectedBusMessageId = null;
+    document.getElementById('busInspectorTitle').textContent = 'Select a message to inspect';
+    document.getElementById('busPayloadViewer').textContent = '';
+    renderBusMonitor();
+}
+
+// Runtime Console
+//
+// Method signatures (parameter names, type hints, defaults, docstrings) come
+// from the runtime worker via listAgents, so each method gets a generated
+// argument form instead of being called with {}.  Type hints are only used to
+// pick an input and validate it; anything that isn't a plain scalar is entered
+// as JSON.
+const METHOD_HISTORY_MAX = 50;
+let methodSignatures = {}; // agent name -> { method name -> signature }
+let methodHistory = [];
+let methodHistorySeq = 0;
+
+async function refreshMethodSignatures() {
+    const status = document.getElementById('consoleStatus');
+    try {
+        const result = await window.graphbus.listAgents();
+        if (!result.success) {
+            if (status) status.textContent = `✗ ${result.error}`;
+            return;
+        }
+
+        methodSignatures = {};
+        result.result.forEach(agent => {
+            methodSignatures[agent.name] = agent.signatures || {};
+        });
+
+        const agentNames = Object.keys(methodSignatures);
+        if (status) {
+            status.textContent = agentNames.length > 0
+                ? `${agentNames.length} agent(s) loaded`
+                : 'Start the runtime to load method signatures';
+        }
+
+        const agentSelect = document.getElementById('methodAgentSelect');
+        if (!agentSelect) return;
+        const previous = agentSelect.value;
+        agentSelect.innerHTML = '';
+        agentNames.forEach(name => agentSelect.add(new Option(name, name)));
+        if (agentNames.includes(previous)) {
+            agentSelect.value = previous;
+        }
+        populateMethodSelect();
+    } catch (error) {
+        if (status) status.textContent = `✗ ${error.message}`;
+    }
+}
+
+function populateMethodSelect() {
+    const agent = document.getElementById('methodAgentSelect').value;
+    const methodSelect = document.getElementById('methodNameSelect');
+    const previous = methodSelect.value;
+    const methods = Object.keys(methodSignatures[agent] || {});
+
+    methodSelect.innerHTML = '';
+    methods.forEach(name => methodSelect.add(new Option(name, name)));
+    if (methods.includes(previous)) {
+        methodSelect.value = previous;
+    }
+    renderMethodForm();
+}
+
+function getSelectedMethodSignature() {
+    const agent = document.getElementById('methodAgentSelect').value;
+    const method = document.getElementById('methodNameSelect').value;
+    const signature = (methodSignatures[agent] || {})[method];
+    return signature ? { agent, method, signature } : null;
+}
+
+// Looks up a signature, refreshing once from the runtime if it isn't cached
+async function lookupMethodSignature(agent, method) {
+    if (!(methodSignatures[agent] || {})[method] && workflowState.isRunning) {
+        await refreshMethodSignatures();
+    }
+    return (methodSignatures[agent] || {})[method] || null;
+}
+
+function formatMethodSignature(signature) {
+    const params = signature.params.map(param => {
+        let text = param.type ? `${param.name}: ${param.type}` : param.name;
+        if (!param.required) {
+            text += ` = ${JSON.stringify(param.default)}`;
+        }
+        return text;
+    });
+    if (signature.var_keyword) {
+        params.push('**kwargs');
+    }
+    const returns = signature.returns ? ` -> ${signature.returns}` : '';
+    return `${signature.name}(${params.join(', ')})${returns}`;
+}
+
+// Maps a Python type hint onto the input used to edit it
+function methodParamKind(type) {
+    if (!type) return 'any';
+    const inner = type.replace(/^Optional\[(.*)\]$/, '$1');
+    if (inner === 'bool') return 'bool';
+    if (inner === 'int') return 'int';
+    if (inner === 'float') return 'float';
+    if (inner === 'str') return 'str';
+    return 'json';
+}
+
+// Opens the console on a given method, optionally prefilled with arguments
+function selectMethod(agent, method, args = null) {
+    const agentSelect = document.getElementById('methodAgentSelect');
+    const methodSelect = document.getElementById('methodNameSelect');
+    if (!methodSignatures[agent]) return false;
+
+    agentSelect.value = agent;
+    populateMethodSelect();
+    methodSelect.value = method;
+    renderMethodForm(args);
+    switchView('console');
+    return true;
+}
+
+function renderMethodForm(values = null) {
+    const form = document.getElementById('methodArgsForm');
+    const jsonInput = document.getElementById('methodArgsJson');
+    const selected = getSelectedMethodSignature();
+
+    showMethodFormError(null);
+    form.innerHTML = '';
+    document.getElementById('methodSignature').textContent = selected ? formatMethodSignature(selected.signature) : '';
+    document.getElementById('methodDoc').textContent = selected ? (selected.signature.doc || '') : '';
+
+    if (!selected) {
+        form.innerHTML = '<p class="placeholder">No method selected.</p>';
+        jsonInput.value = '';
+        return;
+    }
+
+    const { params } = selected.signature;
+    if (params.length === 0) {
+        form.innerHTML = '<p class="placeholder">This method takes no arguments.</p>';
+    }
+
+    params.forEach(param => {
+        const kind = methodParamKind(param.type);
+        const hasValue = values && Object.prototype.hasOwnProperty.call(values, param.name);
+        const value = hasValue ? values[param.name] : param.default;
+
+        const field = document.createElement('div');
+        field.className = 'console-field';
+        field.dataset.param = param.name;
+
+        const label = document.createElement('label');
+        label.textContent = param.required ? `${param.name} *` : param.name;
+        const typeHint = document.createElement('span');
+        typeHint.className = 'console-type';
+        typeHint.textContent = param.type || 'any';
+        label.appendChild(typeHint);
+        field.appendChild(label);
+
+        let input;
+        if (kind === 'bool') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value === true;
+        } else if (kind === 'json') {
+            input = document.createElement('textarea');
+            input.className = 'settings-input';
+            input.rows = 3;
+            input.spellcheck = false;
+            input.placeholder = 'JSON value';
+            input.value = value === null || value === undefined ? '' : JSON.stringify(value, null, 2);
+        } else {
+            input = document.createElement('input');
+            input.type = kind === 'int' || kind === 'float' ? 'number' : 'text';
+            input.className = 'settings-input';
+            if (kind === 'float') input.step = 'any';
+            if (kind === 'any') input.placeholder = 'JSON or plain text';
+            if (value !== null && value !== undefined) {
+                input.value = typeof value === 'string' ? value : JSON.stringify(value);
+            }
+        }
+        input.id = `methodArg-${param.name}`;
+        field.appendChild(input);
+        form.appendChild(field);
+    });
+
+    jsonInput.value = JSON.stringify(values || {}, null, 2);
+}
+
+// Reads and validates the generated form.  Empty optional fields are left out
+// so the method's own default applies.
+function readMethodFormArgs(signature) {
+    const args = {};
+    const errors = [];
+
+    signature.params.forEach(param => {
+        const kind = methodParamKind(param.type);
+        const field = document.querySelector(`.console-field[data-param="${param.name}"]`);
+        const input = document.getElementById(`methodArg-${param.name}`);
+        if (!field || !input) return;
+        field.classList.remove('invalid');
+
+        const fail = (message) => {
+            field.classList.add('invalid');
+            errors.push(`${param.name}: ${message}`);
+        };
+
+        if (kind === 'bool') {
+            args[param.name] = input.checked;
+            return;
+        }
+
+        const raw = input.value.trim();
+        if (raw === '') {
+            if (param.required) fail('is required');
+            return;
+        }
+
+        if (kind === 'int') {
+            const number = Number(raw);
+            if (!Number.isInteger(number)) return fail('must be an integer');
+            args[param.name] = number;
+        } else if (kind === 'float') {
+            const number = Number(raw);
+            if (!Number.isFinite(number)) return fail('must be a number');
+            args[param.name] = number;
+        } else if (kind === 'str') {
+            args[param.name] = input.value;
+        } else if (kind === 'json') {
+            try {
+                args[param.name] = JSON.parse(raw);
+            } catch (error) {
+                fail(`invalid JSON (${error.message})`);
+            }
+        } else {
+            // Untyped parameter: take JSON when it parses, plain text otherwise
+            try {
+                args[param.name] = JSON.parse(raw);
+            } catch (error) {
+                args[param.name] = input.value;
+            }
+        }
+    });
+
+    return { args, errors };
+}
+
+function readMethodJsonArgs(signature) {
+    let args;
+    try {
+        args = JSON.parse(document.getElementById('methodArgsJson').value.trim() || '{}');
+    } catch (error) {
+        return { args: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+        return { args: null, errors: ['Arguments must be a JSON object keyed by parameter name'] };
+    }
+
+    const errors = [];
+    const known = signature.params.map(param => param.name);
+    signature.params
+        .filter(param => param.required && !(param.name in args))
+        .forEach(param => errors.push(`${param.name}: is required`));
+    if (!signature.var_keyword) {
+        Object.keys(args)
+            .filter(name => !known.includes(name))
+            .forEach(name => errors.push(`${name}: unknown parameter`));
+    }
+    return { args, errors };
+}
+
+function showMethodFormError(errors) {
+    const errorEl = document.getElementById('methodFormError');
+    if (!errors || errors.length === 0) {
+        errorEl.style.display = 'none';
+        errorEl.textContent = '';
+        return;
+    }
+    errorEl.style.display = 'block';
+    errorEl.textContent = errors.join('\n');
+}
+
+function toggleMethodJsonMode(enabled) {
+    const selected = getSelectedMethodSignature();
+    const jsonToggle = document.getElementById('methodJsonMode');
+    const form = document.getElementById('methodArgsForm');
+    const jsonInput = document.getElementById('methodArgsJson');
+
+    if (selected) {
+        // Carry the arguments across so switching modes never loses input
+        const { args, errors } = enabled
+            ? readMethodFormArgs(selected.signature)
+            : readMethodJsonArgs(selected.signature);
+        if (!enabled && args === null) {
+            showMethodFormError(errors);
+            jsonToggle.checked = true;
+            return;
+        }
+        if (enabled) {
+            jsonInput.value = JSON.stringify(args, null, 2);
+        } else {
+            renderMethodForm(args);
+        }
+    }
+
+    showMethodFormError(null);
+    form.style.display = enabled ? 'none' : 'block';
+    jsonInput.style.display = enabled ? 'block' : 'none';
+}
+
+async function invokeMethodFromForm() {
+    const selected = getSelectedMethodSignature();
+    if (!selected) {
+        showMethodFormError(['Select an agent and method first']);
+        return;
+    }
+
+    const jsonMode = document.getElementById('methodJsonMode').checked;
+    const { args, errors } = jsonMode
+        ? readMethodJsonArgs(selected.signature)
+        : readMethodFormArgs(selected.signature);
+    if (errors.length > 0) {
+        showMethodFormError(errors);
+        return;
+    }
+    showMethodFormError(null);
+
+    await invokeMethod(selected.agent, selected.method, args);
+}
+
+async function invokeMethod(agent, method, args) {
+    const resultEl = document.getElementById('methodResult');
+    resultEl.textContent = `Calling ${agent}.${method}...`;
+
+    try {
+        const result = await window.graphbus.callMethod(agent, method, args);
+        recordMethodInvocation(agent, method, args, result);
+
+        resultEl.textContent = result.success
+            ? JSON.stringify(result.result.value ?? null, null, 2)
+            : `✗ ${result.error}`;
+    } catch (error) {
+        resultEl.textContent = `✗ ${error.message}`;
+    }
+}
+
+function recordMethodInvocation(agent, method, args, result) {
+    methodHistory.unshift({
+        id: ++methodHistorySeq,
+        agent,
+        method,
+        args,
+        time: Date.now(),
+        success: result.success,
+        outcome: result.success ? result.result.value : result.error
+    });
+    if (methodHistory.length > METHOD_HISTORY_MAX) {
+        methodHistory.length = METHOD_HISTORY_MAX;
+    }
+    renderMethodHistory();
+}
+
+function renderMethodHistory() {
+    const list = document.getElementById('methodHistoryList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (methodHistory.length === 0) {
+        list.innerHTML = '<p class="placeholder">No invocations yet.</p>';
+        return;
+    }
+
+    methodHistory.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'bus-message-item';
+        item.title = 'Click to load into the form';
+
+        const title = document.createElement('div');
+        title.className = 'bus-message-topic';
+        title.textContent = `${entry.success ? '✓' : '✗'} ${entry.agent}.${entry.method}`;
+
+        const meta = document.createElement('div');
+        meta.className = 'bus-message-meta';
+        meta.textContent = `${new Date(entry.time).toLocaleTimeString()} · ${JSON.stringify(entry.args)}`;
+
+        const rerun = document.createElement('button');
+        rerun.className = 'settings-btn';
+        rerun.style.cssText = 'padding: 2px 10px; font-size: 12px; margin-top: 6px;';
+        rerun.textContent = '↻ Re-run';
+        rerun.onclick = (e) => {
+            e.stopPropagation();
+            rerunMethodInvocation(entry.id);
+        };
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.appendChild(rerun);
+        item.onclick = () => loadMethodInvocation(entry.id);
+        list.appendChild(item);
+    });
+}
+
+function loadMethodInvocation(id) {
+    const entry = methodHistory.find(e => e.id === id);
+    if (!entry) return;
+
+    document.getElementById('methodJsonMode').checked = false;
+    toggleMethodJsonMode(false);
+    if (!selectMethod(entry.agent, entry.method, entry.args)) {
+        showMethodFormError([`${entry.agent} is not loaded — start the runtime and refresh`]);
+        return;
+    }
+    document.getElementById('methodResult').textContent = entry.success
+        ? JSON.stringify(entry.outcome ?? null, null, 2)
+        : `✗ ${entry.outcome}`;
+}
+
+async function rerunMethodInvocation(id) {
+    const entry = methodHistory.find(e => e.id === id);
+    if (!entry) return;
+    await invokeMethod(entry.agent, entry.method, entry.args);
+}
+
+// Event Composer
+//
+// Publishes events without going through Claude.  Topic suggestions come from
+// the loaded graph (topics.json) plus anything already seen on the bus, and
+// the receiver list is read from the declared subscriptions — the Bus Monitor
+// shows who actually received it.  Templates live in
+// .graphbus/payload_templates.json of the current project.
+let payloadTemplates = {}; // template name -> { topic, payload }
+
+async function refreshComposer() {
+    const topics = new Set(currentGraphData.topics);
+    busMessages.forEach(msg => topics.add(msg.topic));
+
+    const datalist = document.getElementById('composerTopicList');
+    datalist.innerHTML = '';
+    [...topics].sort().forEach(topic => datalist.appendChild(new Option(topic)));
+
+    try {
+        const result = await window.graphbus.templatesLoad();
+        payloadTemplates = result.success ? result.result : {};
+    } catch (error) {
+        payloadTemplates = {};
+    }
+    renderPayloadTemplates();
+    updateComposerReceivers();
+    validateComposerPayload();
+}
+
+function updateComposerReceivers() {
+    const topic = document.getElementById('composerTopic').value.trim();
+    const receivers = document.getElementById('composerReceivers');
+
+    if (!topic) {
+        receivers.textContent = 'Enter a topic to see which agents receive it';
+        return;
+    }
+    if (!currentGraphData.topics.includes(topic)) {
+        receivers.textContent = `⚠️ ${topic} is not declared in topics.json — no known subscribers`;
+        return;
+    }
+
+    const subscribers = getTopicSubscribers(topic);
+    receivers.textContent = subscribers.length > 0
+        ? `Receivers: ${subscribers.join(', ')}`
+        : 'No agents subscribe to this topic';
+}
+
+// Returns the parsed payload, or null (with the error shown) if it isn't a JSON object
+function validateComposerPayload() {
+    const status = document.getElementById('composerPayloadStatus');
+    const raw = document.getElementById('composerPayload').value.trim();
+
+    let payload;
+    try {
+        payload = JSON.parse(raw || '{}');
+    } catch (error) {
+        status.textContent = `✗ ${error.message}`;
+        status.style.color = '#f87171';
+        return null;
+    }
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        status.textContent = '✗ Payload must be a JSON object';
+        status.style.color = '#f87171';
+        return null;
+    }
+
+    status.textContent = '✓ Valid JSON';
+    status.style.color = '#4ade80';
+    return payload;
+}
+
+function formatComposerPayload() {
+    const payload = validateComposerPayload();
+    if (payload !== null) {
+        document.getElementById('composerPayload').value = JSON.stringify(payload, null, 2);
+    }
+}
+
+async function publishFromComposer() {
+    const status = document.getElementById('composerStatus');
+    const topic = document.getElementById('composerTopic').value.trim();
+    const payload = validateComposerPayload();
+
+    if (!topic) {
+        status.textContent = '✗ Enter a topic first';
+        return;
+    }
+    if (payload === null) {
+        status.textContent = '✗ Fix the payload before publishing';
+        return;
+    }
+
+    try {
+        const result = await window.graphbus.publishEvent(topic, payload);
+        status.textContent = result.success
+            ? `✓ Published to ${topic} at ${new Date().toLocaleTimeString()}`
+            : `✗ ${result.error}`;
+    } catch (error) {
+        status.textContent = `✗ ${error.message}`;
+    }
+}
+
+async function savePayloadTemplates() {
+    const result = await window.graphbus.templatesSave(payloadTemplates);
+    if (!result.success) {
+        document.getElementById('composerStatus').textContent = `✗ Could not save templates: ${result.error}`;
+    }
+    renderPayloadTemplates();
+}
+
+async function savePayloadTemplate() {
+    const nameInput = document.getElementById('composerTemplateName');
+    const name = nameInput.value.trim();
+    const topic = document.getElementById('composerTopic').value.trim();
+    const payload = validateComposerPayload();
+
+    if (!name) {
+        document.getElementById('composerStatus').textContent = '✗ Give the template a name';
+        return;
+    }
+    if (payload === null) {
+        document.getElementById('composerStatus').textContent = '✗ Fix the payload before saving';
+        return;
+    }
+
+    payloadTemplates[name] = { topic, payload };
+    nameInput.value = '';
+    await savePayloadTemplates();
+}
+
+function loadPayloadTemplate(name) {
+    const template = payloadTemplates[name];
+    if (!template) return;
+
+    document.getElementById('composerTopic').value = template.topic || '';
+    document.getElementById('composerPayload').value = JSON.stringify(template.payload, null, 2);
+    document.getElementById('composerTemplateName').value = name;
+    updateComposerReceivers();
+    validateComposerPayload();
+}
+
+async function deletePayloadTemplate(name) {
+    if (!confirm(`Delete template "${name}"?`)) return;
+    delete payloadTemplates[name];
+    await savePayloadTemplates();
+}
+
+function renderPayloadTemplates() {
+    const list = document.getElementById('payloadTemplateList');
+    if (!list) return;
+
+    const names = Object.keys(payloadTemplates).sort();
+    list.innerHTML = '';
+    if (names.length === 0) {
+        list.innerHTML = '<p class="placeholder">No saved templates for this project.</p>';
+        return;
+    }
+
+    names.forEach(name => {
+        const item = document.createElement('div');
+        item.className = 'bus-message-item';
+        item.title = 'Click to load into the composer';
+
+        const title = document.createElement('div');
+        title.className = 'bus-message-topic';
+        title.textContent = name;
+
+        const meta = document.createElement('div');
+        meta.className = 'bus-message-meta';
+        meta.textContent = payloadTemplates[name].topic || 'no topic';
+
+        const remove = document.createElement('button');
+        remove.className = 'settings-btn danger';
+        remove.style.cssText = 'padding: 2px 10px; font-size: 12px; margin-top: 6px;';
+        remove.textContent = '🗑️ Delete';
+        remove.onclick = (e) => {
+            e.stopPropagation();
+            deletePayloadTemplate(name);
+        };
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.appendChild(remove);
+        item.onclick = () => loadPayloadTemplate(name);
+        list.appendChild(item);
+    });
+}
+
+// Jobs
+//
+// Mirrors the main process's registry of child processes.  The full list is
+// pushed on every change (window.graphbus.onJobsChanged), so rendering is a
+// straight redraw.  A one-second tick keeps running durations current by
+// rewriting just their text — redrawing the list every second would replace
+// the Cancel/Kill buttons under the pointer and swallow clicks.
+let jobs = [];
+let jobsTickTimer = null;
+
+function handleJobsChanged(updated) {
+    jobs = updated;
+    renderJobs();
+
+    const running = jobs.some(job => job.status === 'running');
+    if (running && !jobsTickTimer) {
+        jobsTickTimer = setInterval(updateJobDurations, 1000);
+    } else if (!running && jobsTickTimer) {
+        clearInterval(jobsTickTimer);
+        jobsTickTimer = null;
+    }
+}
+
+function formatJobDuration(job) {
+    const seconds = Math.round(((job.endedAt || Date.now()) - job.startedAt) / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function updateJobDurations() {
+    document.querySelectorAll('#jobsList .job-duration').forEach(span => {
+        const job = jobs.find(j => j.id === Number(span.dataset.jobId));
+        if (job) span.textContent = formatJobDuration(job);
+    });
+}
+
+function renderJobs() {
+    const running = jobs.filter(job => job.status === 'running').length;
+    const badge = document.getElementById('jobsRunningBadge');
+    if (badge) {
+        badge.textContent = running;
+        badge.style.display = running > 0 ? 'inline-block' : 'none';
+    }
+
+    const status = document.getElementById('jobsStatus');
+    if (status) {
+        status.textContent = jobs.length === 0 ? 'No jobs yet' : `${running} running · ${jobs.length} total`;
+    }
+
+    const list = document.getElementById('jobsList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (jobs.length === 0) {
+        list.innerHTML = '<p class="placeholder">No jobs yet.</p>';
+        return;
+    }
+
+    jobs.forEach(job => {
+        const item = document.createElement('div');
+        item.className = 'job-item';
+
+        const jobStatus = document.createElement('span');
+        jobStatus.className = `job-status ${job.status}`;
+        jobStatus.textContent = job.status;
+
+        const command = document.createElement('div');
+        command.className = 'job-command';
+        command.textContent = job.command;
+        command.title = job.command;
+
+        const meta = document.createElement('div');
+        meta.className = 'job-meta';
+        const exit = job.exitCode !== null && job.exitCode !== undefined ? ` · exit ${job.exitCode}` : '';
+        const duration = document.createElement('span');
+        duration.className = 'job-duration';
+        duration.dataset.jobId = job.id;
+        duration.textContent = formatJobDuration(job);
+        meta.append(`#${job.id} · ${job.kind} · pid ${job.pid} · started ${new Date(job.startedAt).toLocaleTimeString()} · `, duration, exit);
+        command.appendChild(meta);
+
+        item.appendChild(jobStatus);
+        item.appendChild(command);
+
+        if (job.status === 'running') {
+            const cancel = document.createElement('button');
+            cancel.className = 'settings-btn';
+            cancel.textContent = '⏹ Cancel';
+            cancel.title = 'Ask the process to stop (SIGTERM)';
+            cancel.onclick = () => stopJob(job.id, false);
+
+            const kill = document.createElement('button');
+            kill.className = 'settings-btn danger';
+            kill.textContent = '☠️ Kill';
+            kill.title = 'Stop the process immediately (SIGKILL)';
+            kill.onclick = () => stopJob(job.id, true);
+
+            item.appendChild(cancel);
+            item.appendChild(kill);
+        }
+
+        list.appendChild(item);
+    });
+}
+
+async function stopJob(id, force) {
+    const result = force
+        ? await window.graphbus.jobsKill(id)
+        : await window.graphbus.jobsCancel(id);
+    if (!result.success) {
+        addMessage(`✗ ${result.error}`, 'system');
+    }
+}
+
+async function clearFinishedJobs() {
+    await window.graphbus.jobsClearFinished();
+}
+
+async function refreshJobs() {
+    const result = await window.graphbus.jobsList();
+    if (result.success) {
+        handleJobsChanged(result.result);
+    }
+}
+
+// Terminal
+//
+// Each tab is an xterm.js instance wired to a pseudo-terminal in the main
+// process: keystrokes go out with terminalWrite, output comes back through
+// onTerminalData.  Unlike runShellCommand's chat bubbles this is a real
+// terminal, so interactive modes (graphbus tui, graphbus run --debug) work.
+// Tabs of exited shells stay open, read-only, until closed.
+const terminals = new Map(); // id -> { term, fitAddon, element, exited }
+let activeTerminalId = null;
+let terminalOpening = false; // stops switchView from opening a second one meanwhile
+
+const TERMINAL_THEME = {
+    background: '#1a1a1a',
+    foreground: '#e0e0e0',
+    cursor: '#667eea',
+    selectionBackground: 'rgba(102, 126, 234, 0.35)'
+};
+
+function isTerminalViewActive() {
+    return document.getElementById('terminalView').classList.contains('active');
+}
+
+async function openTerminal() {
+    terminalOpening = true;
+    try {
+        // Shells started before the window last reloaded (e.g. on a project
+        // switch) are still running in the main process; re-attach to them
+        // instead of opening another
+        if (terminals.size === 0) {
+            const existing = await window.graphbus.terminalList();
+            if (existing.success && existing.result.length > 0) {
+                let id = null;
+                for (const existingId of existing.result) {
+                    id = await createTerminal(existingId);
+                }
+                return id;
+            }
+        }
+        return await createTerminal();
+    } finally {
+        terminalOpening = false;
+    }
+}
+
+// existingId attaches the view to a shell that is already running
+async function createTerminal(existingId = null) {
+    // xterm measures its container, so the view has to be visible first
+    if (!isTerminalViewActive()) {
+        switchView('terminal');
+    }
+
+    const container = document.getElementById('terminalContainer');
+    const element = document.createElement('div');
+    element.className = 'terminal-instance';
+    container.appendChild(element);
+
+    const term = new Terminal({
+        cursorBlink: true,
+        fontFamily: "'Monaco', 'Menlo', 'Courier New', monospace",
+        fontSize: 13,
+        theme: TERMINAL_THEME
+    });
+    const fitAddon = new FitAddon.FitAddon();
+    term.loadAddon(fitAddon);
+    term.open(element);
+    element.classList.add('active');
+    fitAddon.fit();
+
+    let id = existingId;
+    if (id === null) {
+        const result = await window.graphbus.terminalCreate(term.cols, term.rows);
+        if (!result.success) {
+            term.dispose();
+            element.remove();
+            addMessage(`✗ Could not open a terminal: ${result.error}`, 'system');
+            renderTerminalTabs();
+            return null;
+        }
+        id = result.result.id;
+    } else {
+        // Match the running shell to the new view's size
+        window.graphbus.terminalResize(id, term.cols, term.rows);
+    }
+
+    term.onData(data => window.graphbus.terminalWrite(id, data));
+    term.onResize(({ cols, rows }) => window.graphbus.terminalResize(id, cols, rows));
+
+    terminals.set(id, { term, fitAddon, element, exited: false });
+    selectTerminal(id);
+    return id;
+}
+
+function selectTerminal(id) {
+    const entry = terminals.get(id);
+    if (!entry) return;
+
+    activeTerminalId = id;
+    terminals.forEach((other, otherId) => {
+        other.element.classList.toggle('active', otherId === id);
+    });
+    renderTerminalTabs();
+    fitActiveTerminal();
+    entry.term.focus();
+}
+
+async function closeTerminal(id) {
+    const entry = terminals.get(id);
+    if (!entry) return;
+
+    if (!entry.exited) {
+        await window.graphbus.terminalClose(id);
+    }
+    entry.term.dispose();
+    entry.element.remove();
+    terminals.delete(id);
+
+    if (activeTerminalId === id) {
+        activeTerminalId = null;
+        const remaining = [...terminals.keys()];
+        if (remaining.length > 0) {
+            selectTerminal(remaining[remaining.length - 1]);
+            return;
+        }
+    }
+    renderTerminalTabs();
+}
+
+function renderTerminalTabs() {
+    const tabList = document.getElementById('terminalTabList');
+    const placeholder = document.getElementById('terminalPlaceholder');
+    if (!tabList) return;
+
+    tabList.innerHTML = '';
+    placeholder.style.display = terminals.size === 0 ? 'block' : 'none';
+
+    terminals.forEach((entry, id) => {
+        const tab = document.createElement('div');
+        tab.className = `terminal-tab${id === activeTerminalId ? ' active' : ''}${entry.exited ? ' exited' : ''}`;
+        tab.textContent = `Terminal ${id}${entry.exited ? ' (exited)' : ''}`;
+        tab.onclick = () => selectTerminal(id);
+
+        const close = document.createElement('button');
+        close.className = 'terminal-tab-close';
+        close.textContent = '×';
+        close.title = 'Close terminal';
+        close.onclick = (e) => {
+            e.stopPropagation();
+            closeTerminal(id);
+        };
+
+        tab.appendChild(close);
+        tabList.appendChild(tab);
+    });
+}
+
+function fitActiveTerminal() {
+    const entry = terminals.get(activeTerminalId);
+    if (entry && isTerminalViewActive()) {
+        entry.fitAddon.fit();
+    }
+}
+
+function handleTerminalData({ id, data }) {
+    const entry = terminals.get(id);
+    if (entry) {
+        entry.term.write(data);
+    }
+}
+
+function handleTerminalExit({ id, exitCode }) {
+    const entry = terminals.get(id);
+    if (!entry) return;
+
+    entry.exited = true;
+    entry.term.write(`\r\n\x1b[90m[process exited with code ${exitCode}]\x1b[0m\r\n`);
+    renderTerminalTabs();
+}
+
+function isTerminalFocused() {
+    return document.activeElement && document.activeElement.closest('#terminalContainer') !== null;
+}
+
+// Types a command into the active terminal, opening one if none is usable.
+// Returns { content, isError } for Claude's send_to_terminal tool.
+async function sendToTerminal(command) {
+    let id = activeTerminalId;
+    if (id === null || terminals.get(id).exited) {
+        id = await openTerminal();
+        if (id === null) {
+            return { content: 'Could not open a terminal (see the chat for the error)', isError: true };
+        }
+    } else {
+        switchView('terminal');
+        selectTerminal(id);
+    }
+
+    const result = await window.graphbus.terminalRunCommand(id, command);
+    if (!result.success) {
+        addMessage(`✗ ${result.error}`, 'system');
+        return { content: result.error, isError: true };
+    }
+    return {
+        content: `Typed "${command}" into Terminal ${id}. Its output is shown to the user in the Terminal tab and is not available to you.`,
+        isError: false
+    };
+}
+
+// Negotiation timeline
+//
+// Reviewing a negotiation from chat bubbles doesn't scale past a round or
+// two, so this view draws the structured history instead: the main process
+// merges negotiations.json with 'graphbus inspect-negotiation --format json'
+// into rounds of proposals, each with its evaluations, arbiter decision and
+// commit.  Filtering by agent keeps proposals the agent made or evaluated.
+let negotiationTimeline = null;
+
+async function refreshNegotiationTimeline() {
+    const summary = document.getElementById('negotiationSummary');
+    summary.textContent = 'Loading negotiation history...';
+
+    const result = await window.graphbus.negotiationLoadTimeline();
+    if (!result.success) {
+        negotiationTimeline = null;
+        summary.textContent = result.error;
+        document.getElementById('negotiationTimeline').innerHTML = '<p class="placeholder">No negotiation history yet.</p>';
+        return;
+    }
+
+    negotiationTimeline = result.result;
+    populateNegotiationFilters();
+    renderNegotiationTimeline();
+}
+
+function populateNegotiationFilters() {
+    const agentSelect = document.getElementById('negotiationAgentFilter');
+    const roundSelect = document.getElementById('negotiationRoundFilter');
+    const previousAgent = agentSelect.value;
+    const previousRound = roundSelect.value;
+
+    agentSelect.innerHTML = '<option value="">All agents</option>';
+    negotiationTimeline.agents.forEach(agent => {
+        const option = document.createElement('option');
+        option.value = agent;
+        option.textContent = agent;
+        agentSelect.appendChild(option);
+    });
+
+    roundSelect.innerHTML = '<option value="">All rounds</option>';
+    negotiationTimeline.rounds.forEach(({ round }) => {
+        const option = document.createElement('option');
+        option.value = round;
+        option.textContent = `Round ${round}`;
+        roundSelect.appendChild(option);
+    });
+
+    // Keep the user's filters across refreshes when they still apply
+    if (negotiationTimeline.agents.includes(previousAgent)) agentSelect.value = previousAgent;
+    if (negotiationTimeline.rounds.some(({ round }) => String(round) === previousRound)) roundSelect.value = previousRound;
+}
+
+function negotiationDecisionIcon(decision) {
+    if (/accept|approv/.test(decision)) return '✅';
+    if (/reject/.test(decision)) return '❌';
+    return '•';
+}
+
+function renderNegotiationTimeline() {
+    if (!negotiationTimeline) return;
+
+    const agent = document.getElementById('negotiationAgentFilter').value;
+    const round = document.getElementById('negotiationRoundFilter').value;
+    const { intent, summary, warnings } = negotiationTimeline;
+
+    const summaryParts = [
+        `${summary.rounds} round(s)`,
+        `${summary.proposals} proposal(s)`,
+        `${summary.accepted} accepted`,
+        `${summary.rejected} rejected`,
+        `${summary.commits} commit(s)`
+    ];
+    document.getElementById('negotiationSummary').textContent =
+        `${intent ? `🎯 ${intent} · ` : ''}${summaryParts.join(' · ')}${warnings.length ? ` · ⚠️ ${warnings.join('; ')}` : ''}`;
+
+    const container = document.getElementById('negotiationTimeline');
+    container.innerHTML = '';
+
+    const rounds = negotiationTimeline.rounds.filter(r => !round || String(r.round) === round);
+    rounds.forEach(({ round: roundNumber, proposals }) => {
+        const visible = proposals.filter(p =>
+            !agent || p.agent === agent || p.evaluations.some(e => e.agent === agent)
+        );
+        if (visible.length === 0) return;
+
+        const section = document.createElement('div');
+        section.className = 'timeline-round';
+
+        const header = document.createElement('div');
+        header.className = 'timeline-round-header';
+        header.textContent = `Round ${roundNumber} · ${visible.length} proposal(s)`;
+        section.appendChild(header);
+
+        visible.forEach(proposal => section.appendChild(renderNegotiationProposal(proposal, agent)));
+        container.appendChild(section);
+    });
+
+    if (container.children.length === 0) {
+        container.innerHTML = '<p class="placeholder">No proposals match these filters.</p>';
+    }
+}
+
+function renderNegotiationProposal(proposal, highlightAgent) {
+    const card = document.createElement('div');
+    card.className = `timeline-proposal status-${proposal.status.replace(/[^a-z-]/g, '')}`;
+
+    const header = document.createElement('div');
+    header.className = 'timeline-proposal-header';
+    header.onclick = () => card.classList.toggle('expanded');
+
+    const title = document.createElement('span');
+    title.className = 'timeline-proposal-title';
+    title.textContent = `🤖 ${proposal.agent}: ${proposal.title}`;
+
+    const status = document.createElement('span');
+    status.className = 'timeline-status';
+    status.textContent = proposal.status;
+
+    const votes = document.createElement('span');
+    votes.className = 'timeline-votes';
+    votes.textContent = proposal.evaluations.map(e => negotiationDecisionIcon(e.decision)).join('');
+
+    header.appendChild(title);
+    header.appendChild(votes);
+    header.appendChild(status);
+    card.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'timeline-proposal-body';
+
+    const addRow = (label, text, className = '') => {
+        const row = document.createElement('div');
+        row.className = `timeline-row ${className}`;
+        const strong = document.createElement('strong');
+        strong.textContent = `${label} `;
+        row.appendChild(strong);
+        row.appendChild(document.createTextNode(text));
+        body.appendChild(row);
+    };
+
+    if (proposal.id) addRow('Proposal:', proposal.id);
+    if (proposal.description) addRow('Description:', proposal.description);
+
+    proposal.evaluations.forEach(evaluation => {
+        addRow(
+            `${negotiationDecisionIcon(evaluation.decision)} ${evaluation.agent}:`,
+            `${evaluation.decision}${evaluation.reasoning ? ` — ${evaluation.reasoning}` : ''}`,
+            evaluation.agent === highlightAgent ? 'highlight' : ''
+        );
+    });
+    if (proposal.evaluations.length === 0) addRow('Evaluations:', 'none recorded');
+
+    if (proposal.arbiter) {
+        const { agent, decision, reasoning } = proposal.arbiter;
+        addRow(`⚖️ Arbiter${agent ? ` (${agent})` : ''}:`, `${decision}${reasoning ? ` — ${reasoning}` : ''}`);
+    }
+
+    if (proposal.commit) {
+        addRow('📝 Commit:', `${proposal.commit.id}${proposal.commit.files.length ? ` — ${proposal.commit.files.join(', ')}` : ''}`);
+    }
+
+    card.appendChild(body);
+    return card;
+}
+
+// Change review
+//
+// Shows what a negotiation changed as per-file unified diffs, split into
+// hunks that can be accepted or rejected one by one, per file, or per
+// proposal.  Only accepted hunks are committed (review:commit builds a patch
+// of exactly those); rejected ones stay in the working tree unless "discard
+// rejected" is ticked.  When the review follows a negotiation, committing also
+// creates its branch, pushes and opens the PR.
+let reviewFiles = [];
+let reviewProposals = [];
+let reviewSelection = new Map(); // path -> Set of accepted hunk indexes
+let pendingNegotiationReview = null;
+
+// The pending review is mirrored into the main-process session, since
+// switching project tabs reloads this window (see restorePendingReview)
+async function setPendingNegotiationReview(review) {
+    pendingNegotiationReview = review;
+    const result = await window.graphbus.reviewSavePending(review);
+    if (!result.success) {
+        console.error('Could not keep the pending review:', result.error);
+    }
+}
+
+async function restorePendingReview() {
+    const result = await window.graphbus.reviewLoadPending();
+    if (!result.success || !result.result) return;
+
+    pendingNegotiationReview = result.result;
+    const { followUp, intent, branchName } = pendingNegotiationReview;
+    addMessage(followUp
+        ? `🔍 The follow-up negotiation for PR #${followUp.pr.prNumber} is still waiting for review (Review tab).`
+        : `🔍 The negotiation "${intent}" is still waiting for review (Review tab); committing creates ${branchName} and opens its PR.`, 'system');
+}
+
+function reviewHunkCount(file) {
+    return Math.max(file.hunks.length, 1);
+}
+
+async function refreshReview() {
+    const status = document.getElementById('reviewStatus');
+    status.textContent = 'Loading changes...';
+    updateReviewCommitButton();
+
+    const result = await window.graphbus.reviewLoad();
+    if (!result.success) {
+        reviewFiles = [];
+        reviewProposals = [];
+        status.textContent = result.error;
+        document.getElementById('reviewFiles').innerHTML = '<p class="placeholder">Nothing to review.</p>';
+        document.getElementById('reviewProposals').innerHTML = '';
+        return;
+    }
+
+    reviewFiles = result.result.files;
+    reviewProposals = result.result.proposals;
+
+    // Everything starts accepted; keep earlier choices for files still listed
+    const previous = reviewSelection;
+    reviewSelection = new Map();
+    reviewFiles.forEach(file => {
+        const all = [...Array(reviewHunkCount(file)).keys()];
+        const kept = previous.get(file.path);
+        reviewSelection.set(file.path, new Set(kept ? all.filter(i => kept.has(i)) : all));
+    });
+
+    status.textContent = reviewFiles.length === 0
+        ? 'No changes to review'
+        : `${reviewFiles.length} changed file(s) from ${result.result.source}`;
+    status.textContent += ` · on ${result.result.branch || 'detached HEAD'}`;
+    renderReview();
+}
+
+function setReviewHunks(path, indexes, accepted) {
+    const selected = reviewSelection.get(path);
+    indexes.forEach(i => accepted ? selected.add(i) : selected.delete(i));
+}
+
+function setReviewFile(path, accepted) {
+    const file = reviewFiles.find(f => f.path === path);
+    setReviewHunks(path, [...Array(reviewHunkCount(file)).keys()], accepted);
+    renderReview();
+}
+
+function setReviewProposal(id, accepted) {
+    reviewFiles.filter(f => f.proposals.includes(id)).forEach(file => {
+        setReviewHunks(file.path, [...Array(reviewHunkCount(file)).keys()], accepted);
+    });
+    renderReview();
+}
+
+function setReviewAll(accepted) {
+    reviewFiles.forEach(file => setReviewHunks(file.path, [...Array(reviewHunkCount(file)).keys()], accepted));
+    renderReview();
+}
+
+function toggleReviewHunk(path, index, accepted) {
+    setReviewHunks(path, [index], accepted);
+    renderReview();
+}
+
+function reviewFileState(file) {
+    const count = reviewSelection.get(file.path).size;
+    if (count === 0) return 'rejected';
+    return count === reviewHunkCount(file) ? 'accepted' : 'partial';
+}
+
+function renderReview() {
+    renderReviewProposals();
+
+    const container = document.getElementById('reviewFiles');
+    container.innerHTML = '';
+    if (reviewFiles.length === 0) {
+        container.innerHTML = '<p class="placeholder">Nothing to review.</p>';
+    }
+
+    reviewFiles.forEach(file => {
+        const selected = reviewSelection.get(file.path);
+        const state = reviewFileState(file);
+
+        const fileEl = document.createElement('div');
+        fileEl.className = `review-file ${state}`;
+
+        const header = document.createElement('div');
+        header.className = 'review-file-header';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = state !== 'rejected';
+        checkbox.indeterminate = state === 'partial';
+        checkbox.onchange = () => setReviewFile(file.path, checkbox.checked);
+
+        const name = document.createElement('span');
+        name.className = 'review-file-path';
+        name.textContent = `${file.path}${file.isNew ? ' (new)' : ''}${file.isDeleted ? ' (deleted)' : ''}`;
+
+        const counts = document.createElement('span');
+        counts.className = 'mini-label';
+        counts.textContent = `${selected.size}/${reviewHunkCount(file)} hunk(s) accepted${file.proposals.length ? ` · ${file.proposals.join(', ')}` : ''}`;
+
+        header.appendChild(checkbox);
+        header.appendChild(name);
+        header.appendChild(counts);
+        fileEl.appendChild(header);
+
+        if (file.hunks.length === 0) {
+            const note = document.createElement('div');
+            note.className = 'review-hunk-note';
+            note.textContent = file.isBinary ? 'Binary file — accepted or rejected as a whole' : 'No textual changes (mode change only)';
+            fileEl.appendChild(note);
+        }
+
+        file.hunks.forEach((hunk, index) => {
+            const hunkEl = document.createElement('div');
+            hunkEl.className = `review-hunk${selected.has(index) ? '' : ' rejected'}`;
+
+            const hunkHeader = document.createElement('label');
+            hunkHeader.className = 'review-hunk-header';
+            const hunkCheckbox = document.createElement('input');
+            hunkCheckbox.type = 'checkbox';
+            hunkCheckbox.checked = selected.has(index);
+            hunkCheckbox.onchange = () => toggleReviewHunk(file.path, index, hunkCheckbox.checked);
+            hunkHeader.appendChild(hunkCheckbox);
+            hunkHeader.appendChild(document.createTextNode(` ${hunk.header}`));
+            hunkEl.appendChild(hunkHeader);
+
+            const pre = document.createElement('pre');
+            pre.className = 'review-diff';
+            hunk.lines.forEach(line => {
+                const lineEl = document.createElement('div');
+                lineEl.className = line.startsWith('+') ? 'diff-add' : line.startsWith('-') ? 'diff-del' : 'diff-ctx';
+                lineEl.textContent = line;
+                pre.appendChild(lineEl);
+            });
+            hunkEl.appendChild(pre);
+            fileEl.appendChild(hunkEl);
+        });
+
+        container.appendChild(fileEl);
+    });
+
+    updateReviewCommitButton();
+}
+
+function renderReviewProposals() {
+    const container = document.getElementById('reviewProposals');
+    container.innerHTML = '';
+
+    reviewProposals.forEach(proposal => {
+        const files = reviewFiles.filter(f => f.proposals.includes(proposal.id));
+        const states = files.map(reviewFileState);
+
+        const row = document.createElement('label');
+        row.className = 'review-proposal';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = states.some(s => s !== 'rejected');
+        checkbox.indeterminate = states.some(s => s !== 'accepted') && states.some(s => s !== 'rejected');
+        checkbox.onchange = () => setReviewProposal(proposal.id, checkbox.checked);
+
+        row.appendChild(checkbox);
+        row.appendChild(document.createTextNode(` Round ${proposal.round} · ${proposal.agent}: ${proposal.title} (${files.length} file(s))`));
+        container.appendChild(row);
+    });
+}
+
+function updateReviewCommitButton() {
+    const button = document.getElementById('reviewCommitBtn');
+    const accepted = [...reviewSelection.values()].reduce((sum, set) => sum + set.size, 0);
+    button.disabled = accepted === 0 || reviewFiles.length === 0;
+    button.textContent = pendingNegotiationReview
+        ? `✓ Commit ${accepted} change(s), push & open PR`
+        : `✓ Commit ${accepted} change(s)`;
+}
+
+async function commitReviewedChanges() {
+    const selection = {};
+    reviewSelection.forEach((indexes, path) => { selection[path] = [...indexes]; });
+    const options = { discardRejected: document.getElementById('reviewDiscardRejected').checked };
+
+    const button = document.getElementById('reviewCommitBtn');
+    button.disabled = true;
+
+    try {
+        if (pendingNegotiationReview) {
+            const committed = await publishNegotiationReview(pendingNegotiationReview, selection, options);
+            if (committed) {
+                await setPendingNegotiationReview(null);
+            }
+        } else {
+            const message = document.getElementById('reviewCommitMessage').value.trim() || 'Apply reviewed GraphBus negotiation changes';
+            const result = await window.graphbus.reviewCommit(message, selection, options);
+            addMessage(result.success
+                ? `✓ Committed ${result.result.accepted} accepted change(s)${result.result.discarded ? `, discarded ${result.result.discarded}` : ''}`
+                : `✗ Commit failed: ${result.error}`, 'system');
+        }
+    } finally {
+        await refreshReview();
+    }
+}
+
+// Pull requests
+//
+// Lists the PRs opened from negotiations (pr_tracking.json) with their state
+// and feedback, and closes the loop the PR body promises: comments not yet
+// addressed are folded into an --intent for a follow-up 'graphbus negotiate'
+// on the PR's branch.  After review, the follow-up is pushed to the same
+// branch — and so the same PR — and its comments are marked as seen.
+let trackedPRs = [];
+const prDetails = new Map(); // negotiationId -> hosting:get-pr result, or { error }
+
+async function refreshPullRequests() {
+    const status = document.getElementById('prStatus');
+    status.textContent = 'Loading pull requests...';
+
+    const tracking = await window.graphbus.prLoadTracking();
+    trackedPRs = tracking.success ? tracking.result.prs.filter(pr => pr.prNumber) : [];
+    renderPullRequests();
+
+    await Promise.all(trackedPRs.map(async pr => {
+        const result = await window.graphbus.hostingGetPR(pr.prNumber);
+        prDetails.set(pr.negotiationId, result.success ? result.result : { error: result.error });
+    }));
+
+    status.textContent = trackedPRs.length === 0 ? 'No tracked pull requests' : `${trackedPRs.length} tracked pull request(s)`;
+    renderPullRequests();
+}
+
+function unseenPRComments(pr) {
+    const details = prDetails.get(pr.negotiationId);
+    if (!details || !details.comments) return [];
+    const seen = new Set(pr.seenCommentIds || []);
+    return details.comments.filter(comment => !seen.has(comment.id));
+}
+
+// One line per comment, with the file and line for inline review comments,
+// so the negotiating agents know where each piece of feedback applies.
+function synthesizeFeedbackIntent(pr, comments) {
+    const points = comments.map(comment => {
+        const where = comment.path ? ` (${comment.path}${comment.line ? `:${comment.line}` : ''})` : '';
+        return `${comment.body.replace(/\s+/g, ' ').trim()}${where}`;
+    });
+    return `Address PR review feedback on "${pr.intent}": ${points.join('; ')}`;
+}
+
+function renderPullRequests() {
+    const container = document.getElementById('prList');
+    container.innerHTML = '';
+
+    if (trackedPRs.length === 0) {
+        container.innerHTML = '<p class="placeholder">No pull requests have been opened from negotiations in this project.</p>';
+        return;
+    }
+
+    [...trackedPRs].reverse().forEach(pr => {
+        const details = prDetails.get(pr.negotiationId);
+        const unseen = unseenPRComments(pr);
+        const seen = new Set(pr.seenCommentIds || []);
+
+        const card = document.createElement('div');
+        card.className = 'pr-card';
+
+        const header = document.createElement('div');
+        header.className = 'pr-card-header';
+
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = `#${pr.prNumber} ${details && details.title ? details.title : pr.intent}`;
+        link.onclick = (e) => {
+            e.preventDefault();
+            window.graphbus.openExternal(pr.prUrl);
+        };
+
+        const state = document.createElement('span');
+        state.className = `pr-state ${details && details.state ? details.state.toLowerCase() : ''}`;
+        state.textContent = details ? (details.state || 'unknown') : 'loading';
+
+        header.appendChild(link);
+        header.appendChild(state);
+        card.appendChild(header);
+
+        const meta = document.createElement('div');
+        meta.className = 'mini-label';
+        meta.textContent = `🌿 ${pr.branchName} · ${(pr.followUps || []).length} follow-up(s) · ${unseen.length} unaddressed comment(s)`;
+        card.appendChild(meta);
+
+        if (details && details.error) {
+            const error = document.createElement('div');
+            error.className = 'error-message';
+            error.textContent = `Could not load PR: ${details.error}`;
+            card.appendChild(error);
+        }
+
+        (details && details.comments ? details.comments : []).forEach(comment => {
+            const commentEl = document.createElement('div');
+            commentEl.className = `pr-comment${seen.has(comment.id) ? ' seen' : ''}`;
+
+            const author = document.createElement('div');
+            author.className = 'pr-comment-author';
+            author.textContent = `${comment.author || 'unknown'} · ${comment.kind}${comment.path ? ` on ${comment.path}${comment.line ? `:${comment.line}` : ''}` : ''}${seen.has(comment.id) ? ' · addressed' : ''}`;
+
+            const body = document.createElement('div');
+            body.textContent = comment.body;
+
+            commentEl.appendChild(author);
+            commentEl.appendChild(body);
+            card.appendChild(commentEl);
+        });
+
+        if (unseen.length > 0 && details.state === 'OPEN') {
+            const intent = document.createElement('textarea');
+            intent.className = 'pr-intent';
+            intent.id = `prIntent-${pr.negotiationId}`;
+            intent.value = synthesizeFeedbackIntent(pr, unseen);
+
+            const run = document.createElement('button');
+            run.className = 'settings-btn primary';
+            run.textContent = `🔁 Negotiate ${unseen.length} comment(s) into PR #${pr.prNumber}`;
+            run.onclick = () => runPRFollowUp(pr.negotiationId);
+
+            card.appendChild(intent);
+            card.appendChild(run);
+        }
+
+        container.appendChild(card);
+    });
+}
+
+async function runPRFollowUp(negotiationId) {
+    const pr = trackedPRs.find(p => p.negotiationId === negotiationId);
+    const intent = document.getElementById(`prIntent-${negotiationId}`).value.replace(/\s+/g, ' ').trim();
+    if (!pr || !intent) return;
+
+    const commentIds = unseenPRComments(pr).map(comment => comment.id);
+
+    const workspace = await prepareNegotiationWorkspace();
+    if (!workspace.ready) return;
+
+    const checkout = await window.graphbus.gitCheckout(pr.branchName);
+    if (!checkout.success) {
+        addMessage(`✗ Could not switch to ${pr.branchName}: ${checkout.error}`, 'system');
+        return;
+    }
+
+    switchView('conversation');
+    addMessage(`🔁 Follow-up negotiation for PR #${pr.prNumber} on ${pr.branchName}`, 'system');
+
+    const quotedIntent = `"${intent.replace(/(["\\$`])/g, '\\$1')}"`;
+    const outcome = await runStreamingCommand(`graphbus negotiate .graphbus --intent ${quotedIntent}`, {
+        followUp: { pr, intent, commentIds }
+    });
+    await window.graphbus.claudeAddSystemMessage(`User ran a follow-up negotiation for PR #${pr.prNumber}: ${outcome.content}`);
+}
+
+// Alert system (deprecated - using chat messages now)
+function showAlert(message, type) {
+    // Toast notifications still work but chat is primary
+    console.log(`[${type}] ${message}`);
+}
+
+// Initialize working directory
+async function initializeWorkingDirectory() {
+    try {
+        const result = await window.graphbus.getWorkingDirectory();
+        if (result.success) {
+            workingDirectory = result.result;
+            updateWorkingDirectoryDisplay();
+
+            // Set default artifacts directory relative to working directory
+            currentArtifactsDir = `${workingDirectory}/.graphbus`;
+        }
+    } catch (error) {
+        console.error('Failed to get working directory:', error);
+        workingDirectory = '/';
+    }
+}
+
+// Update working directory display
+function updateWorkingDirectoryDisplay() {
+    const pathElement = document.getElementById('workingDirPath');
+    if (!pathElement) return;
+
+    // Show shortened path (last 2 segments)
+    const segments = workingDirectory.split('/').filter(s => s);
+    const shortPath = segments.length > 2
+        ? '.../' + segments.slice(-2).join('/')
+        : workingDirectory;
+
+    pathElement.textContent = shortPath;
+    pathElement.title = `Click to change\nFull path: ${workingDirectory}`;
+}
+
+// Handle working directory click: the chosen directory opens as a project
+// tab of its own, leaving the current project running in its tab
+async function changeWorkingDirectory() {
+    try {
+        const result = await window.graphbus.browseDirectory();
+        if (result.success) {
+            await openProject(result.result);
+        }
+    } catch (error) {
+        console.error('Failed to change directory:', error);
     }
 }
 
@@ -2287,7 +4599,15 @@ const views = [
     { name: 'graph', label: 'Agent Graph' },
     { name: 'conversation', label: 'Conversation' },
     { name: 'state', label: 'System State' },
-    { name: 'settings', label: 'Settings' }
+    { name: 'settings', label: 'Settings' },
+    { name: 'bus', label: 'Bus Monitor' },
+    { name: 'console', label: 'Runtime Console' },
+    { name: 'composer', label: 'Event Composer' },
+    { name: 'jobs', label: 'Jobs' },
+    { name: 'terminal', label: 'Terminal' },
+    { name: 'negotiation', label: 'Negotiations' },
+    { name: 'review', label: 'Review' },
+    { name: 'prs', label: 'Pull Requests' }
 ];
 
 // Cycle to next view
@@ -2326,16 +4646,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
 
-        // Ctrl+1,2,3,4 to jump to specific view
-        if ((e.ctrlKey || e.metaKey) && e.key >= '1' && e.key <= '4') {
+        // Ctrl+1..9 to jump to one of the first nine views
+        if ((e.ctrlKey || e.metaKey) && /^[1-9]$/.test(e.key) && parseInt(e.key) <= views.length) {
             e.preventDefault();
             focusedViewIndex = parseInt(e.key) - 1;
             const view = views[focusedViewIndex];
             switchView(view.name);
         }
 
-        // Escape to focus chat input
-        if (e.key === 'Escape') {
+        // Escape to focus chat input (except in a terminal, where it's a key)
+        if (e.key === 'Escape' && !isTerminalFocused()) {
             chatInput.focus();
         }
     });
@@ -2357,9 +4677,28 @@ document.addEventListener('DOMContentLoaded', async () => {
         workingDirElement.addEventListener('click', changeWorkingDirectory);
     }
 
+    // Live bus messages and method calls from the runtime worker
+    window.graphbus.onBusMessage(handleBusMessage);
+    window.graphbus.onClaudeStream(handleClaudeStream);
+    window.graphbus.onJobsChanged(handleJobsChanged);
+    window.graphbus.onTerminalData(handleTerminalData);
+    window.graphbus.onTerminalExit(handleTerminalExit);
+    window.addEventListener('resize', fitActiveTerminal);
+    window.graphbus.onMethodCall((call) => {
+        recordFlowEvent({ type: 'method_call', time: call.timestamp * 1000, agent: call.agent, method: call.method });
+    });
+
     // Initialize working directory first
     await initializeWorkingDirectory();
 
+    // Open project tabs and the welcome screen's recent projects.  A project
+    // coming back from a background tab may still have its runtime running.
+    const projects = await refreshProjects();
+    const activeProject = projects && projects.open.find(p => p.id === projects.activeId);
+    if (activeProject && activeProject.runtimeActive) {
+        workflowState.isRunning = true;
+    }
+
     // Initialize Claude first (needed for project creation)
     const claudeReady = await initializeClaude();
 
@@ -2369,6 +4708,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (hasExistingProject) {
         // Has existing project - rehydrate state
         await checkAndLoadExistingState();
+        await restorePendingReview();
 
         // Start polling on load
         startStatusPolling();
@@ -2381,7 +4721,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             workflowState.phase = 'initial';
             setTimeout(() => orchestrateWorkflow(), 500);
         }
-    } else {
+    } else if (!await resumeProjectCreation()) {
         // No existing project - welcome screen is already shown by checkForExistingProject()
         // User will choose to create new or open existing project
     }
@@ -2399,6 +4739,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         changeWorkingDirectory();
     });
 
+    window.menu.onCloseProject(() => {
+        closeProject(activeProjectId);
+    });
+
     window.menu.onSwitchView((view) => {
         switchView(view);
     });
@@ -2412,6 +4756,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    window.menu.onRollbackNegotiation(() => rollbackNegotiation());
+
     window.menu.onNegotiate(() => {
         if (workflowState.hasBuilt) {
             switchView('conversation');
@@ -2464,7 +4810,7 @@ async function checkAndLoadExistingState() {
             });
 
             // Display the graph with dependencies
-            displayAgents(state.graph.nodes, state.graph.edges || []);
+            displayAgents(state.graph.nodes, state.graph.edges || [], state.graph.topics || [], state.graph.topicEdges || []);
 
             addMessage(`🔄 Rehydrated GraphBus project with ${state.graph.nodes.length} agent(s)`, 'system');
             if (state.graph.edges && state.graph.edges.length > 0) {
@@ -2488,7 +4834,7 @@ async function checkAndLoadExistingState() {
                 addMessage(msg.text, msg.type);
             });
 
-            addMessage('✓ Conversation history restored', 'system');
+            addMessage(await coachMemoryNote(), 'system');
         }
 
         // 3. Restore build summary
@@ -2577,9 +4923,9 @@ async function browseNewProjectDirectory() {
             const selectedPath = result.result;
 
             // Check if .graphbus already exists
-            const checkResult = await window.graphbus.runCommand(`test -d "${selectedPath}/.graphbus" && echo "exists" || echo "missing"`);
+            const checkResult = await window.graphbus.hasGraphbus(selectedPath);
 
-            if (checkResult.success && checkResult.result.stdout.includes('exists')) {
+            if (checkResult.success && checkResult.result) {
                 // .graphbus exists - cannot create new project here
                 document.getElementById('projectPathError').textContent = '❌ This directory already contains a GraphBus project. Please choose a different directory.';
                 document.getElementById('projectPathError').style.display = 'block';
@@ -2620,18 +4966,30 @@ async function createNewProject() {
         return;
     }
 
-    // Close form
+    // The new project gets its own tab.  Opening it reloads the window, so
+    // the rest happens in resumeProjectCreation() once it has.
+    const directory = newProjectDirectory;
     closeNewProjectForm();
+    sessionStorage.setItem('pendingProjectCreation', JSON.stringify({ directory, description, template: selectedTemplate }));
+    if (!await openProject(directory)) {
+        sessionStorage.removeItem('pendingProjectCreation');
+    }
+}
+
+// Second half of createNewProject, run in the new project's window
+async function resumeProjectCreation() {
+    const pending = JSON.parse(sessionStorage.getItem('pendingProjectCreation') || 'null');
+    sessionStorage.removeItem('pendingProjectCreation');
+    if (!pending || pending.directory !== workingDirectory) return false;
+
+    const { description } = pending;
+    const newProjectDirectory = pending.directory;
+    selectedTemplate = pending.template;
     hideWelcomeScreen();
 
     // Switch to conversation view
     switchView('conversation');
 
-    // Set working directory
-    await window.graphbus.setWorkingDirectory(newProjectDirectory);
-    workingDirectory = newProjectDirectory;
-    updateWorkingDirectoryDisplay();
-
     // Add message about project creation
     addMessage(`🚀 Creating new GraphBus project in ${newProjectDirectory}`, 'system');
     addMessage(`📋 Project Description: ${description}`, 'system');
@@ -2644,24 +5002,21 @@ async function createNewProject() {
         addMessage(prompt, 'user');
 
         try {
-            const response = await window.graphbus.claudeChat(prompt, {
-                hasBuilt: false,
-                isRunning: false,
-                phase: 'initial',
-                workingDirectory: newProjectDirectory
+            await runClaudeTurn(prompt, {
+                systemState: {
+                    hasBuilt: false,
+                    isRunning: false,
+                    phase: 'initial',
+                    workingDirectory: newProjectDirectory
+                }
             });
-
-            if (response.success) {
-                const { message, action, params } = response.result;
-                if (message) addMessage(message, 'assistant');
-                if (action) await executeClaudeAction(action, params);
-            }
         } catch (error) {
             addMessage(`Error: ${error.message}`, 'system');
         }
     } else {
         addMessage('⚠️ Claude not initialized. Please configure API key in Settings to use AI-powered project creation.', 'system');
     }
+    return true;
 }
 
 async function openExistingProject() {
@@ -2672,26 +5027,16 @@ async function openExistingProject() {
             const selectedPath = result.result;
 
             // Check if .graphbus exists
-            const checkResult = await window.graphbus.runCommand(`test -d "${selectedPath}/.graphbus" && echo "exists" || echo "missing"`);
+            const checkResult = await window.graphbus.hasGraphbus(selectedPath);
 
-            if (!checkResult.success || !checkResult.result.stdout.includes('exists')) {
+            if (!checkResult.success || !checkResult.result) {
                 // No .graphbus - cannot open
                 alert('❌ This directory does not contain a GraphBus project (.graphbus folder not found). Please choose a directory with an existing project or create a new one.');
                 return;
             }
 
-            // Valid existing project - load it
-            hideWelcomeScreen();
-
-            // Set working directory
-            await window.graphbus.setWorkingDirectory(selectedPath);
-            workingDirectory = selectedPath;
-            updateWorkingDirectoryDisplay();
-
-            // Rehydrate state
-            await checkAndLoadExistingState();
-
-            addMessage(`📂 Opened existing project: ${selectedPath}`, 'system');
+            // Valid existing project - open it in its own tab
+            await openProject(selectedPath);
         }
     } catch (error) {
         console.error('Error opening project:', error);
@@ -2713,4 +5058,162 @@ async function checkForExistingProject() {
     return true;
 }
 
+// Projects
+//
+// Every open project is a tab in the project bar, backed by its own session
+// in the main process (runtime, Claude conversation, terminals, jobs).
+// Opening, switching or closing a tab reloads this window for the project
+// that ends up active, so nothing here has to be reset by hand — the page
+// starts over and reads everything from that project.
+let openProjects = [];
+let activeProjectId = null;
+
+// Saving an empty conversation would create .graphbus/ in a directory that
+// isn't a project yet, and make it look like one
+async function saveProjectConversation() {
+    if (workflowState.conversationHistory.length > 0) {
+        await saveConversation();
+    }
+}
+
+async function openProject(directory) {
+    await saveProjectConversation();
+    const result = await window.graphbus.projectOpen(directory);
+    if (!result.success) {
+        addMessage(`✗ Could not open ${directory}: ${result.error}`, 'system');
+        return false;
+    }
+    return true;
+}
+
+async function switchProject(id) {
+    if (id === activeProjectId) return;
+    await saveProjectConversation();
+    const result = await window.graphbus.projectSwitch(id);
+    if (!result.success) {
+        addMessage(`✗ ${result.error}`, 'system');
+    }
+}
+
+async function closeProject(id) {
+    const project = openProjects.find(p => p.id === id);
+    if (!project) return;
+
+    const busy = project.runtimeActive || project.terminals.length > 0 || project.pendingReview;
+    if (busy && !confirm(`Close ${project.name}? Its runtime, terminals and running jobs will be stopped${project.pendingReview ? ', and the negotiation waiting for review will no longer open a PR' : ''}.`)) {
+        return;
+    }
+    if (id === activeProjectId) {
+        await saveProjectConversation();
+    }
+
+    const result = await window.graphbus.projectClose(id);
+    if (!result.success) {
+        addMessage(`✗ ${result.error}`, 'system');
+        return;
+    }
+    await refreshProjects();
+}
+
+async function forgetRecentProject(directory) {
+    await window.graphbus.projectForgetRecent(directory);
+    await refreshProjects();
+}
+
+async function refreshProjects() {
+    const result = await window.graphbus.projectList();
+    if (!result.success) return null;
+
+    openProjects = result.result.open;
+    activeProjectId = result.result.activeId;
+    renderProjectTabs();
+    renderRecentProjects(result.result.recent);
+    return result.result;
+}
+
+function renderProjectTabs() {
+    const bar = document.getElementById('projectTabs');
+    bar.innerHTML = '';
+
+    openProjects.forEach(project => {
+        const tab = document.createElement('div');
+        tab.className = `project-tab${project.id === activeProjectId ? ' active' : ''}`;
+        tab.title = project.directory;
+        tab.onclick = () => switchProject(project.id);
+
+        const label = document.createElement('span');
+        label.textContent = `${project.runtimeActive ? '🟢 ' : ''}${project.name}`;
+        tab.appendChild(label);
+
+        if (openProjects.length > 1) {
+            const close = document.createElement('button');
+            close.className = 'project-tab-close';
+            close.textContent = '×';
+            close.title = 'Close project';
+            close.onclick = (e) => {
+                e.stopPropagation();
+                closeProject(project.id);
+            };
+            tab.appendChild(close);
+        }
+
+        bar.appendChild(tab);
+    });
+
+    const add = document.createElement('button');
+    add.className = 'project-tab-add';
+    add.textContent = '＋';
+    add.title = 'Open another project in a new tab';
+    add.onclick = () => changeWorkingDirectory();
+    bar.appendChild(add);
+}
+
+function renderRecentProjects(recent) {
+    const container = document.getElementById('recentProjects');
+    container.innerHTML = '';
+
+    const available = recent.filter(project => project.directory !== workingDirectory);
+    if (available.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'block';
+
+    const title = document.createElement('h3');
+    title.textContent = '🕘 Recent Projects';
+    container.appendChild(title);
+
+    available.forEach(project => {
+        const row = document.createElement('div');
+        row.className = `recent-project${project.hasGraphbus ? '' : ' missing'}`;
+        row.title = project.directory;
+
+        const name = document.createElement('div');
+        name.className = 'recent-project-name';
+        name.textContent = project.name;
+
+        const details = document.createElement('div');
+        details.className = 'recent-project-path';
+        details.textContent = `${project.directory} · ${project.exists ? (project.hasGraphbus ? new Date(project.lastOpened).toLocaleString() : 'no .graphbus folder') : 'not found'}`;
+
+        const info = document.createElement('div');
+        info.className = 'recent-project-info';
+        info.appendChild(name);
+        info.appendChild(details);
+        if (project.exists) {
+            info.onclick = () => openProject(project.directory);
+        }
+
+        const forget = document.createElement('button');
+        forget.className = 'project-tab-close';
+        forget.textContent = '×';
+        forget.title = 'Remove from recent projects';
+        forget.onclick = () => forgetRecentProject(project.directory);
+
+        row.appendChild(info);
+        row.appendChild(forget);
+        container.appendChild(row);
+    });
+}
+
 console.log('GraphBus UI Renderer loaded');
@@ -0,0 +1,151 @@
+// terminal_manager.js - Pseudo-terminals for the embedded Terminal view
+const { EventEmitter } = require('events');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// node-pty is a native module that has to be rebuilt for Electron
+// (npm install runs electron-builder install-app-deps).  If that didn't
+// happen the rest of the app still works; only the Terminal view reports
+// the load error instead of opening a shell.
+let pty = null;
+let ptyLoadError = null;
+try {
+    pty = require('node-pty');
+} catch (error) {
+    ptyLoadError = error;
+}
+
+function defaultShell() {
+    if (process.platform === 'win32') {
+        return process.env.COMSPEC || 'powershell.exe';
+    }
+    return process.env.SHELL || '/bin/bash';
+}
+
+// Shells known to take -l for a login shell, which reads the user's profile
+// (PATH additions, pyenv/conda setup) the way a new terminal window would.
+// Anything else is started without arguments rather than with a flag it may
+// not understand.
+const LOGIN_SHELLS = new Set(['bash', 'zsh', 'sh', 'dash', 'ksh', 'fish']);
+
+function shellArgs(shell) {
+    if (process.platform === 'win32') {
+        return [];
+    }
+    return LOGIN_SHELLS.has(path.basename(shell)) ? ['-l'] : [];
+}
+
+// How long to wait for lsof when asking where a macOS shell is
+const CWD_LOOKUP_TIMEOUT_MS = 2000;
+
+// Owns every open pseudo-terminal.  Unlike the piped processes behind
+// runShellCommand, a PTY looks like a real terminal to the program on the
+// other end, so interactive modes (graphbus tui, graphbus run --debug,
+// anything that prompts) work.  Output is emitted as raw terminal data
+// — escape sequences included — for xterm.js to render:
+//
+//   'data' (id, data)
+//   'exit' (id, exitCode)
+class TerminalManager extends EventEmitter {
+    constructor() {
+        super();
+        this.terminals = new Map();
+        this.nextId = 1;
+    }
+
+    isAvailable() {
+        return pty !== null;
+    }
+
+    // Spawns the user's shell in cwd — as a login shell where it is one of
+    // LOGIN_SHELLS — and returns { id, pid, shell }.
+    create(cwd, cols = 80, rows = 24) {
+        if (!pty) {
+            throw new Error(`Terminal support is unavailable: ${ptyLoadError.message}`);
+        }
+
+        const shell = defaultShell();
+        const id = this.nextId++;
+        const term = pty.spawn(shell, shellArgs(shell), {
+            name: 'xterm-256color',
+            cols,
+            rows,
+            cwd: cwd || os.homedir(),
+            env: { ...process.env, PYTHONUNBUFFERED: '1', TERM: 'xterm-256color', COLORTERM: 'truecolor' }
+        });
+
+        this.terminals.set(id, term);
+        term.onData(data => this.emit('data', id, data));
+        term.onExit(({ exitCode }) => {
+            this.terminals.delete(id);
+            this.emit('exit', id, exitCode);
+        });
+
+        return { id, pid: term.pid, shell, process: term };
+    }
+
+    write(id, data) {
+        this._get(id).write(data);
+    }
+
+    // Types a command line into the terminal as if the user had entered it
+    runCommand(id, command) {
+        this._get(id).write(`${command}\r`);
+    }
+
+    // The directory the terminal's shell is in now, which is wherever the
+    // user last cd'd to — or null where that can't be found out (Windows, or
+    // the lookup failing).
+    cwd(id) {
+        const { pid } = this._get(id);
+        try {
+            if (process.platform === 'linux') {
+                return fs.readlinkSync(`/proc/${pid}/cwd`);
+            }
+            if (process.platform === 'darwin') {
+                const output = execFileSync('lsof', ['-a', '-p', String(pid), '-d', 'cwd', '-Fn'], {
+                    encoding: 'utf-8',
+                    timeout: CWD_LOOKUP_TIMEOUT_MS
+                });
+                const line = output.split('\n').find(l => l.startsWith('n'));
+                return line ? line.slice(1) : null;
+            }
+        } catch (error) {
+            console.error(`Could not find the directory of terminal ${id}:`, error.message);
+        }
+        return null;
+    }
+
+    resize(id, cols, rows) {
+        if (cols > 0 && rows > 0) {
+            this._get(id).resize(cols, rows);
+        }
+    }
+
+    close(id) {
+        const term = this.terminals.get(id);
+        if (term) {
+            term.kill();
+        }
+    }
+
+    closeAll() {
+        this.terminals.forEach(term => term.kill());
+    }
+
+    has(id) {
+        return this.terminals.has(id);
+    }
+
+    _get(id) {
+        const term = this.terminals.get(id);
+        if (!term) {
+            throw new Error(`Terminal ${id} is not open`);
+        }
+        return term;
+    }
+}
+
+module.exports = TerminalManager;
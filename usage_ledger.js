@@ -0,0 +1,254 @@
+// usage_ledger.js - Token usage and estimated cost per project, and the budget that limits it
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+// USD per million input/output tokens, matched by the longest model-name
+// prefix.  Estimates only: list prices change, and gateways and discounts
+// differ, so "prices" in ~/.graphbus/usage_config.json overrides or extends
+// these.  Local models cost nothing; unknown models are counted in tokens
+// with no cost.
+const DEFAULT_PRICES = {
+    'claude-opus-4-5': { input: 5, output: 25 },
+    'claude-opus': { input: 15, output: 75 },
+    'claude-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 }
+};
+
+// A budget that is this far used up gets a heads-up before it runs out
+const BUDGET_WARNING_RATIO = 0.8;
+
+// Local calendar day, so "today" matches the user's clock
+function dayOf(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function emptyTotals() {
+    return { inputTokens: 0, outputTokens: 0, cost: 0, unpricedTokens: 0, calls: 0 };
+}
+
+function addTo(totals, entry) {
+    totals.inputTokens += entry.inputTokens || 0;
+    totals.outputTokens += entry.outputTokens || 0;
+    if (typeof entry.cost === 'number') {
+        totals.cost += entry.cost;
+    } else {
+        totals.unpricedTokens += (entry.inputTokens || 0) + (entry.outputTokens || 0);
+    }
+    totals.calls += 1;
+}
+
+// Every model call is one line of <project>/.graphbus/usage_ledger.jsonl:
+//
+//   { "at": 1700000000000, "source": "coach" | "negotiation", "provider": "anthropic",
+//     "model": "claude-sonnet-4-6", "inputTokens": 1234, "outputTokens": 567, "cost": 0.0122 }
+//
+// Appending a line never rewrites what is already there, so a crash can't
+// lose the history; totals per day, source and model are worked out on read.
+// The prices and the budget are app-wide, in ~/.graphbus/usage_config.json:
+//
+//   { "prices": { "my-model": { "input": 1, "output": 2 } },
+//     "budget": { "daily": 5, "monthly": 50, "action": "warn" | "block" } }
+//
+// Budget limits are in USD per project.
+class UsageLedger {
+    constructor(configPath) {
+        this.configPath = configPath;
+    }
+
+    loadConfig() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.configPath, 'utf-8'));
+            return { prices: config.prices || {}, budget: config.budget || {} };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Ignoring invalid usage config:', error.message);
+            }
+            return { prices: {}, budget: {} };
+        }
+    }
+
+    // budget: { daily, monthly, action } — empty limits are removed
+    saveBudget(budget) {
+        const config = this.loadConfig();
+        const limit = (value) => {
+            const number = Number(value);
+            return value !== null && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+        };
+        config.budget = {
+            daily: limit(budget.daily),
+            monthly: limit(budget.monthly),
+            action: budget.action === 'block' ? 'block' : 'warn'
+        };
+        fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+        fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2), 'utf-8');
+        return config.budget;
+    }
+
+    // USD for a call, or null when the model has no known price
+    estimateCost(provider, model, inputTokens, outputTokens) {
+        if (provider === 'local') return 0;
+
+        const prices = { ...DEFAULT_PRICES, ...this.loadConfig().prices };
+        const match = Object.keys(prices)
+            .filter(prefix => (model || '').startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        if (!match) return null;
+
+        const price = prices[match];
+        return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+    }
+
+    _ledgerFile(directory) {
+        return path.join(directory, '.graphbus', 'usage_ledger.jsonl');
+    }
+
+    // entry: { source, provider, model, inputTokens, outputTokens, cost? }.
+    // Without a cost (the CLI didn't report one) it is estimated.
+    async record(directory, entry) {
+        const cost = typeof entry.cost === 'number'
+            ? entry.cost
+            : this.estimateCost(entry.provider, entry.model, entry.inputTokens || 0, entry.outputTokens || 0);
+        const line = { at: Date.now(), ...entry, cost };
+
+        const file = this._ledgerFile(directory);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.appendFile(file, `${JSON.stringify(line)}\n`, 'utf-8');
+        return line;
+    }
+
+    async _entries(directory) {
+        let text;
+        try {
+            text = await fsp.readFile(this._ledgerFile(directory), 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        // A line cut short by a crash is skipped rather than failing the lot
+        return text.split('\n').filter(Boolean).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+
+    // Totals for today, this month and all time, per day (most recent
+    // first, up to `days` of them) split by source, and per model
+    async summary(directory, { days = 14 } = {}) {
+        const entries = await this._entries(directory);
+        const today = dayOf(Date.now());
+        const month = today.slice(0, 7);
+
+        const totals = { today: emptyTotals(), month: emptyTotals(), all: emptyTotals() };
+        const byDay = new Map();
+        const byModel = new Map();
+
+        entries.forEach(entry => {
+            const day = dayOf(entry.at);
+            addTo(totals.all, entry);
+            if (day.startsWith(month)) addTo(totals.month, entry);
+            if (day === today) addTo(totals.today, entry);
+
+            if (!byDay.has(day)) byDay.set(day, { date: day, total: emptyTotals(), coach: emptyTotals(), negotiation: emptyTotals() });
+            const dayTotals = byDay.get(day);
+            addTo(dayTotals.total, entry);
+            if (dayTotals[entry.source]) addTo(dayTotals[entry.source], entry);
+
+            const model = `${entry.provider || 'unknown'}/${entry.model || 'unknown'}`;
+            if (!byModel.has(model)) byModel.set(model, { model, ...emptyTotals() });
+            addTo(byModel.get(model), entry);
+        });
+
+        return {
+            ...totals,
+            days: [...byDay.values()].sort((a, b) => b.date.localeCompare(a.date)).slice(0, days),
+            models: [...byModel.values()].sort((a, b) => b.cost - a.cost),
+            budget: await this.checkBudget(directory, totals)
+        };
+    }
+
+    // { action, limits, exceeded, message } — message is set once a limit is
+    // within BUDGET_WARNING_RATIO of being reached
+    async checkBudget(directory, totals = null) {
+        const { budget } = this.loadConfig();
+        const result = { action: budget.action || 'warn', daily: budget.daily || null, monthly: budget.monthly || null, exceeded: false, message: null };
+        if (!result.daily && !result.monthly) {
+            return result;
+        }
+
+        if (!totals) {
+            const entries = await this._entries(directory);
+            const today = dayOf(Date.now());
+            totals = { today: emptyTotals(), month: emptyTotals() };
+            entries.forEach(entry => {
+                const day = dayOf(entry.at);
+                if (day.startsWith(today.slice(0, 7))) addTo(totals.month, entry);
+                if (day === today) addTo(totals.today, entry);
+            });
+        }
+
+        const checks = [
+            ['daily', result.daily, totals.today.cost],
+            ['monthly', result.monthly, totals.month.cost]
+        ].filter(([, limit]) => limit);
+
+        for (const [period, limit, spent] of checks) {
+            if (spent >= limit) {
+                result.exceeded = true;
+                result.message = `This project's ${period} model budget of $${limit.toFixed(2)} is used up ($${spent.toFixed(2)} spent)`;
+                return result;
+            }
+        }
+        for (const [period, limit, spent] of checks) {
+            if (spent >= limit * BUDGET_WARNING_RATIO) {
+                result.message = `This project has used $${spent.toFixed(2)} of its $${limit.toFixed(2)} ${period} model budget`;
+                return result;
+            }
+        }
+        return result;
+    }
+}
+
+// Token counts (and a cost, if printed) from a negotiation's output.  The
+// CLI's wording varies between versions, so this looks for the usual forms —
+// "input_tokens: 1234", "Output tokens = 56", "prompt_tokens", "cost: $0.42".
+// Lines mentioning a total win over summing the individual ones, so a CLI
+// that prints a running total isn't counted twice.  Returns null if the
+// output says nothing about usage.
+function parseUsageFromOutput(text) {
+    const patterns = {
+        inputTokens: /(?:input|prompt)[_ ]tokens\W{0,3}(\d[\d,]*)/gi,
+        outputTokens: /(?:output|completion)[_ ]tokens\W{0,3}(\d[\d,]*)/gi,
+        cost: /(?:cost|spend|spent)\W{0,5}\$\s?(\d+(?:\.\d+)?)/gi
+    };
+    const lines = (text || '').split('\n');
+    const totalLines = lines.filter(line => /total/i.test(line));
+
+    const read = (pattern) => {
+        const values = (source) => source.flatMap(line => [...line.matchAll(pattern)].map(m => Number(m[1].replace(/,/g, ''))));
+        const totals = values(totalLines);
+        if (totals.length > 0) return totals[totals.length - 1];
+        const all = values(lines);
+        return all.length > 0 ? all.reduce((sum, n) => sum + n, 0) : null;
+    };
+
+    const usage = { inputTokens: read(patterns.inputTokens), outputTokens: read(patterns.outputTokens), cost: read(patterns.cost) };
+    if (usage.inputTokens === null && usage.outputTokens === null && usage.cost === null) {
+        return null;
+    }
+    return { inputTokens: usage.inputTokens || 0, outputTokens: usage.outputTokens || 0, ...(usage.cost !== null ? { cost: usage.cost } : {}) };
+}
+
+module.exports = { UsageLedger, parseUsageFromOutput };
@@ -0,0 +1,105 @@
+// workspace.js - Open project sessions and the recent-projects list
+const fs = require('fs');
+const path = require('path');
+const PythonBridge = require('./python_bridge');
+const ClaudeService = require('./claude_service');
+const TerminalManager = require('./terminal_manager');
+
+// How many projects the welcome screen remembers
+const RECENT_PROJECTS_LIMIT = 12;
+
+let nextSessionId = 1;
+
+// Everything that belongs to one open project.  Each session has its own
+// Python bridge (and so its own runtime worker), Claude conversation and
+// terminals, so a project left in a background tab keeps its runtime and
+// shells running and picks up where it was when it comes back.  Jobs are
+// tagged with the session id in main.js's process registry.
+class ProjectSession {
+    constructor(directory) {
+        this.id = nextSessionId++;
+        this.directory = directory;
+        this.openedAt = Date.now();
+        this.pythonBridge = new PythonBridge();
+        this.claudeService = new ClaudeService();
+        this.terminalManager = new TerminalManager();
+        this.terminalJobs = new Map(); // terminal id -> job id
+        // The negotiation waiting in the Review view ({ negotiationId, intent,
+        // branchName, commitCount, branchCreated?, baseBranch?, followUp? }),
+        // kept here so switching tabs — which reloads the window — doesn't
+        // turn its commit into a plain one with no branch, push or PR
+        this.pendingReview = null;
+    }
+
+    get name() {
+        return path.basename(this.directory) || this.directory;
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            directory: this.directory,
+            name: this.name,
+            runtimeActive: this.pythonBridge.runtimeActive,
+            terminals: [...this.terminalJobs.keys()],
+            pendingReview: Boolean(this.pendingReview)
+        };
+    }
+
+    // Stops the runtime worker and closes the terminals.  Other jobs are
+    // stopped by the process registry, which owns them.
+    dispose() {
+        this.pythonBridge.cleanup();
+        this.terminalManager.closeAll();
+    }
+}
+
+// Projects opened recently, most recent first, in
+// ~/.graphbus/recent_projects.json:
+//
+//   { "projects": [{ "directory": "/path", "lastOpened": 1700000000000 }] }
+class RecentProjects {
+    constructor(configPath) {
+        this.configPath = configPath;
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.configPath, 'utf-8'));
+            return Array.isArray(data.projects) ? data.projects : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading recent projects:', error);
+            }
+            return [];
+        }
+    }
+
+    // With status for the welcome screen: whether each directory still
+    // exists and still holds a GraphBus project
+    list() {
+        return this.load().map(project => ({
+            ...project,
+            name: path.basename(project.directory) || project.directory,
+            exists: fs.existsSync(project.directory),
+            hasGraphbus: fs.existsSync(path.join(project.directory, '.graphbus'))
+        }));
+    }
+
+    add(directory) {
+        const projects = this.load().filter(p => p.directory !== directory);
+        projects.unshift({ directory, lastOpened: Date.now() });
+        this._save(projects.slice(0, RECENT_PROJECTS_LIMIT));
+    }
+
+    remove(directory) {
+        this._save(this.load().filter(p => p.directory !== directory));
+    }
+
+    _save(projects) {
+        fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+        fs.writeFileSync(this.configPath, JSON.stringify({ projects }, null, 2), 'utf-8');
+    }
+}
+
+module.exports = { ProjectSession, RecentProjects };